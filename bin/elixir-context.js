@@ -7,7 +7,7 @@ const command = process.argv[2];
 
 if (!command) {
   console.log('Usage: elixir-context <command> [options]');
-  console.log('Commands: query, mcp-stdio, ingest, watch');
+  console.log('Commands: query, routes, mcp-stdio, build, export, ingest, watch, repair');
   process.exit(1);
 }
 
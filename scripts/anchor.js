@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+
+// Anchor-aware re-ranking: boost results near the code the caller is looking at
+
+const path = require('path');
+const { createCallGraph } = require('./callgraph');
+const { pathVariants, normalizePath, appForPath } = require('./paths');
+
+const BOOSTS = {
+  calls_anchor: 1.0,      // result calls the function enclosing the anchor
+  called_by_anchor: 1.0,  // result is called by the function enclosing the anchor
+  same_module: 0.5,
+  same_file: 0.5,
+  same_app: 0.25
+};
+
+const DEFINITION_KINDS = ['function', 'function_private', 'macro', 'macro_private'];
+
+/**
+ * Build the ranking context for an anchor position
+ * @param {Database} db - better-sqlite3 connection
+ * @param {{path: string, line?: number}} anchor - Position the caller is looking at
+ * @param {string} projectRoot - Used to compare relative and absolute paths
+ * @returns {Object|null} Context for rankWithAnchor, or null when no anchor path is given
+ */
+function createAnchorContext(db, anchor, projectRoot) {
+  if (!anchor || !anchor.path) return null;
+
+  const [absolute, relative] = pathVariants(projectRoot, anchor.path);
+  const parsedLine = parseInt(anchor.line, 10);
+  const line = Number.isFinite(parsedLine) ? parsedLine : null;
+
+  let enclosing = null;
+  if (line !== null) {
+    enclosing = db.prepare(`
+      SELECT id, module, name, arity FROM functions
+      WHERE path IN (?, ?) AND start_line <= ? AND COALESCE(end_line, start_line) >= ?
+        AND kind IN (${DEFINITION_KINDS.map(() => '?').join(',')})
+      ORDER BY start_line DESC
+      LIMIT 1
+    `).get(absolute, relative, line, line, ...DEFINITION_KINDS) || null;
+  }
+
+  // Module at the anchor: enclosing function's, else innermost module block, else any in the file
+  const moduleRow = enclosing || db.prepare(`
+    SELECT module FROM functions
+    WHERE path IN (?, ?) AND kind = 'module'
+    ORDER BY (start_line <= ? AND COALESCE(end_line, start_line) >= ?) DESC, start_line DESC
+    LIMIT 1
+  `).get(absolute, relative, line || 0, line || 0);
+
+  const callerIds = new Set();
+  const calleeIds = new Set();
+  if (enclosing) {
+    const graph = createCallGraph(db);
+    for (const c of graph.callers(enclosing.id, { limit: 500 }).callers) callerIds.add(c.id);
+    for (const c of graph.callees(enclosing.id, { limit: 500 }).callees) calleeIds.add(c.id);
+  }
+
+  return {
+    projectRoot,
+    absolute,
+    module: moduleRow ? moduleRow.module : null,
+    app: appForPath(relative),
+    enclosing,
+    callerIds,
+    calleeIds
+  };
+}
+
+/**
+ * Explain how much a single result is boosted by the anchor
+ * @returns {{boost: number, reasons: Array<string>}}
+ */
+function anchorBoost(row, ctx) {
+  const reasons = [];
+  if (row.id && ctx.callerIds.has(row.id)) reasons.push('calls_anchor');
+  if (row.id && ctx.calleeIds.has(row.id)) reasons.push('called_by_anchor');
+  if (ctx.module && row.module === ctx.module) reasons.push('same_module');
+  if (row.path && path.resolve(ctx.projectRoot, row.path) === ctx.absolute) reasons.push('same_file');
+  if (ctx.app && row.path && (row.app || appForPath(normalizePath(ctx.projectRoot, row.path))) === ctx.app) {
+    reasons.push('same_app');
+  }
+  const boost = reasons.reduce((sum, r) => sum + BOOSTS[r], 0);
+  return { boost, reasons };
+}
+
+/**
+ * Re-rank results (already in relevance order) using the anchor context.
+ * Base relevance decays with position; the anchor boost multiplies it, so a
+ * strongly related result can overtake a slightly better lexical match.
+ * Boosted results carry an `anchor` explanation.
+ */
+function rankWithAnchor(rows, ctx) {
+  if (!ctx) return rows;
+  return rows
+    .map((row, i) => {
+      const { boost, reasons } = anchorBoost(row, ctx);
+      const rank = (1 / (1 + i)) * (1 + boost);
+      return { row: boost > 0 ? { ...row, anchor: { boost, reasons } } : row, rank, i };
+    })
+    .sort((a, b) => b.rank - a.rank || a.i - b.i)
+    .map(r => r.row);
+}
+
+module.exports = { createAnchorContext, rankWithAnchor, anchorBoost };
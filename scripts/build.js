@@ -2,14 +2,29 @@
 
 // Build (export + ingest) an elixir-context index for a given project.
 // Usage:
-//   elixir-context build --project <project_root> --data <data_dir> [--exporter <export_exs>]
+//   elixir-context build --project <project_root> --data <data_dir> [--db <db_file>] [--exporter <export_exs> | --exporter js] [--changed-only | --since <git_ref>]
 // Examples:
 //   elixir-context build --project /Users/leonidas/Sites/mobus/mobus_umbrella --data /Users/leonidas/Sites/mobus/mobus_umbrella/.elixir_context
 //   elixir-context build --project /Users/leonidas/Sites/VaultWise --data /Users/leonidas/Sites/VaultWise/.elixir_context --exporter /Users/leonidas/Sites/VaultWise/orchestrator/priv/export.exs
+//
+// --changed-only diffs the working tree against the index's `files` table and
+// re-exports only new and modified files (deleted ones are purged).
+// --since <ref> takes the candidate files from `git diff --name-status <ref>`
+// (plus untracked files) instead of a full scan; renamed files are purged under
+// their old path. Both record the current HEAD as meta.git_head.
+//
+// --exporter js extracts with export.js (no Elixir toolchain needed); the same
+// exporter is used when `mix run export.exs` fails.
 
 const { spawnSync } = require('child_process');
 const path = require('path');
 const fs = require('fs');
+const Database = require('better-sqlite3');
+const { readSourceRecords } = require('./source-records');
+const { ensureSchema, setMeta } = require('./schema');
+const { scanSourceFiles, diffFiles, changedPaths, fileRecords } = require('./changes');
+const { gitHead, gitChanges } = require('./git');
+const { JS_EXPORTER, CHILD_TIMEOUT_MS } = require('./exporter');
 
 function getArg(flag, fallback) {
   const i = process.argv.indexOf(flag);
@@ -20,9 +35,11 @@ function getArg(flag, fallback) {
 const projectRoot = getArg('--project', process.env.PROJECT_ROOT || process.cwd());
 const dataDir = getArg('--data', process.env.DATA_DIR || path.join(projectRoot, '.elixir_context'));
 const exporter = getArg('--exporter', process.env.EXPORTER || path.resolve(__dirname, 'export.exs'));
+const since = getArg('--since', null);
+let changedOnly = process.argv.includes('--changed-only') || !!since;
 
 if (!projectRoot || !dataDir) {
-  console.error('Usage: elixir-context build --project <project_root> --data <data_dir> [--exporter <export_exs>]');
+  console.error('Usage: elixir-context build --project <project_root> --data <data_dir> [--db <db_file>] [--exporter <export_exs> | --exporter js] [--changed-only | --since <git_ref>]');
   process.exit(1);
 }
 
@@ -31,92 +48,136 @@ if (!fs.existsSync(dataDir)) {
 }
 
 const exportPath = path.join(dataDir, 'export.jsonl');
-const dbPath = path.join(dataDir, 'ec.sqlite');
-
-// Export Elixir files
-console.log(`[elixir-context] Exporting Elixir files from ${projectRoot}`);
-const exportRes = spawnSync('bash', ['-lc', `cd ${projectRoot} && mix run --no-start '${exporter}' --quiet --out '${exportPath}'`], { stdio: 'inherit' });
-if (exportRes.status !== 0) {
-  console.error('[elixir-context] Elixir export failed');
-  process.exit(exportRes.status || 1);
+const changedExportPath = path.join(dataDir, 'export-changed.jsonl');
+const dbPath = getArg('--db', path.join(dataDir, 'ec.sqlite'));
+
+if (changedOnly && !fs.existsSync(dbPath)) {
+  console.log('[elixir-context] No index yet; running a full build');
+  changedOnly = false;
 }
 
-// Export .heex templates
-console.log(`[elixir-context] Exporting .heex templates`);
-const parseHeex = require('./parse-heex');
+function shellQuote(arg) {
+  return `'${String(arg).replace(/'/g, "'\\''")}'`;
+}
 
-function findHeexFiles(dir, fileList = []) {
-  try {
-    const files = fs.readdirSync(dir);
-
-    for (const file of files) {
-      const filePath = path.join(dir, file);
-
-      try {
-        const stat = fs.lstatSync(filePath); // Use lstat to not follow symlinks
-
-        if (stat.isSymbolicLink()) {
-          continue; // Skip symlinks
-        }
-
-        if (stat.isDirectory()) {
-          // Skip deps, build, and node_modules directories
-          if (!['deps', '_build', 'node_modules', '.git', '.elixir_ls', 'cover', 'doc'].includes(file)) {
-            findHeexFiles(filePath, fileList);
-          }
-        } else if (file.endsWith('.heex')) {
-          const relativePath = path.relative(projectRoot, filePath);
-          fileList.push(relativePath);
-        }
-      } catch (err) {
-        // Skip files/dirs that can't be accessed
-        console.error(`Warning: Could not access ${filePath}: ${err.message}`);
-        continue;
-      }
-    }
-  } catch (err) {
-    console.error(`Warning: Could not read directory ${dir}: ${err.message}`);
+function runExporter(extraArgs) {
+  if (exporter !== 'js') {
+    const cmd = `cd ${shellQuote(projectRoot)} && mix run --no-start ${shellQuote(exporter)} --quiet ${extraArgs.map(shellQuote).join(' ')}`;
+    const exportRes = spawnSync('bash', ['-lc', cmd], { stdio: 'inherit', timeout: CHILD_TIMEOUT_MS });
+    if (exportRes.status === 0) return;
+    const reason = exportRes.error && exportRes.error.code === 'ETIMEDOUT' ? `timed out after ${CHILD_TIMEOUT_MS}ms` : 'failed';
+    console.error(`[elixir-context] Elixir export ${reason}; falling back to the JS exporter`);
   }
 
-  return fileList;
+  const jsRes = spawnSync(process.execPath, [JS_EXPORTER, '--root', projectRoot, '--quiet', ...extraArgs], { stdio: 'inherit', timeout: CHILD_TIMEOUT_MS });
+  if (jsRes.status !== 0) {
+    const reason = jsRes.error && jsRes.error.code === 'ETIMEDOUT' ? `timed out after ${CHILD_TIMEOUT_MS}ms` : 'failed';
+    console.error(`[elixir-context] JS export ${reason}`);
+    process.exit(jsRes.status || 1);
+  }
+}
+
+// Templates (.heex files and ~H sigils in .ex files), LiveView references,
+// routes and Ecto schemas are appended to the Elixir export so a single ingest
+// (and, for full builds, a single atomic swap of ec.sqlite) covers both
+function appendSourceRecords(files, outPath) {
+  const records = readSourceRecords(projectRoot, files);
+  appendRecords(records, outPath);
+  console.log(`[elixir-context] Exported ${records.length} template, LiveView, route and Ecto schema records`);
+}
+
+function appendRecords(records, outPath) {
+  fs.appendFileSync(outPath, records.map(r => JSON.stringify(r) + '\n').join(''));
 }
 
-const heexFiles = findHeexFiles(projectRoot);
-const heexExportPath = path.join(dataDir, 'heex_export.jsonl');
-const heexStream = fs.createWriteStream(heexExportPath);
+function runIngest(jsonlPath, extraArgs) {
+  const ingestRes = spawnSync('node', [path.resolve(__dirname, 'ingest.js'), jsonlPath, dbPath, '--root', projectRoot, ...extraArgs], { stdio: 'inherit', timeout: CHILD_TIMEOUT_MS });
+  if (ingestRes.status !== 0) {
+    const reason = ingestRes.error && ingestRes.error.code === 'ETIMEDOUT' ? `timed out after ${CHILD_TIMEOUT_MS}ms` : 'failed';
+    console.error(`[elixir-context] Ingest ${reason}; previous index left in place`);
+    process.exit(ingestRes.status || 1);
+  }
+}
 
-for (const heexFile of heexFiles) {
+function withDb(fn) {
+  const db = new Database(dbPath);
   try {
-    const fullPath = path.join(projectRoot, heexFile);
-    const content = fs.readFileSync(fullPath, 'utf8');
-    const results = parseHeex.parseHeexFile(heexFile, content);
+    return fn(db);
+  } finally {
+    db.close();
+  }
+}
 
-    for (const result of results) {
-      heexStream.write(JSON.stringify(result) + '\n');
+const isHeex = (p) => p.endsWith('.heex');
+
+// Files to re-export and files to drop, from the `files` table or from git
+function planChanges(db) {
+  if (since) {
+    let changes;
+    try {
+      changes = gitChanges(projectRoot, since);
+    } catch (err) {
+      console.error(`[elixir-context] ${err.message}`);
+      process.exit(1);
     }
-  } catch (err) {
-    console.error(`Failed to parse ${heexFile}:`, err.message);
+    const candidates = [...changes.added, ...changes.modified, ...changes.renamed.map(r => r.to)];
+    console.log(`[elixir-context] Since ${since}: ${changes.added.length} added, ${changes.modified.length} modified, ${changes.deleted.length} deleted, ${changes.renamed.length} renamed`);
+    // Files already indexed with identical content (e.g. edited before the last build) are skipped
+    return {
+      changed: changedPaths(db, projectRoot, candidates),
+      removed: [...changes.deleted, ...changes.renamed.map(r => r.from)]
+    };
   }
+
+  const diff = diffFiles(db, projectRoot, scanSourceFiles(projectRoot));
+  console.log(`[elixir-context] ${diff.added.length} new, ${diff.modified.length} modified, ${diff.deleted.length} deleted, ${diff.unchanged.length} unchanged`);
+  return { changed: [...diff.added, ...diff.modified].map(f => f.path), removed: diff.deleted };
 }
 
-heexStream.end();
-console.log(`[elixir-context] Exported ${heexFiles.length} template files`);
+if (changedOnly) {
+  const { changed, removed } = withDb((db) => {
+    ensureSchema(db);
+    return planChanges(db);
+  });
+  const head = gitHead(projectRoot);
+
+  if (changed.length === 0 && removed.length === 0) {
+    if (head) withDb(db => setMeta(db, { git_head: head }));
+    console.log('[elixir-context] Index is up to date.');
+    process.exit(0);
+  }
 
-// Ingest everything
-console.log(`[elixir-context] Ingesting into ${dbPath}`);
-const ingestRes = spawnSync('node', [path.resolve(__dirname, 'ingest.js'), exportPath, dbPath], { stdio: 'inherit' });
-if (ingestRes.status !== 0) {
-  console.error('[elixir-context] Ingest failed');
-  process.exit(ingestRes.status || 1);
-}
+  // Modified files may no longer export anything: their `file` records make the
+  // ingest purge them (and removed ones) in the same transaction as the new
+  // entries, so a failed export or ingest leaves the index as it was
+  const files = fileRecords(projectRoot, [...changed, ...removed]);
 
-// Ingest heex if file exists and has content
-if (fs.existsSync(heexExportPath) && fs.statSync(heexExportPath).size > 0) {
-  const heexIngestRes = spawnSync('node', [path.resolve(__dirname, 'ingest.js'), heexExportPath, dbPath], { stdio: 'inherit' });
-  if (heexIngestRes.status !== 0) {
-    console.error('[elixir-context] Heex ingest failed');
-    process.exit(heexIngestRes.status || 1);
+  const elixirFiles = changed.filter(p => !isHeex(p));
+  fs.writeFileSync(changedExportPath, '');
+  if (elixirFiles.length > 0) {
+    console.log(`[elixir-context] Exporting ${elixirFiles.length} changed Elixir files`);
+    runExporter(['--out', changedExportPath, '--files', ...elixirFiles]);
   }
+  appendSourceRecords(changed, changedExportPath);
+  appendRecords(files, changedExportPath);
+
+  console.log(`[elixir-context] Ingesting changes into ${dbPath}`);
+  runIngest(changedExportPath, ['--incremental']);
+  if (head) withDb(db => setMeta(db, { git_head: head }));
+} else {
+  const sourceFiles = scanSourceFiles(projectRoot);
+  // Hashed before exporting, so edits made meanwhile are picked up next time
+  const files = fileRecords(projectRoot, sourceFiles.map(f => f.path));
+  console.log(`[elixir-context] Exporting Elixir files from ${projectRoot}`);
+  runExporter(['--out', exportPath]);
+
+  console.log(`[elixir-context] Parsing templates, LiveView references, routes and Ecto schemas`);
+  appendSourceRecords(sourceFiles.map(f => f.path), exportPath);
+  appendRecords(files, exportPath);
+
+  // Ingest everything (builds a shadow database, then swaps it into place)
+  console.log(`[elixir-context] Ingesting into ${dbPath}`);
+  runIngest(exportPath, []);
 }
 
 console.log('[elixir-context] Build complete.');
@@ -0,0 +1,253 @@
+#!/usr/bin/env node
+
+// Call-graph traversal over the `edges` table (src_id → dst_id, resolved at ingest)
+
+const { DEFINABLE_OPERATORS } = require('./parse-elixir');
+
+const DEFINITION_KINDS = ['function', 'function_private', 'macro', 'macro_private'];
+const MAX_DEPTH = 10;
+const ID_PATTERN = /^[0-9a-f]{64}$/;
+
+const NODE_COLUMNS = 'id, module, name, arity, kind, path, start_line, end_line';
+
+// Function names: identifiers, or the operators parse-elixir indexes defs under (longest first)
+const NAME_PATTERN = [
+  '[a-z_][a-zA-Z0-9_]*[?!]?',
+  ...[...DEFINABLE_OPERATORS].sort((a, b) => b.length - a.length).map(op => op.replace(/[.*+?^${}()|[\]\\/-]/g, '\\$&'))
+].join('|');
+// The module part is matched lazily so operator names containing "." split correctly
+const MFA_PATTERN = new RegExp(`^(?:(.+?)\\.)?(${NAME_PATTERN})(?:\\/(\\d+))?$`);
+
+/**
+ * Parse an MFA string like "MyApp.Accounts.update_user/2", "Accounts.get", "get_user/1" or "Demo.Math.|||/2"
+ * @param {string} mfa - MFA string (arity optional)
+ * @returns {{module: string|null, name: string, arity: number|null}|null}
+ */
+function parseMfa(mfa) {
+  const match = String(mfa).trim().match(MFA_PATTERN);
+  if (!match) return null;
+  return {
+    module: match[1] || null,
+    name: match[2],
+    arity: match[3] !== undefined ? parseInt(match[3], 10) : null
+  };
+}
+
+function formatMfa(row) {
+  // Template entries (heex_component etc.) are tags, not functions
+  if (row.kind && row.kind.startsWith('heex_')) return `${row.module} <${row.name}>`;
+  return `${row.module}.${row.name}/${row.arity}`;
+}
+
+function toNode(row) {
+  return {
+    id: row.id,
+    mfa: formatMfa(row),
+    module: row.module,
+    name: row.name,
+    arity: row.arity,
+    kind: row.kind,
+    path: row.path,
+    start_line: row.start_line,
+    end_line: row.end_line
+  };
+}
+
+function clampDepth(depth, fallback) {
+  const n = parseInt(depth, 10);
+  if (!Number.isFinite(n) || n < 1) return fallback;
+  return Math.min(n, MAX_DEPTH);
+}
+
+/**
+ * Create a call-graph helper bound to an open database
+ * @param {Database} db - better-sqlite3 connection
+ */
+function createCallGraph(db) {
+  const kindPlaceholders = DEFINITION_KINDS.map(() => '?').join(',');
+
+  const byId = db.prepare(`SELECT ${NODE_COLUMNS} FROM functions WHERE id = ?`);
+  const byExactMfa = db.prepare(`
+    SELECT ${NODE_COLUMNS} FROM functions
+    WHERE module = ? AND name = ? AND (? IS NULL OR arity = ?) AND kind IN (${kindPlaceholders})
+    ORDER BY arity
+  `);
+  // Module suffix match lets "Accounts.get/1" find "MyApp.Accounts.get/1"
+  const bySuffixMfa = db.prepare(`
+    SELECT ${NODE_COLUMNS} FROM functions
+    WHERE module LIKE ? ESCAPE '\\' AND name = ? AND (? IS NULL OR arity = ?) AND kind IN (${kindPlaceholders})
+    ORDER BY module, arity
+  `);
+  const byName = db.prepare(`
+    SELECT ${NODE_COLUMNS} FROM functions
+    WHERE name = ? AND (? IS NULL OR arity = ?) AND kind IN (${kindPlaceholders})
+    ORDER BY module, arity
+  `);
+  const callerEdges = db.prepare(`
+    SELECT DISTINCT s.id, s.module, s.name, s.arity, s.kind, s.path, s.start_line, s.end_line
+    FROM edges e
+    JOIN functions s ON s.id = e.src_id
+    WHERE e.dst_id = ?
+    ORDER BY s.module, s.name, s.arity
+  `);
+  const calleeEdges = db.prepare(`
+    SELECT e.dst_mfa, d.id, d.module, d.name, d.arity, d.kind, d.path, d.start_line, d.end_line
+    FROM edges e
+    LEFT JOIN functions d ON d.id = e.dst_id
+    WHERE e.src_id = ?
+    ORDER BY e.dst_mfa
+  `);
+
+  /**
+   * Resolve an MFA string or function id to matching definition rows
+   * @param {string} ref - Function id or MFA string
+   * @returns {Array} Matching rows (may be several when arity is omitted)
+   */
+  function resolve(ref) {
+    if (!ref) return [];
+    if (ID_PATTERN.test(ref)) {
+      const row = byId.get(ref);
+      return row ? [row] : [];
+    }
+    const mfa = parseMfa(ref);
+    if (!mfa) return [];
+    if (!mfa.module) return byName.all(mfa.name, mfa.arity, mfa.arity, ...DEFINITION_KINDS);
+
+    const exact = byExactMfa.all(mfa.module, mfa.name, mfa.arity, mfa.arity, ...DEFINITION_KINDS);
+    if (exact.length > 0) return exact;
+    const suffix = '%.' + mfa.module.replace(/[\\%_]/g, (c) => '\\' + c);
+    return bySuffixMfa.all(suffix, mfa.name, mfa.arity, mfa.arity, ...DEFINITION_KINDS);
+  }
+
+  function resolveOrThrow(ref) {
+    const rows = resolve(ref);
+    if (rows.length === 0) throw new Error(`No function found for: ${ref}`);
+    return rows;
+  }
+
+  function directCallers(row) {
+    return callerEdges.all(row.id);
+  }
+
+  /**
+   * Direct callees of a row. Unresolved MFAs (deps, stdlib, dynamic calls) are
+   * returned with `row: null` so they can be reported but not expanded.
+   */
+  function directCallees(row) {
+    return calleeEdges.all(row.id).map(({ dst_mfa, ...target }) => ({
+      mfa: dst_mfa,
+      row: target.id ? target : null
+    }));
+  }
+
+  // Breadth-first walk; each node is reported once at its shallowest depth
+  function walk(ref, opts, step) {
+    const roots = resolveOrThrow(ref);
+    const depth = clampDepth(opts.depth, 1);
+    const limit = opts.limit || 100;
+    const visited = new Set(roots.map(r => r.id));
+    const unresolved = new Map();
+    const results = [];
+    let frontier = roots;
+    let truncated = false;
+
+    for (let level = 1; level <= depth && frontier.length > 0 && !truncated; level++) {
+      const next = [];
+      for (const from of frontier) {
+        for (const hit of step(from)) {
+          if (!hit.row) {
+            if (!unresolved.has(hit.mfa)) unresolved.set(hit.mfa, { mfa: hit.mfa, depth: level, via: from.id });
+            continue;
+          }
+          if (visited.has(hit.row.id)) continue;
+          visited.add(hit.row.id);
+          if (results.length >= limit) { truncated = true; break; }
+          results.push({ ...toNode(hit.row), depth: level, via: from.id });
+          next.push(hit.row);
+        }
+        if (truncated) break;
+      }
+      frontier = next;
+    }
+
+    return {
+      target: roots.map(toNode),
+      depth,
+      results,
+      unresolved: [...unresolved.values()],
+      truncated
+    };
+  }
+
+  /**
+   * Functions calling `ref`, up to `depth` hops away
+   */
+  function callers(ref, opts = {}) {
+    const { target, depth, results, truncated } = walk(ref, opts, (row) =>
+      directCallers(row).map(r => ({ mfa: formatMfa(r), row: r }))
+    );
+    return { target, depth, callers: results, truncated };
+  }
+
+  /**
+   * Functions called by `ref`, up to `depth` hops away
+   */
+  function callees(ref, opts = {}) {
+    const { target, depth, results, unresolved, truncated } = walk(ref, opts, directCallees);
+    return { target, depth, callees: results, unresolved, truncated };
+  }
+
+  /**
+   * Call chains from `fromRef` to `toRef` following callee edges.
+   * Paths never revisit a node, so cycles cannot loop forever.
+   */
+  function callPaths(fromRef, toRef, opts = {}) {
+    const sources = resolveOrThrow(fromRef);
+    const targets = resolveOrThrow(toRef);
+    const maxDepth = clampDepth(opts.max_depth, 4);
+    const limit = opts.limit || 10;
+    const maxExpansions = opts.max_expansions || 5000;
+    const targetIds = new Set(targets.map(t => t.id));
+    const calleeCache = new Map();
+
+    const paths = [];
+    let queue = sources.map(s => [s]);
+    let expansions = 0;
+    let truncated = false;
+
+    for (let level = 0; level < maxDepth && queue.length > 0 && paths.length < limit; level++) {
+      const next = [];
+      for (const path of queue) {
+        const last = path[path.length - 1];
+        if (++expansions > maxExpansions) { truncated = true; break; }
+        if (!calleeCache.has(last.id)) {
+          calleeCache.set(last.id, directCallees(last).filter(c => c.row).map(c => c.row));
+        }
+        for (const callee of calleeCache.get(last.id)) {
+          if (path.some(p => p.id === callee.id)) continue;
+          const extended = [...path, callee];
+          if (targetIds.has(callee.id)) {
+            paths.push(extended.map(toNode));
+            if (paths.length >= limit) break;
+          } else {
+            next.push(extended);
+          }
+        }
+        if (paths.length >= limit || truncated) break;
+      }
+      queue = next;
+    }
+
+    return {
+      from: sources.map(toNode),
+      to: targets.map(toNode),
+      max_depth: maxDepth,
+      paths: paths.map(nodes => ({ length: nodes.length - 1, nodes })),
+      truncated: truncated || paths.length >= limit
+    };
+  }
+
+  return { resolve, callers, callees, callPaths };
+}
+
+module.exports = { createCallGraph, parseMfa, formatMfa };
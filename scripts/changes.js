@@ -0,0 +1,209 @@
+#!/usr/bin/env node
+
+// Content-hash change detection against the `files` table.
+//
+// `files` records every source file that went into the index (project-relative
+// path, size, mtime, sha256). Size+mtime is the fast path; a file is only read
+// and hashed when they differ, so touching a file without editing it is not a
+// change. Deleted files are whatever `files` knows about but the scan did not find.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { normalizePath } = require('./paths');
+
+// Mirrors the exporter's full-scan patterns: top-level .ex/.exs plus these trees
+const ELIXIR_DIRS = ['apps', 'lib', 'test', 'config', 'priv'];
+const SKIP_DIRS = new Set(['deps', '_build', 'node_modules', '.git', '.worktrees', '.elixir_ls', 'cover', 'doc']);
+
+function isElixirSource(relPath) {
+  if (!/\.exs?$/.test(relPath)) return false;
+  // The exporter leaves Phoenix template dirs to the .heex pass
+  if (relPath.includes('/templates/')) return false;
+  const top = relPath.split('/')[0];
+  return top === relPath || ELIXIR_DIRS.includes(top);
+}
+
+/**
+ * Whether a project-relative path is one the exporters index (.ex/.exs/.heex outside skipped dirs)
+ */
+function isIndexedSource(relPath) {
+  if (relPath.split('/').some(segment => SKIP_DIRS.has(segment))) return false;
+  return relPath.endsWith('.heex') || isElixirSource(relPath);
+}
+
+/**
+ * Source files the exporters index (.ex/.exs and .heex), with size and mtime
+ * @param {string} projectRoot
+ * @returns {Array<{path: string, size: number, mtime: number}>} Project-relative POSIX paths
+ */
+function scanSourceFiles(projectRoot) {
+  const found = [];
+
+  function walk(dir) {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (err) {
+      console.error(`Warning: Could not read directory ${dir}: ${err.message}`);
+      return;
+    }
+    for (const entry of entries) {
+      if (entry.isSymbolicLink()) continue;
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (!SKIP_DIRS.has(entry.name)) walk(fullPath);
+        continue;
+      }
+      const relPath = normalizePath(projectRoot, fullPath);
+      if (!relPath.endsWith('.heex') && !isElixirSource(relPath)) continue;
+      try {
+        const stat = fs.statSync(fullPath);
+        found.push({ path: relPath, size: stat.size, mtime: Math.floor(stat.mtimeMs) });
+      } catch (err) {
+        // Removed between readdir and stat
+      }
+    }
+  }
+
+  walk(projectRoot);
+  return found.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+function hashFile(projectRoot, relPath) {
+  return crypto.createHash('sha256').update(fs.readFileSync(path.join(projectRoot, relPath))).digest('hex');
+}
+
+/**
+ * Compare the working tree with the `files` table
+ * @param {Database} db - better-sqlite3 connection
+ * @param {string} projectRoot
+ * @param {Array} [scanned] - scanSourceFiles() result (scanned here when omitted)
+ * @returns {{added: Array, modified: Array, deleted: Array<string>, unchanged: Array}}
+ *   added/modified/unchanged entries carry path, size, mtime and hash
+ */
+function diffFiles(db, projectRoot, scanned = scanSourceFiles(projectRoot)) {
+  const known = new Map(db.prepare('SELECT path, size, mtime, hash FROM files').all().map(r => [r.path, r]));
+  const added = [];
+  const modified = [];
+  const unchanged = [];
+
+  for (const file of scanned) {
+    const prev = known.get(file.path);
+    known.delete(file.path);
+    // A null hash was taken while the file was being rewritten
+    if (prev && prev.hash && prev.size === file.size && prev.mtime === file.mtime) {
+      unchanged.push({ ...file, hash: prev.hash });
+      continue;
+    }
+    const entry = { ...file, hash: hashFile(projectRoot, file.path) };
+    if (!prev) added.push(entry);
+    else if (prev.hash === entry.hash) unchanged.push(entry);
+    else modified.push(entry);
+  }
+
+  return { added, modified, deleted: [...known.keys()], unchanged };
+}
+
+/**
+ * Of the given paths, those whose content differs from the `files` table
+ * (new files and files that no longer exist count as changed)
+ * @param {Array<string>} paths - Absolute or project-relative
+ * @returns {Array<string>} The changed paths, as given
+ */
+function changedPaths(db, projectRoot, paths) {
+  const lookup = db.prepare('SELECT size, mtime, hash FROM files WHERE path = ?');
+  return paths.filter((p) => {
+    const relPath = normalizePath(projectRoot, p);
+    const prev = lookup.get(relPath);
+    if (!prev) return true;
+    try {
+      const stat = fs.statSync(path.join(projectRoot, relPath));
+      if (prev.hash && prev.size === stat.size && prev.mtime === Math.floor(stat.mtimeMs)) return false;
+      return hashFile(projectRoot, relPath) !== prev.hash;
+    } catch (err) {
+      return true;
+    }
+  });
+}
+
+// size, mtime and hash of a file as one consistent reading, or null when it is
+// gone; a file rewritten while being hashed gets a null hash (changed next time)
+function snapshotFile(projectRoot, relPath) {
+  const fullPath = path.join(projectRoot, relPath);
+  try {
+    const before = fs.statSync(fullPath);
+    const hash = hashFile(projectRoot, relPath);
+    const after = fs.statSync(fullPath);
+    const stable = before.size === after.size && before.mtimeMs === after.mtimeMs;
+    return { size: after.size, mtime: Math.floor(after.mtimeMs), hash: stable ? hash : null };
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * `file` records (see records.js) for paths about to be exported. Taken before
+ * the export runs: ingest purges each path and stores its hash in the same
+ * transaction, so files that no longer define anything are still cleared, and
+ * an edit racing the export leaves an older hash (re-exported next time)
+ * @param {Array<string>} paths - Absolute or project-relative
+ */
+function fileRecords(projectRoot, paths) {
+  return paths.map((p) => {
+    const relPath = normalizePath(projectRoot, p);
+    const snapshot = snapshotFile(projectRoot, relPath);
+    return snapshot ? { kind: 'file', path: relPath, ...snapshot } : { kind: 'file', path: relPath, deleted: true };
+  });
+}
+
+/**
+ * Store a `file` record in the `files` table (deleted files are dropped from it)
+ * @returns {(record: Object, relPath: string) => void}
+ */
+function createFileRecorder(db) {
+  const upsert = db.prepare(`
+    INSERT INTO files (path, size, mtime, hash, indexed_at) VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(path) DO UPDATE SET size = excluded.size, mtime = excluded.mtime, hash = excluded.hash, indexed_at = excluded.indexed_at
+  `);
+  const remove = db.prepare('DELETE FROM files WHERE path = ?');
+  const now = new Date().toISOString();
+
+  return (record, relPath) => {
+    if (record.deleted) remove.run(relPath);
+    else upsert.run(relPath, record.size, record.mtime, record.hash || null, now);
+  };
+}
+
+/**
+ * Remove everything indexed from one source file
+ * @returns {(path: string) => void}
+ */
+function createPurger(db) {
+  const purgeFts = db.prepare('DELETE FROM functions_fts WHERE id IN (SELECT id FROM functions WHERE path = ?)');
+  const purgeEmbeddings = db.prepare('DELETE FROM embeddings WHERE id IN (SELECT id FROM functions WHERE path = ?)');
+  const purgeEdges = db.prepare('DELETE FROM edges WHERE src_id IN (SELECT id FROM functions WHERE path = ?)');
+  const unresolveEdges = db.prepare('UPDATE edges SET dst_id = NULL, resolved = 0 WHERE dst_id IN (SELECT id FROM functions WHERE path = ?)');
+  const purgeDirectives = db.prepare('DELETE FROM module_directives WHERE path = ?');
+  const purgeLiveViewRefs = db.prepare('DELETE FROM liveview_refs WHERE path = ?');
+  const purgeRoutes = db.prepare('DELETE FROM routes WHERE path = ?');
+  const purgeEctoSchemas = db.prepare('DELETE FROM ecto_schemas WHERE path = ?');
+  const purgeEctoFields = db.prepare('DELETE FROM ecto_fields WHERE path = ?');
+  const purgeFunctions = db.prepare('DELETE FROM functions WHERE path = ?');
+
+  // Order matters: FTS/embeddings/edges are found through functions rows
+  return (p) => {
+    purgeFts.run(p);
+    purgeEmbeddings.run(p);
+    purgeEdges.run(p);
+    unresolveEdges.run(p);
+    purgeDirectives.run(p);
+    purgeLiveViewRefs.run(p);
+    purgeRoutes.run(p);
+    purgeEctoSchemas.run(p);
+    purgeEctoFields.run(p);
+    purgeFunctions.run(p);
+  };
+}
+
+module.exports = { isIndexedSource, scanSourceFiles, diffFiles, changedPaths, fileRecords, createFileRecorder, createPurger };
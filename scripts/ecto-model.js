@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+
+// Ecto schema model read from the ecto_schemas/ecto_fields tables filled at
+// ingest (see parse-ecto.js): one schema with its fields, associations and
+// embeds, or the association graph between schemas.
+
+const ASSOCIATIONS = ['belongs_to', 'has_one', 'has_many', 'many_to_many'];
+const EMBEDS = ['embeds_one', 'embeds_many'];
+const RELATIONS = [...ASSOCIATIONS, ...EMBEDS];
+const IN_RELATIONS = `(${RELATIONS.map(c => `'${c}'`).join(', ')})`;
+
+/**
+ * Resolve a schema: exact module, then table name, then a unique module
+ * ending in it ("Accounts.User" finds "MyApp.Accounts.User")
+ */
+function resolveSchema(db, ref) {
+  const exact = db.prepare('SELECT * FROM ecto_schemas WHERE module = ?').get(ref);
+  if (exact) return exact;
+
+  const byTable = db.prepare('SELECT * FROM ecto_schemas WHERE source = ? ORDER BY module').all(ref);
+  if (byTable.length === 1) return byTable[0];
+  if (byTable.length > 1) throw new Error(`Ambiguous table ${ref}: ${byTable.map(s => s.module).join(', ')}`);
+
+  const suffix = '%.' + ref.replace(/[\\%_]/g, (c) => '\\' + c);
+  const matches = db.prepare("SELECT * FROM ecto_schemas WHERE module LIKE ? ESCAPE '\\' ORDER BY module").all(suffix);
+  if (matches.length === 1) return matches[0];
+  if (matches.length > 1) throw new Error(`Ambiguous schema ${ref}: ${matches.slice(0, 10).map(s => s.module).join(', ')}`);
+  throw new Error(`No Ecto schema found for: ${ref}`);
+}
+
+function fieldRows(db, module) {
+  return db.prepare('SELECT * FROM ecto_fields WHERE module = ? ORDER BY path, seq').all(module)
+    .map(row => ({ ...row, options: JSON.parse(row.options || '{}') }));
+}
+
+// Schema reached by a through: [:posts, :comments] chain, or null when a link is
+// not indexed (or the chain loops back on itself)
+function throughTarget(db, module, chain, depth = 0) {
+  if (depth > 10) return null;
+  const lookup = db.prepare(`SELECT related, options FROM ecto_fields WHERE module = ? AND name = ? AND category IN ${IN_RELATIONS}`);
+  let current = module;
+  for (const name of chain) {
+    const row = current && lookup.get(current, name);
+    if (!row) return null;
+    const options = JSON.parse(row.options || '{}');
+    current = row.related || (Array.isArray(options.through) ? throughTarget(db, current, options.through, depth + 1) : null);
+  }
+  return current;
+}
+
+function relatedModule(db, row) {
+  if (row.related) return row.related;
+  return Array.isArray(row.options.through) ? throughTarget(db, row.module, row.options.through) : null;
+}
+
+/**
+ * One schema: table, fields (primary key, fields, belongs_to foreign keys,
+ * timestamps), associations and embeds in definition order, and the schemas
+ * associating to it
+ * @param {Database} db - better-sqlite3 connection
+ * @param {string} ref - Module name, table name or a unique module suffix
+ */
+function ectoSchema(db, ref) {
+  const schema = resolveSchema(db, ref);
+  const tableOf = db.prepare('SELECT source FROM ecto_schemas WHERE module = ?');
+  const rows = fieldRows(db, schema.module);
+
+  const fields = rows.filter(row => !RELATIONS.includes(row.category)).map(row => ({
+    name: row.name,
+    type: row.type,
+    category: row.category,
+    options: row.options,
+    line: row.line
+  }));
+
+  const associations = rows.filter(row => ASSOCIATIONS.includes(row.category)).map(row => {
+    const related = relatedModule(db, row);
+    const target = related && tableOf.get(related);
+    return {
+      name: row.name,
+      cardinality: row.category,
+      related,
+      related_source: target ? target.source : null,
+      indexed: !!target,
+      options: row.options,
+      line: row.line
+    };
+  });
+
+  const embeds = rows.filter(row => EMBEDS.includes(row.category)).map(row => ({
+    name: row.name,
+    cardinality: row.category,
+    related: row.related,
+    inline: row.options.inline === true,
+    options: row.options,
+    line: row.line
+  }));
+
+  const referencedBy = db.prepare(`
+    SELECT module, name, category, path, line FROM ecto_fields
+    WHERE related = ? AND category IN ${IN_RELATIONS} AND module != ?
+    ORDER BY module, seq
+  `).all(schema.module, schema.module);
+
+  return {
+    module: schema.module,
+    source: schema.source,
+    embedded: !!schema.embedded,
+    location: { path: schema.path, start_line: schema.start_line, end_line: schema.end_line },
+    fields,
+    associations,
+    embeds,
+    referenced_by: referencedBy
+  };
+}
+
+/**
+ * Association and embed edges between all indexed schemas
+ * @param {Database} db - better-sqlite3 connection
+ * @param {Object} [opts]
+ * @param {string} [opts.filter] - Case-insensitive substring of a module or table name;
+ *   keeps the matching schemas, their edges and the schemas at the other end
+ */
+function schemaGraph(db, opts = {}) {
+  const schemas = db.prepare('SELECT module, source, embedded FROM ecto_schemas ORDER BY module').all()
+    .map(s => ({ module: s.module, source: s.source, embedded: !!s.embedded }));
+  const indexed = new Set(schemas.map(s => s.module));
+
+  const edges = db.prepare(`SELECT * FROM ecto_fields WHERE category IN ${IN_RELATIONS} ORDER BY module, path, seq`).all()
+    .map(row => {
+      const options = JSON.parse(row.options || '{}');
+      const edge = { from: row.module, to: relatedModule(db, { ...row, options }), name: row.name, category: row.category };
+      if (options.through) edge.through = options.through;
+      if (options.join_through) edge.join_through = options.join_through;
+      return edge;
+    });
+
+  const needle = opts.filter ? opts.filter.toLowerCase() : null;
+  const matched = new Set(schemas
+    .filter(s => !needle || [s.module, s.source || ''].some(v => v.toLowerCase().includes(needle)))
+    .map(s => s.module));
+  const keptEdges = edges.filter(e => matched.has(e.from) || matched.has(e.to));
+  const keep = new Set([...matched, ...keptEdges.flatMap(e => [e.from, e.to])]);
+
+  return {
+    schemas: schemas.filter(s => keep.has(s.module)),
+    edges: keptEdges,
+    // Associated modules without an indexed schema (dependencies, dynamic or misspelled targets)
+    missing: [...new Set(keptEdges.map(e => e.to).filter(to => to && !indexed.has(to)))].sort()
+  };
+}
+
+module.exports = { ectoSchema, schemaGraph };
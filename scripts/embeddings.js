@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+
+// Offline semantic vectors for `functions` rows.
+//
+// Vectors are hashed n-gram embeddings (feature hashing over identifier parts,
+// word bigrams and character trigrams): deterministic, CPU-only and free of
+// model downloads. They capture shared vocabulary across names, docs, specs and
+// body keywords ("fetch user" ≈ get_user/1 documented as "Fetch a user"),
+// which bm25 alone misses when terms are split differently.
+
+const { identifierParts } = require('./fts');
+
+const EMBEDDING_MODEL = 'hash-ngram-v1';
+const EMBEDDING_DIM = 256;
+
+// FNV-1a, 32-bit
+function hash(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+function addFeature(vec, feature, weight) {
+  const h = hash(feature);
+  const sign = (h & 0x80000000) ? -1 : 1;
+  vec[h % EMBEDDING_DIM] += sign * weight;
+}
+
+/**
+ * Embed free text into a unit-length vector
+ * @param {string} text
+ * @returns {Float32Array} Vector of EMBEDDING_DIM (all zeros when text has no words)
+ */
+function embedText(text) {
+  const vec = new Float32Array(EMBEDDING_DIM);
+  const words = identifierParts(text).filter(w => w.length > 1);
+
+  for (let i = 0; i < words.length; i++) {
+    const word = words[i];
+    addFeature(vec, `w:${word}`, 1);
+    if (i > 0) addFeature(vec, `b:${words[i - 1]}_${word}`, 0.5);
+    const padded = `^${word}$`;
+    for (let j = 0; j + 3 <= padded.length; j++) {
+      addFeature(vec, `t:${padded.slice(j, j + 3)}`, 0.25);
+    }
+  }
+
+  let norm = 0;
+  for (let i = 0; i < vec.length; i++) norm += vec[i] * vec[i];
+  norm = Math.sqrt(norm);
+  if (norm > 0) {
+    for (let i = 0; i < vec.length; i++) vec[i] /= norm;
+  }
+  return vec;
+}
+
+/**
+ * Text embedded for an exported record: name first (twice, to weight it), then docs and body
+ */
+function embeddingText(func, spec, doc) {
+  return [func.name, func.name, func.module, func.signature, doc, spec, func.lexical_text]
+    .filter(Boolean)
+    .join(' ');
+}
+
+function toBlob(vec) {
+  return Buffer.from(vec.buffer, vec.byteOffset, vec.byteLength);
+}
+
+function fromBlob(blob) {
+  // Copy: SQLite buffers are not guaranteed to be 4-byte aligned
+  return new Float32Array(Uint8Array.from(blob).buffer);
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+/**
+ * Load all vectors (with the metadata needed for filtering) into memory for brute-force search
+ * @param {Database} db - better-sqlite3 connection
+ */
+function createVectorIndex(db) {
+  const rows = db.prepare(`
+    SELECT f.id, f.module, f.name, f.arity, f.kind, f.path, f.app, f.start_line, f.end_line, f.signature, e.vector
+    FROM embeddings e
+    JOIN functions f ON f.id = e.id
+    WHERE e.model = ? AND e.dim = ?
+  `).all(EMBEDDING_MODEL, EMBEDDING_DIM);
+
+  const entries = rows.map(({ vector, ...row }) => ({ row, vec: fromBlob(vector) }));
+
+  return {
+    size: entries.length,
+
+    /**
+     * Rows most similar to `text`, best first
+     * @param {string} text - Query text
+     * @param {Object} opts - { limit, filter: (row) => boolean, minSimilarity }
+     * @returns {Array} Rows with `similarity` (cosine, -1..1)
+     */
+    search(text, opts = {}) {
+      const limit = opts.limit || 10;
+      const minSimilarity = opts.minSimilarity !== undefined ? opts.minSimilarity : 0.05;
+      const query = embedText(text);
+      const scored = [];
+      for (const { row, vec } of entries) {
+        if (opts.filter && !opts.filter(row)) continue;
+        const similarity = dot(query, vec);
+        if (similarity >= minSimilarity) scored.push({ ...row, similarity: Number(similarity.toFixed(4)) });
+      }
+      return scored.sort((a, b) => b.similarity - a.similarity).slice(0, limit);
+    }
+  };
+}
+
+module.exports = {
+  EMBEDDING_MODEL,
+  EMBEDDING_DIM,
+  embedText,
+  embeddingText,
+  toBlob,
+  createVectorIndex
+};
@@ -18,6 +18,9 @@ rescue
 end
 
 defmodule Exporter do
+  # Recorded in the index meta table; bump when the JSONL shape changes
+  @exporter_version "2.1.0"
+
   # Macro calls we want to index as searchable entries
   @indexed_macros ~w(defevent field belongs_to has_many has_one embeds_one embeds_many
                      many_to_many timestamps plug pipe_through live get post put patch delete
@@ -101,11 +104,16 @@ defmodule Exporter do
         %{primary | calls: merged_calls, end_line: last.end_line}
       end)
 
+    # Header line: consumed by ingest, never stored as an entry
+    header = %{kind: "meta", exporter_version: @exporter_version}
+
     if out_path do
       {:ok, io} = File.open(out_path, [:write, :binary])
+      IO.binwrite(io, Jason.encode!(header) <> "\n")
       Enum.each(unique_defs, fn defn -> IO.binwrite(io, Jason.encode!(defn) <> "\n") end)
       File.close(io)
     else
+      IO.puts(Jason.encode!(header))
       Enum.each(unique_defs, &IO.puts(Jason.encode!(&1)))
     end
 
@@ -167,6 +175,26 @@ defmodule Exporter do
           }
           {node, {[use_entry | defs], attrs, %{meta | uses: [used_name | meta.uses]}}}
 
+        # alias MyApp.Accounts / alias MyApp.Accounts, as: Acc / alias MyApp.{Accounts, Repo}
+        {:alias, meta_a, [alias_ast | rest]} = node, {defs, attrs, meta} ->
+          opts = List.first(rest)
+          entries =
+            alias_ast
+            |> expand_alias_targets(module_name)
+            |> Enum.map(fn target ->
+              as = alias_as(opts, target)
+              build_directive_entry("alias", target, as, node, meta_a, module_name, file, module_line)
+            end)
+          {node, {entries ++ defs, attrs, meta}}
+
+        # import SomeModule (only:/except: are not tracked)
+        {:import, meta_i, [import_ast | _rest]} = node, {defs, attrs, meta} ->
+          entries =
+            import_ast
+            |> expand_alias_targets(module_name)
+            |> Enum.map(&build_directive_entry("import", &1, nil, node, meta_i, module_name, file, module_line))
+          {node, {entries ++ defs, attrs, meta}}
+
         # @doc
         {:@, _, [{:doc, _, [doc_string]}]} = node, {defs, attrs, meta} ->
           {node, {defs, Map.put(attrs, :pending_doc, doc_string), meta}}
@@ -254,6 +282,54 @@ defmodule Exporter do
     }
   end
 
+  # alias/import directive, carrying the fully-qualified target so ingest can resolve calls
+  defp build_directive_entry(kind, target, as, node, meta, module_name, file, module_line) do
+    line = meta[:line] || module_line
+    signature = if as, do: "#{kind} #{target}, as: #{as}", else: "#{kind} #{target}"
+
+    %{
+      id: make_id(module_name, "#{kind}_#{target}", 0, file),
+      module: module_name,
+      name: "#{kind} #{target}",
+      arity: 0,
+      kind: kind,
+      path: file,
+      start_line: line,
+      end_line: line,
+      signature: signature,
+      spec: nil,
+      doc: nil,
+      lexical_text: "#{module_name} #{kind} #{target}",
+      struct_text: Macro.to_string(node),
+      calls: [],
+      target: target,
+      as: as
+    }
+  end
+
+  defp expand_alias_targets({{:., _, [base, :{}]}, _, children}, module_name) do
+    prefix = expand_module(base, module_name)
+    Enum.map(children, &"#{prefix}.#{expand_module(&1, module_name)}")
+  end
+
+  defp expand_alias_targets(ast, module_name), do: [expand_module(ast, module_name)]
+
+  defp alias_as(opts, target) do
+    case is_list(opts) && Keyword.get(opts, :as) do
+      nil -> target |> String.split(".") |> List.last()
+      false -> target |> String.split(".") |> List.last()
+      as_ast -> module_to_string(as_ast)
+    end
+  end
+
+  # Expands __MODULE__ references against the enclosing module
+  def expand_module({:__aliases__, _, [{:__MODULE__, _, _} | rest]}, module_name) do
+    Enum.map_join([module_name | rest], ".", &to_string/1)
+  end
+
+  def expand_module({:__MODULE__, _, _}, module_name), do: module_name
+  def expand_module(ast, _module_name), do: module_to_string(ast)
+
   defp extract_macro_call(_node, meta, macro_name, macro_args, module_name, file) do
     # Build a readable signature from the macro arguments
     first_arg = List.first(macro_args)
@@ -357,7 +433,7 @@ defmodule Exporter do
     lexical_text = lexical_parts |> Enum.reject(&is_nil/1) |> Enum.join(" ")
 
     struct_text = Macro.to_string(node)
-    calls = extract_calls(node)
+    calls = extract_calls(body_list || [])
 
     %{
       id: make_id(module_name, name, arity, file),
@@ -379,6 +455,10 @@ defmodule Exporter do
 
   def extract_calls(node) do
     Macro.prewalk(node, [], fn
+      # Piped calls receive one more argument than they are written with
+      {:|>, meta, [lhs, {call, call_meta, args}]}, acc when is_list(args) ->
+        {{:|>, meta, [lhs, {call, call_meta, [:__piped__ | args]}]}, acc}
+
       {{:., _, [module, func]}, _meta, args} = call, acc when is_list(args) ->
         mfa = "#{module_to_string(module)}.#{func}/#{length(args)}"
         {call, [mfa | acc]}
@@ -387,6 +467,13 @@ defmodule Exporter do
         mfa = "#{func}/#{length(args)}"
         {call, [mfa | acc]}
 
+      # Local or imported call; resolved against aliases/imports at ingest time
+      {name, _meta, args} = call, acc when is_atom(name) and is_list(args) ->
+        case local_call_mfa(name, length(args)) do
+          nil -> {call, acc}
+          mfa -> {call, [mfa | acc]}
+        end
+
       node, acc ->
         {node, acc}
     end)
@@ -394,8 +481,24 @@ defmodule Exporter do
     |> Enum.uniq()
   end
 
+  defp local_call_mfa(name, arity) do
+    name_str = Atom.to_string(name)
+
+    cond do
+      name == :when or String.starts_with?(name_str, "__") -> nil
+      not String.match?(name_str, ~r/^[a-z_][a-zA-Z0-9_]*[?!]?$/) -> nil
+      # Control flow and definition forms are not calls
+      macro_exported?(Kernel.SpecialForms, name, arity) or macro_exported?(Kernel, name, arity) -> nil
+      function_exported?(Kernel, name, arity) -> "Kernel.#{name}/#{arity}"
+      true -> "#{name}/#{arity}"
+    end
+  end
+
   def module_to_string({:__aliases__, _, aliases}) do
-    Enum.map_join(aliases, ".", &to_string/1)
+    Enum.map_join(aliases, ".", fn
+      segment when is_atom(segment) -> to_string(segment)
+      other -> Macro.to_string(other)
+    end)
   end
   def module_to_string(atom) when is_atom(atom), do: to_string(atom)
   def module_to_string(other), do: Macro.to_string(other)
@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+
+// Pure-JS exporter: the export.exs command line and JSONL output, produced by
+// parse-elixir.js instead of the Elixir compiler. For CI containers, sandboxes
+// and projects that do not compile; selected with `--exporter js` and used
+// automatically when `mix run export.exs` fails (see exporter.js).
+//
+// Usage: node export.js [--root <project_root>] [--out <file>] [--quiet] [--files <paths...>]
+// Without --files, scans the same files as export.exs. Paths are relative to --root (default: cwd).
+
+const fs = require('fs');
+const path = require('path');
+const { parseElixirSource } = require('./parse-elixir');
+const { scanSourceFiles } = require('./changes');
+const { normalizePath } = require('./paths');
+
+// Same JSONL shape as export.exs 2.1.0; the suffix tells the two apart in index_status
+const EXPORTER_VERSION = '2.1.0-js';
+
+const VALUE_FLAGS = new Set(['--root', '--out', '--file']);
+
+function parseArgs(argv) {
+  const opts = { files: null, rest: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (VALUE_FLAGS.has(arg)) opts[arg.slice(2)] = argv[++i];
+    else if (arg === '--files') opts.files = [];
+    else if (arg === '--quiet') opts.quiet = true;
+    else opts.rest.push(arg);
+  }
+  return opts;
+}
+
+const opts = parseArgs(process.argv.slice(2));
+const projectRoot = path.resolve(opts.root || process.cwd());
+
+let files;
+if (opts.files) {
+  // --files: remaining args are file paths (for incremental rebuild)
+  files = opts.rest
+    .filter(f => f.endsWith('.ex') || f.endsWith('.exs'))
+    .filter(f => fs.existsSync(path.resolve(projectRoot, f)));
+} else if (opts.file) {
+  files = [opts.file];
+} else {
+  files = scanSourceFiles(projectRoot).map(f => f.path).filter(f => !f.endsWith('.heex'));
+}
+
+let processed = 0;
+let skipped = 0;
+const records = [];
+
+for (const file of files) {
+  const relPath = normalizePath(projectRoot, file);
+  try {
+    records.push(...parseElixirSource(relPath, fs.readFileSync(path.resolve(projectRoot, relPath), 'utf8')));
+    processed++;
+  } catch (err) {
+    if (!opts.quiet) console.error(`Extract error in ${relPath}: ${err.message}`);
+    skipped++;
+  }
+}
+
+// Header line: consumed by ingest, never stored as an entry
+const lines = [{ kind: 'meta', exporter_version: EXPORTER_VERSION }, ...records].map(r => JSON.stringify(r) + '\n');
+
+if (opts.out) {
+  fs.writeFileSync(opts.out, lines.join(''));
+} else {
+  process.stdout.write(lines.join(''));
+}
+
+if (!opts.quiet) {
+  const kinds = {};
+  for (const r of records) kinds[r.kind] = (kinds[r.kind] || 0) + 1;
+  console.error(`Files: ${files.length} (${processed} ok, ${skipped} skipped)`);
+  console.error(`Entries: ${records.length} — ${JSON.stringify(kinds)}`);
+}
@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+
+// Runs an export for the watcher and the MCP server: export.exs through mix,
+// or export.js when the exporter is "js" or mix fails (not installed, project
+// does not compile). build.js does the same synchronously through a login shell.
+
+const { spawn } = require('child_process');
+const path = require('path');
+const { logger } = require('./logger');
+
+const JS_EXPORTER = path.resolve(__dirname, 'export.js');
+
+// Limit for one export or ingest child. Large projects take minutes; past this
+// the child is hung (mix waiting on a build lock, a stuck compile) and is killed.
+const CHILD_TIMEOUT_MS = 15 * 60 * 1000;
+
+function collect(command, args, cwd, onStderr, timeoutMs) {
+  return new Promise((resolve) => {
+    const child = spawn(command, args, { cwd, stdio: ['ignore', 'pipe', 'pipe'] });
+    let stdout = '';
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      onStderr(`${command} killed after ${timeoutMs}ms\n`);
+      child.kill();
+    }, timeoutMs);
+    child.stdout.on('data', (d) => { stdout += d.toString(); });
+    child.stderr.on('data', (d) => onStderr(d.toString()));
+    // 'close' also follows a failed spawn (e.g. mix not on PATH)
+    child.on('error', (err) => onStderr(`${command}: ${err.message}\n`));
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      resolve({ code, stdout, timedOut });
+    });
+  });
+}
+
+/**
+ * Export files (or, without --files in args, the whole project) as JSONL
+ * @param {Object} options
+ * @param {string} options.exporter - Path to export.exs, or "js"
+ * @param {string} options.root - Project root; the exporter runs from it
+ * @param {Array<string>} options.args - Exporter args, e.g. ['--files', '--quiet', ...paths]
+ * @param {Function} [options.onStderr] - Receives exporter stderr chunks
+ * @param {number} [options.timeoutMs=CHILD_TIMEOUT_MS] - Kills an exporter running longer
+ *   (a killed mix export also falls back to the JS exporter)
+ * @returns {Promise<{stdout: string, exporter: string}>} exporter: "mix" or "js"
+ */
+async function runExport({ exporter, root, args, onStderr = () => {}, timeoutMs = CHILD_TIMEOUT_MS }) {
+  if (exporter !== 'js') {
+    const res = await collect('mix', ['run', '--no-compile', '--no-start', exporter, ...args], root, onStderr, timeoutMs);
+    if (res.code === 0) return { stdout: res.stdout, exporter: 'mix' };
+    logger.warn('Elixir export failed, falling back to the JS exporter', { code: res.code, timed_out: res.timedOut });
+    onStderr(`mix export exited with code ${res.code}; falling back to the JS exporter\n`);
+  }
+
+  const res = await collect(process.execPath, [JS_EXPORTER, '--root', root, ...args], root, onStderr, timeoutMs);
+  if (res.timedOut) throw new Error(`JS export timed out after ${timeoutMs}ms`);
+  if (res.code !== 0) throw new Error(`JS export exited with code ${res.code}`);
+  return { stdout: res.stdout, exporter: 'js' };
+}
+
+module.exports = { JS_EXPORTER, CHILD_TIMEOUT_MS, runExport };
@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+
+// Structured search filters (kind, module prefix, path glob, arity, tests, visibility)
+
+const path = require('path');
+
+// visibility: only definitions; modules, directives, macro calls and templates match neither
+const VISIBILITY_KINDS = {
+  public: ['function', 'macro'],
+  private: ['function_private', 'macro_private']
+};
+const TEST_GLOBS = ['test/*', '*/test/*', '*_test.exs'];
+
+/**
+ * Normalize a glob for SQLite GLOB, where `*` already crosses `/`:
+ * `**\/` collapses to `*` so "lib/**\/user.ex" also matches "lib/user.ex"
+ */
+function normalizeGlob(glob) {
+  return glob.replace(/\*\*\//g, '*').replace(/\*\*/g, '*');
+}
+
+/**
+ * Glob for stored absolute paths (outside the project root): matched at any depth
+ */
+function absoluteGlob(glob) {
+  return glob.startsWith('/') || glob.startsWith('*') ? glob : '*/' + glob;
+}
+
+function visibilityOf(value) {
+  if (!value) return null;
+  if (value === 'public' || value === 'def') return 'public';
+  if (value === 'private' || value === 'defp') return 'private';
+  throw new Error(`Unknown visibility: ${value} (expected public or private)`);
+}
+
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, (c) => '\\' + c);
+}
+
+/**
+ * Pick filter options out of tool/CLI params, dropping empty ones
+ * @param {Object} params - Raw params
+ * @returns {Object} Filters: { kinds, module_prefix, path_glob, arity, exclude_tests, visibility }
+ */
+function parseFilters(params = {}) {
+  const filters = {};
+  if (params.kinds) {
+    const kinds = Array.isArray(params.kinds) ? params.kinds : String(params.kinds).split(',');
+    const cleaned = kinds.map(k => k.trim()).filter(Boolean);
+    if (cleaned.length > 0) filters.kinds = cleaned;
+  }
+  if (params.module_prefix) filters.module_prefix = String(params.module_prefix).replace(/\.$/, '');
+  if (params.path_glob) filters.path_glob = String(params.path_glob);
+  if (params.arity !== undefined && params.arity !== null && params.arity !== '') {
+    const arity = parseInt(params.arity, 10);
+    if (!Number.isFinite(arity)) throw new Error(`Invalid arity: ${params.arity}`);
+    filters.arity = arity;
+  }
+  if (params.exclude_tests) filters.exclude_tests = true;
+  const visibility = visibilityOf(params.visibility);
+  if (visibility) filters.visibility = visibility;
+  return filters;
+}
+
+function hasFilters(filters) {
+  return Object.keys(filters).length > 0;
+}
+
+/**
+ * Compile filters to a SQL fragment over the `functions` table
+ * @param {Object} filters - Output of parseFilters
+ * @param {string} alias - Table alias for `functions` in the query
+ * @returns {{sql: string, params: Array}} Fragment starting with " AND " (empty when no filters)
+ */
+function buildFilterClause(filters, alias = 'f') {
+  const clauses = [];
+  const params = [];
+
+  if (filters.kinds) {
+    clauses.push(`${alias}.kind IN (${filters.kinds.map(() => '?').join(',')})`);
+    params.push(...filters.kinds);
+  }
+  if (filters.module_prefix) {
+    clauses.push(`(${alias}.module = ? OR ${alias}.module LIKE ? ESCAPE '\\')`);
+    params.push(filters.module_prefix, escapeLike(filters.module_prefix) + '.%');
+  }
+  if (filters.path_glob) {
+    // Stored paths may be project-relative or absolute; relative ones match from the root
+    const glob = normalizeGlob(filters.path_glob);
+    clauses.push(`(${alias}.path GLOB ? OR (${alias}.path GLOB '/*' AND ${alias}.path GLOB ?))`);
+    params.push(glob, absoluteGlob(glob));
+  }
+  if (filters.arity !== undefined) {
+    clauses.push(`${alias}.arity = ?`);
+    params.push(filters.arity);
+  }
+  if (filters.exclude_tests) {
+    clauses.push(TEST_GLOBS.map(() => `${alias}.path NOT GLOB ?`).join(' AND '));
+    params.push(...TEST_GLOBS);
+  }
+  if (filters.visibility) {
+    const kinds = VISIBILITY_KINDS[filters.visibility];
+    clauses.push(`${alias}.kind IN (${kinds.map(() => '?').join(',')})`);
+    params.push(...kinds);
+  }
+
+  if (clauses.length === 0) return { sql: '', params: [] };
+  return { sql: ' AND ' + clauses.join(' AND '), params };
+}
+
+// JS equivalent of SQLite GLOB (`*`, `?`, `[...]`; `*` crosses `/`)
+function globToRegExp(glob) {
+  let re = '';
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === '*') re += '.*';
+    else if (c === '?') re += '.';
+    else if (c === '[') {
+      const end = glob.indexOf(']', i + 1);
+      if (end === -1) { re += '\\['; continue; }
+      const body = glob.slice(i + 1, end).replace(/^\^/, '!');
+      re += '[' + (body.startsWith('!') ? '^' + body.slice(1) : body).replace(/\\/g, '\\\\') + ']';
+      i = end;
+    } else re += c.replace(/[.+^${}()|\\\/]/g, '\\$&');
+  }
+  return new RegExp('^' + re + '$');
+}
+
+/**
+ * Check a result that did not come from SQL (e.g. ripgrep) against the filters.
+ * Filters on fields the row does not know (kind, arity) reject it.
+ */
+function matchesFilters(row, filters, projectRoot) {
+  const relPath = row.path && path.isAbsolute(row.path) ? path.relative(projectRoot, row.path) : row.path;
+
+  if (filters.kinds && !filters.kinds.includes(row.kind)) return false;
+  if (filters.module_prefix) {
+    const m = row.module || '';
+    if (m !== filters.module_prefix && !m.startsWith(filters.module_prefix + '.')) return false;
+  }
+  if (filters.path_glob) {
+    // Like buildFilterClause: paths inside the project from its root, others at any depth
+    const glob = normalizeGlob(filters.path_glob);
+    if (!relPath) return false;
+    const outside = path.isAbsolute(relPath) || relPath.startsWith('..');
+    if (!globToRegExp(glob).test(outside ? row.path : relPath) &&
+        !(outside && globToRegExp(absoluteGlob(glob)).test(row.path))) return false;
+  }
+  if (filters.arity !== undefined && row.arity !== filters.arity) return false;
+  if (filters.exclude_tests && relPath && TEST_GLOBS.some(g => globToRegExp(g).test(relPath))) return false;
+  if (filters.visibility) {
+    if (!VISIBILITY_KINDS[filters.visibility].includes(row.kind)) return false;
+  }
+  return true;
+}
+
+module.exports = { parseFilters, hasFilters, buildFilterClause, matchesFilters };
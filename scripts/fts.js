@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+
+// FTS5 schema for functions_fts: identifier-aware columns with bm25 weights.
+//
+// The tokenizer keeps `_` inside tokens, so `get_user_by_email` is one token in
+// `name`/`body`; the *_parts columns carry its pieces (get, user, by, email), the
+// CamelCase/segment split of module names (MyApp.Accounts → my, app, accounts)
+// and `?`/`!`-stripped names, so partial words still match with a lower weight.
+
+const FTS_COLUMNS = ['id', 'name', 'name_parts', 'module', 'module_parts', 'doc', 'body'];
+
+const FTS_SCHEMA = `CREATE VIRTUAL TABLE functions_fts USING fts5(
+  id UNINDEXED, name, name_parts, module, module_parts, doc, body,
+  tokenize = "unicode61 tokenchars '_'"
+)`;
+
+// Column weights in FTS_COLUMNS order: name > module > doc > body keywords
+const BM25_WEIGHTS = [0, 10, 5, 4, 2, 2, 1];
+const BM25 = `bm25(functions_fts, ${BM25_WEIGHTS.map(w => w.toFixed(1)).join(', ')})`;
+
+function splitCamel(word) {
+  return word
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+    .split(' ');
+}
+
+/**
+ * Sub-tokens of an identifier or module name
+ * @param {string} text - e.g. "get_user_by_email", "valid?", "MyApp.HTTPClient"
+ * @returns {Array<string>} Unique lowercase parts
+ */
+function identifierParts(text) {
+  const parts = new Set();
+  for (const ident of String(text || '').split(/[^A-Za-z0-9_?!]+/)) {
+    const stripped = ident.replace(/[?!]+$/, '');
+    if (!stripped) continue;
+    parts.add(stripped.toLowerCase());
+    for (const piece of stripped.split('_')) {
+      for (const sub of splitCamel(piece)) {
+        if (sub) parts.add(sub.toLowerCase());
+      }
+    }
+  }
+  return [...parts];
+}
+
+/**
+ * Column values for one functions_fts row, in FTS_COLUMNS order
+ */
+function buildFtsRow(func, spec, doc) {
+  const moduleName = func.module || '';
+  return [
+    func.id,
+    func.name || '',
+    identifierParts(func.name).join(' '),
+    moduleName,
+    identifierParts(moduleName).join(' '),
+    [doc, spec].filter(Boolean).join(' '),
+    func.lexical_text || ''
+  ];
+}
+
+module.exports = { FTS_COLUMNS, FTS_SCHEMA, BM25, identifierParts, buildFtsRow };
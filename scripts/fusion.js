@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+
+// Reciprocal-rank fusion of FTS and ripgrep results.
+//
+// bm25 and ripgrep scores are not comparable, so only ranks are combined:
+// score(d) = Σ 1 / (RRF_K + rank_source(d)). Ripgrep line hits are first
+// folded into the indexed function enclosing them so a hit inside an FTS
+// result reinforces it instead of showing up as a duplicate.
+
+const RRF_K = 60;
+
+/**
+ * Collapse ripgrep hits onto enclosing entries, keeping the best-ranked hit per entry
+ * @param {Array} hits - ripgrepSearch results, best first
+ * @param {Object} locator - createLocator() instance
+ * @returns {Array<{key: string, row: Object|null, hit: Object, lines: Array<number>}>}
+ */
+function groupRipgrepHits(hits, locator) {
+  const groups = new Map();
+  for (const hit of hits) {
+    const row = locator.enclosing(hit.path, hit.line_number);
+    const key = row ? row.id : `${hit.path}:${hit.line_number}`;
+    if (groups.has(key)) {
+      groups.get(key).lines.push(hit.line_number);
+      continue;
+    }
+    groups.set(key, { key, row, hit, lines: [hit.line_number] });
+  }
+  return [...groups.values()];
+}
+
+/**
+ * Fuse ranked lists. Each list is { source, items: [{ key, row, detail }] } in rank order.
+ * @returns {Array} Rows with `rrf_score`, combined `source` and per-source `provenance`
+ */
+function fuseRrf(lists) {
+  const fused = new Map();
+  for (const { source, items } of lists) {
+    items.forEach((item, i) => {
+      const rank = i + 1;
+      const contribution = 1 / (RRF_K + rank);
+      if (!fused.has(item.key)) {
+        fused.set(item.key, { row: item.row, score: 0, provenance: [] });
+      }
+      const entry = fused.get(item.key);
+      entry.score += contribution;
+      entry.provenance.push({ source, rank, ...item.detail });
+    });
+  }
+
+  return [...fused.values()]
+    .sort((a, b) => b.score - a.score)
+    .map(({ row, score, provenance }) => ({
+      ...row,
+      source: provenance.map(p => p.source).join('+'),
+      rrf_score: Number(score.toFixed(6)),
+      provenance
+    }));
+}
+
+module.exports = { fuseRrf, groupRipgrepHits, RRF_K };
@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+
+// Git-aware change sets: what changed between a commit and the working tree.
+//
+// The index records the HEAD it was built from (meta.git_head); diffing from
+// there catches branch switches and edits made while no watcher was running.
+
+const { spawnSync } = require('child_process');
+const { isIndexedSource } = require('./changes');
+
+function git(projectRoot, args) {
+  const res = spawnSync('git', args, { cwd: projectRoot, encoding: 'utf8', maxBuffer: 64 * 1024 * 1024 });
+  if (res.error) throw new Error(`git ${args[0]} failed: ${res.error.message}`);
+  if (res.status !== 0) throw new Error(`git ${args[0]} failed: ${(res.stderr || '').trim()}`);
+  return res.stdout;
+}
+
+/**
+ * Current HEAD commit, or null outside a git work tree (or without git)
+ */
+function gitHead(projectRoot) {
+  try {
+    return git(projectRoot, ['rev-parse', '--verify', 'HEAD']).trim();
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Indexed source files changed between `since` and the working tree (including untracked files)
+ * @param {string} projectRoot - Paths are reported relative to this directory
+ * @param {string} since - Commit-ish, e.g. "main", "HEAD~3" or a recorded git_head
+ * @returns {{added: Array<string>, modified: Array<string>, deleted: Array<string>, renamed: Array<{from: string, to: string}>}}
+ * @throws When `since` is not a commit or projectRoot is not in a git work tree
+ */
+function gitChanges(projectRoot, since) {
+  if (!since || since.startsWith('-')) throw new Error(`Invalid git ref: ${since}`);
+  try {
+    git(projectRoot, ['rev-parse', '--verify', '--quiet', `${since}^{commit}`]);
+  } catch (err) {
+    throw new Error(`Unknown git ref: ${since}`);
+  }
+
+  const changes = { added: [], modified: [], deleted: [], renamed: [] };
+
+  // -z: NUL-separated "status, path[, new path]" so odd file names survive
+  const fields = git(projectRoot, ['diff', '--name-status', '-z', '-M', '--relative', since, '--']).split('\0');
+  for (let i = 0; i < fields.length && fields[i]; ) {
+    const status = fields[i++];
+    if (status[0] === 'R' || status[0] === 'C') {
+      const from = fields[i++];
+      const to = fields[i++];
+      if (status[0] === 'R') {
+        changes.renamed.push({ from, to });
+      } else if (isIndexedSource(to)) {
+        changes.added.push(to);
+      }
+      continue;
+    }
+    const file = fields[i++];
+    if (!isIndexedSource(file)) continue;
+    if (status === 'A') changes.added.push(file);
+    else if (status === 'D') changes.deleted.push(file);
+    else changes.modified.push(file); // M, T (type change), U (unmerged)
+  }
+
+  // Renames in or out of indexed locations degrade to a delete or an add
+  changes.renamed = changes.renamed.filter(({ from, to }) => {
+    if (isIndexedSource(from) && isIndexedSource(to)) return true;
+    if (isIndexedSource(from)) changes.deleted.push(from);
+    if (isIndexedSource(to)) changes.added.push(to);
+    return false;
+  });
+
+  for (const file of git(projectRoot, ['ls-files', '--others', '--exclude-standard', '-z']).split('\0')) {
+    if (file && isIndexedSource(file)) changes.added.push(file);
+  }
+
+  return changes;
+}
+
+module.exports = { gitHead, gitChanges };
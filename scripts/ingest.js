@@ -2,149 +2,369 @@
 
 const fs = require('fs');
 const path = require('path');
+const readline = require('readline');
 const Database = require('better-sqlite3');
+const { resolveEdges } = require('./resolve-edges');
+const { FTS_COLUMNS, buildFtsRow } = require('./fts');
+const { createSchema, ensureSchema, setMeta } = require('./schema');
+const { validateRecord } = require('./records');
+const { createPurger, createFileRecorder } = require('./changes');
+const { gitHead } = require('./git');
+const { normalizePath, appForPath } = require('./paths');
+const { EMBEDDING_MODEL, EMBEDDING_DIM, embedText, embeddingText, toBlob } = require('./embeddings');
 
-// Parse args: node ingest.js <jsonl_file> <db_file> [--incremental]
+// Parse args: node ingest.js <jsonl_file> <db_file> [--incremental] [--strict] [--root <project_root>]
 const args = process.argv.slice(2);
 const incrementalIdx = args.indexOf('--incremental');
 const incremental = incrementalIdx !== -1;
 if (incrementalIdx !== -1) args.splice(incrementalIdx, 1);
+const strictIdx = args.indexOf('--strict');
+const strict = strictIdx !== -1;
+if (strictIdx !== -1) args.splice(strictIdx, 1);
+const rootIdx = args.indexOf('--root');
+const projectRoot = rootIdx !== -1 ? args[rootIdx + 1] : process.env.PROJECT_ROOT;
+if (rootIdx !== -1) args.splice(rootIdx, 2);
 
 const jsonlFile = args[0];
 const dbFile = args[1];
 
 if (!jsonlFile || !dbFile) {
-  console.error('Usage: node ingest.js <jsonl_file> <db_file> [--incremental]');
+  console.error('Usage: node ingest.js <jsonl_file> <db_file> [--incremental] [--strict] [--root <project_root>]');
   process.exit(1);
 }
 
-const db = new Database(dbFile);
+// Full rebuilds write a shadow database and rename it over dbFile when done, so
+// readers never see a half-built index and a failed run leaves the old one intact
+const buildFile = incremental ? dbFile : `${dbFile}.building-${process.pid}`;
+let swapped = incremental;
 
 if (!incremental) {
-  // Full rebuild: drop and recreate for clean state
-  db.exec('DROP TABLE IF EXISTS functions');
-  db.exec('DROP TABLE IF EXISTS edges');
-  db.exec('DROP TABLE IF EXISTS functions_fts');
-
-  db.exec('CREATE TABLE functions (id TEXT PRIMARY KEY, module TEXT, name TEXT, arity INTEGER, kind TEXT DEFAULT \'function\', path TEXT, start_line INTEGER, end_line INTEGER, signature TEXT, spec TEXT, doc TEXT, lexical_text TEXT, struct_text TEXT)');
-  db.exec('CREATE TABLE edges (src_id TEXT, dst_mfa TEXT, kind TEXT, UNIQUE(src_id, dst_mfa, kind))');
-  db.exec('CREATE VIRTUAL TABLE functions_fts USING fts5(id, module, lexical_text)');
-  db.exec('CREATE INDEX idx_functions_module_name_arity ON functions(module, name, arity)');
-  db.exec('CREATE INDEX idx_functions_path ON functions(path)');
-  db.exec('CREATE INDEX idx_functions_kind ON functions(kind)');
-  db.exec('CREATE INDEX idx_edges_dst ON edges(dst_mfa)');
+  fs.rmSync(buildFile, { force: true });
+  process.on('exit', () => {
+    if (!swapped) fs.rmSync(buildFile, { force: true });
+  });
+  // Killed by a parent's timeout: still remove the shadow file
+  process.on('SIGTERM', () => process.exit(143));
+}
+
+const db = new Database(buildFile);
+// Incremental runs share the live index with the MCP server (WAL) and other writers
+db.pragma('busy_timeout = 5000');
+
+if (!incremental) {
+  createSchema(db);
 } else {
-  // Incremental: ensure tables exist (no-op if they do)
+  // Incremental: upgrade older indexes in place, refuse missing or newer ones
   try {
-    db.prepare('SELECT count(*) FROM functions').get();
+    const schema = ensureSchema(db);
+    if (schema.migrated.length > 0) {
+      console.error(`Migrated index schema v${schema.from} → v${schema.version}: ${schema.migrated.join('; ')}`);
+    }
   } catch (err) {
-    console.error('Database schema missing. Run a full rebuild first (without --incremental).');
+    console.error(err.message);
     process.exit(1);
   }
 }
 
 // Prepare statements
 const insertFunction = db.prepare(`
-  INSERT OR REPLACE INTO functions (id, module, name, arity, kind, path, start_line, end_line, signature, spec, doc, lexical_text, struct_text)
-  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  INSERT OR REPLACE INTO functions (id, module, name, arity, kind, path, app, start_line, end_line, signature, spec, doc, lexical_text, struct_text)
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
 `);
 
 const insertEdge = db.prepare(`
-  INSERT OR IGNORE INTO edges (src_id, dst_mfa, kind)
-  VALUES (?, ?, ?)
+  INSERT OR IGNORE INTO edges (src_id, dst_mfa, raw_mfa, kind)
+  VALUES (?, ?, ?, ?)
+`);
+
+const insertDirective = db.prepare(`
+  INSERT INTO module_directives (module, kind, alias, target, path)
+  VALUES (?, ?, ?, ?, ?)
+`);
+
+const insertLiveViewRef = db.prepare(`
+  INSERT INTO liveview_refs (module, ref, name, role, path, line, detail)
+  VALUES (?, ?, ?, ?, ?, ?, ?)
+`);
+
+const insertRoute = db.prepare(`
+  INSERT INTO routes (router, verb, route, handler, action, type, pipelines, path, line, seq)
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+`);
+
+const insertEctoSchema = db.prepare(`
+  INSERT INTO ecto_schemas (module, source, embedded, path, start_line, end_line)
+  VALUES (?, ?, ?, ?, ?, ?)
+`);
+
+const insertEctoField = db.prepare(`
+  INSERT INTO ecto_fields (module, name, category, type, related, options, path, line, seq)
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
 `);
 
 const insertFts = db.prepare(`
-  INSERT OR REPLACE INTO functions_fts (id, module, lexical_text)
-  VALUES (?, ?, ?)
+  INSERT INTO functions_fts (${FTS_COLUMNS.join(', ')})
+  VALUES (${FTS_COLUMNS.map(() => '?').join(', ')})
+`);
+
+const insertEmbedding = db.prepare(`
+  INSERT OR REPLACE INTO embeddings (id, model, dim, vector)
+  VALUES (?, ?, ?, ?)
 `);
 
+// Entries whose id is already indexed are replaced, not duplicated in FTS
+const functionExists = db.prepare('SELECT 1 FROM functions WHERE id = ?');
+const deleteFtsById = db.prepare('DELETE FROM functions_fts WHERE id = ?');
+
 // For incremental: clean stale entries by file path before re-inserting
-const deleteByPath = incremental ? db.prepare('DELETE FROM functions WHERE path = ?') : null;
-const deleteFtsByIds = incremental ? db.prepare('DELETE FROM functions_fts WHERE id IN (SELECT id FROM functions WHERE path = ?)') : null;
-const deleteEdgesByPath = incremental ? db.prepare('DELETE FROM edges WHERE src_id IN (SELECT id FROM functions WHERE path = ?)') : null;
-
-// Read and process JSONL
-let jsonlContent;
-if (jsonlFile === '-') {
-  jsonlContent = '';
-  process.stdin.on('data', (chunk) => {
-    jsonlContent += chunk;
-  });
-  process.stdin.on('end', () => {
-    processLines(jsonlContent.trim().split('\n'));
-  });
-} else {
-  jsonlContent = fs.readFileSync(jsonlFile, 'utf8');
-  processLines(jsonlContent.trim().split('\n'));
+const purgeFile = incremental ? createPurger(db) : null;
+const rowsForPath = db.prepare('SELECT id, module FROM functions WHERE path = ?');
+const recordFile = createFileRecorder(db);
+
+// Skipped records are listed in the summary up to this many
+const MAX_REPORTED_ERRORS = 50;
+
+const summary = {
+  ok: true,
+  mode: incremental ? 'incremental' : 'full',
+  strict,
+  lines: 0,
+  inserted: 0,
+  replaced: 0,
+  removed: 0,
+  skipped: 0,
+  by_kind: {},
+  edges: null,
+  exporter_version: null,
+  errors: []
+};
+const purgedPaths = new Set();
+// Ids that purged files had before this run; whatever is not re-ingested was removed
+const purgedIds = new Set();
+// Modules written or purged by an incremental run; edge resolution retries what they affect
+const touchedModules = new Set();
+
+// Incremental: drop a file's old entries the first time one of its records arrives
+function purgePath(p) {
+  if (purgedPaths.has(p)) return;
+  purgedPaths.add(p);
+  for (const row of rowsForPath.all(p)) {
+    purgedIds.add(row.id);
+    touchedModules.add(row.module);
+  }
+  purgeFile(p);
 }
 
-function processLines(lines) {
-
-const transaction = db.transaction(() => {
-  // For incremental mode: collect affected paths, purge old entries first
-  if (incremental) {
-    const affectedPaths = new Set();
-    for (const line of lines) {
-      if (!line.trim()) continue;
-      try {
-        const func = JSON.parse(line);
-        if (func.path) affectedPaths.add(func.path);
-      } catch (e) { /* skip malformed */ }
-    }
-    // Delete old entries for all affected files (order matters: FTS refs → edges → functions)
-    for (const p of affectedPaths) {
-      deleteFtsByIds.run(p);
-      deleteEdgesByPath.run(p);
-      deleteByPath.run(p);
-    }
+function skip(lineNo, message) {
+  if (strict) {
+    throw new Error(`Invalid record on line ${lineNo}: ${message}`);
   }
+  summary.skipped++;
+  if (summary.errors.length < MAX_REPORTED_ERRORS) summary.errors.push({ line: lineNo, error: message });
+  console.error(`Skipping line ${lineNo}: ${message}`);
+}
 
-  let count = 0;
-  for (const line of lines) {
-    if (!line.trim()) continue;
-    const func = JSON.parse(line);
+// spec/doc may be arbitrary JSON values; store them as text (or null)
+function storedText(value) {
+  if (value === undefined || value === null) return null;
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
 
-    // Ensure all fields are proper types (convert arrays/objects to strings or null)
-    const spec = (typeof func.spec === 'string' || func.spec === null) ? func.spec : JSON.stringify(func.spec);
-    const doc = (typeof func.doc === 'string' || func.doc === null) ? func.doc : JSON.stringify(func.doc);
+function ingestLine(line, lineNo) {
+  let func;
+  try {
+    func = JSON.parse(line);
+  } catch (err) {
+    skip(lineNo, `malformed JSON (${err.message})`);
+    return;
+  }
 
-    try {
-      insertFunction.run(
-        func.id,
-        func.module,
-        func.name,
-        func.arity,
-        func.kind || 'function',
-        func.path,
-        func.start_line,
-        func.end_line || null,
-        func.signature,
-        spec,
-        doc,
-        func.lexical_text,
-        func.struct_text
-      );
-    } catch (err) {
-      console.error(`Error inserting ${func.kind || 'function'} ${func.module}.${func.name}/${func.arity}:`, err.message);
-      throw err;
+  // Header line written by the exporter, not an index entry
+  if (func && func.kind === 'meta') {
+    summary.exporter_version = func.exporter_version || summary.exporter_version;
+    return;
+  }
+
+  const problems = validateRecord(func);
+  if (problems.length > 0) {
+    skip(lineNo, problems.join('; '));
+    return;
+  }
+
+  // Snapshot of an exported file: purge it even if nothing else arrives for it
+  if (func.kind === 'file') {
+    const sourcePath = normalizePath(projectRoot, func.path);
+    if (incremental) purgePath(sourcePath);
+    recordFile(func, sourcePath);
+    summary.by_kind.file = (summary.by_kind.file || 0) + 1;
+    return;
+  }
+
+  if (func.kind === 'liveview_ref') {
+    const refPath = normalizePath(projectRoot, func.path);
+    if (incremental) purgePath(refPath);
+    insertLiveViewRef.run(func.module, func.ref, func.name, func.role, refPath, func.line, func.detail || null);
+    summary.by_kind.liveview_ref = (summary.by_kind.liveview_ref || 0) + 1;
+    return;
+  }
+
+  if (func.kind === 'route') {
+    const routerPath = normalizePath(projectRoot, func.path);
+    if (incremental) purgePath(routerPath);
+    insertRoute.run(func.module, func.verb, func.route, func.handler, func.action || null, func.type,
+      JSON.stringify(func.pipelines), routerPath, func.line, func.seq);
+    summary.by_kind.route = (summary.by_kind.route || 0) + 1;
+    return;
+  }
+
+  if (func.kind === 'ecto_schema') {
+    const schemaPath = normalizePath(projectRoot, func.path);
+    if (incremental) purgePath(schemaPath);
+    insertEctoSchema.run(func.module, func.source || null, func.embedded ? 1 : 0, schemaPath, func.start_line, func.end_line);
+    func.fields.forEach((field, seq) => {
+      insertEctoField.run(func.module, field.name, field.category, field.type || null, field.related || null,
+        JSON.stringify(field.options || {}), schemaPath, field.line, seq);
+    });
+    summary.by_kind.ecto_schema = (summary.by_kind.ecto_schema || 0) + 1;
+    return;
+  }
+
+  const spec = storedText(func.spec);
+  const doc = storedText(func.doc);
+  const kind = func.kind || 'function';
+  // Exporters may be handed absolute or relative paths; store one form
+  const filePath = normalizePath(projectRoot, func.path);
+
+  if (incremental) purgePath(filePath);
+
+  // Purged entries count as replaced when they come back
+  const exists = purgedIds.delete(func.id) || !!functionExists.get(func.id);
+  if (exists) deleteFtsById.run(func.id);
+  touchedModules.add(func.module);
+
+  insertFunction.run(
+    func.id,
+    func.module,
+    func.name,
+    func.arity,
+    kind,
+    filePath,
+    appForPath(filePath),
+    func.start_line || null,
+    func.end_line || null,
+    func.signature || null,
+    spec,
+    doc,
+    func.lexical_text || null,
+    func.struct_text || null
+  );
+  insertFts.run(...buildFtsRow(func, spec, doc));
+  insertEmbedding.run(func.id, EMBEDDING_MODEL, EMBEDDING_DIM, toBlob(embedText(embeddingText(func, spec, doc))));
+
+  for (const call of func.calls || []) {
+    insertEdge.run(func.id, call, call, 'call');
+  }
+  for (const component of func.components || []) {
+    insertEdge.run(func.id, component, component, 'component');
+  }
+
+  if ((kind === 'alias' || kind === 'import') && func.target) {
+    insertDirective.run(func.module, kind, func.as || null, func.target, filePath);
+  }
+
+  if (exists) summary.replaced++;
+  else summary.inserted++;
+  summary.by_kind[kind] = (summary.by_kind[kind] || 0) + 1;
+}
+
+/**
+ * Stream the export line by line inside one transaction; nothing is committed
+ * unless the whole input was read (and, with --strict, every record was valid)
+ */
+async function ingest() {
+  const input = jsonlFile === '-' ? process.stdin : fs.createReadStream(jsonlFile, 'utf8');
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+  // IMMEDIATE: take the write lock up front; upgrading a read transaction fails
+  // without retry when another writer committed in between
+  db.exec('BEGIN IMMEDIATE');
+  try {
+    for await (const line of lines) {
+      summary.lines++;
+      if (line.trim()) ingestLine(line, summary.lines);
     }
 
-    // Insert FTS
-    insertFts.run(func.id, func.module, func.lexical_text);
+    summary.removed = purgedIds.size;
+    summary.edges = resolveEdges(db, incremental ? { modules: touchedModules } : {});
+
+    const now = new Date().toISOString();
+    setMeta(db, {
+      exporter_version: summary.exporter_version,
+      project_root: projectRoot,
+      built_at: incremental ? null : now,
+      updated_at: now,
+      // Incremental runs cover only some files, so only full builds pin the commit
+      git_head: !incremental && projectRoot ? gitHead(projectRoot) : null
+    });
+    db.exec('COMMIT');
+  } catch (err) {
+    if (db.inTransaction) db.exec('ROLLBACK');
+    throw err;
+  }
+}
 
-    // Insert edges
-    for (const call of func.calls || []) {
-      insertEdge.run(func.id, call, 'call');
+/**
+ * Rename the finished shadow database over dbFile. Other connections (the MCP
+ * server, a watcher) may hold the old file and its -wal/-shm open, and a new
+ * connection to dbFile would replay whatever that WAL still holds. So the WAL is
+ * checkpointed into the old file and truncated first, and a write lock held
+ * across the rename keeps anyone from appending to it. Readers reopen once they
+ * see the inode change.
+ */
+function swapIn() {
+  let old = null;
+  try {
+    old = new Database(dbFile, { fileMustExist: true });
+  } catch (err) {
+    // No index yet, or not one SQLite can open: nothing to protect
+  }
+  if (old) {
+    try {
+      old.pragma('busy_timeout = 5000');
+      const [checkpoint] = old.pragma('wal_checkpoint(TRUNCATE)');
+      if (checkpoint && checkpoint.busy) throw new Error('Index busy: could not checkpoint its WAL before swapping in the rebuilt index');
+      old.exec('BEGIN IMMEDIATE');
+    } catch (err) {
+      old.close();
+      throw err;
     }
-    count++;
   }
-  return count;
-});
+  fs.renameSync(buildFile, dbFile);
+  swapped = true;
+  if (old) {
+    old.exec('ROLLBACK');
+    old.close();
+  }
+}
 
-const count = transaction();
+ingest()
+  .then(() => {
+    db.close();
 
-console.log(`${incremental ? 'Incrementally ingested' : 'Ingested'} ${count} entries`);
+    if (!incremental) swapIn();
 
-db.close();
-}
+    const entries = summary.inserted + summary.replaced;
+    if (incremental) {
+      console.error(`Incrementally ingested ${entries} entries (${summary.replaced} replaced, ${summary.removed} removed, ${summary.skipped} skipped)`);
+    } else {
+      console.error(`Ingested ${entries} entries (${summary.skipped} skipped)`);
+    }
+    console.error(`Resolved ${summary.edges.resolved} of ${summary.edges.checked} pending edges`);
+    console.log(JSON.stringify(summary));
+  })
+  .catch((err) => {
+    if (db.open) db.close();
+    console.error(err.message);
+    console.log(JSON.stringify({ ...summary, ok: false, error: err.message }));
+    process.exit(1);
+  });
@@ -0,0 +1,168 @@
+#!/usr/bin/env node
+
+// Single-flight job queue for index refreshes.
+//
+// One job runs at a time. A request that arrives while another job is still
+// queued is merged into it when one run can serve both (see `merge`), so a
+// burst of refresh calls becomes at most one running and one queued job.
+// Finished jobs are kept for status queries.
+
+const DEFAULT_KEEP = 20;
+const STDERR_TAIL_CHARS = 2000;
+
+/**
+ * @param {Object} options
+ * @param {(request: Object, onStderr: (chunk: string) => void) => Promise<Object>} options.run -
+ *   Performs a job; the resolved value is reported as the job's `result`
+ * @param {(queued: Object, incoming: Object) => Object|null} options.merge -
+ *   Request covering both, or null when they must run separately
+ * @param {number} [options.keep=20] - Finished jobs retained
+ * @returns {{submit: Function, get: Function, wait: Function, list: Function}}
+ */
+function createJobQueue({ run, merge, keep = DEFAULT_KEEP }) {
+  const jobs = new Map(); // id → job, oldest first
+  const queue = [];
+  const waiters = new Map(); // id → resolve callbacks
+  let running = null;
+  let nextId = 1;
+
+  function snapshot(job) {
+    return {
+      job_id: job.id,
+      status: job.status,
+      request: job.request,
+      merged_requests: job.merged,
+      queued_at: job.queuedAt,
+      started_at: job.startedAt,
+      finished_at: job.finishedAt,
+      duration_ms: job.startedAt && job.finishedAt ? Date.parse(job.finishedAt) - Date.parse(job.startedAt) : null,
+      result: job.result,
+      error: job.error,
+      stderr_tail: job.stderr || null
+    };
+  }
+
+  function prune() {
+    const finished = [...jobs.values()].filter(job => job.status === 'succeeded' || job.status === 'failed');
+    for (const job of finished.slice(0, Math.max(0, finished.length - keep))) jobs.delete(job.id);
+  }
+
+  function finish(job, status, fields) {
+    Object.assign(job, { status, finishedAt: new Date().toISOString() }, fields);
+    running = null;
+    for (const resolve of waiters.get(job.id) || []) resolve(snapshot(job));
+    waiters.delete(job.id);
+    prune();
+    pump();
+  }
+
+  function pump() {
+    if (running || queue.length === 0) return;
+    const job = queue.shift();
+    running = job;
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+
+    const onStderr = (chunk) => {
+      job.stderr = (job.stderr + chunk).slice(-STDERR_TAIL_CHARS);
+    };
+    Promise.resolve()
+      .then(() => run(job.request, onStderr))
+      .then(result => finish(job, 'succeeded', { result: result || null }))
+      .catch(err => finish(job, 'failed', { error: err.message }));
+  }
+
+  /**
+   * Queue a request, merging it into a queued job when possible
+   * @returns {{job: Object, coalesced: boolean}} Snapshot of the job that will serve the request
+   */
+  function submit(request) {
+    for (const job of queue) {
+      const merged = merge(job.request, request);
+      if (merged) {
+        job.request = merged;
+        job.merged++;
+        return { job: snapshot(job), coalesced: true };
+      }
+    }
+
+    const job = {
+      id: `refresh-${nextId++}`,
+      status: 'queued',
+      request,
+      merged: 0, // Requests folded into this job after it was queued
+      queuedAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      result: null,
+      error: null,
+      stderr: ''
+    };
+    jobs.set(job.id, job);
+    queue.push(job);
+    pump();
+    return { job: snapshot(job), coalesced: false };
+  }
+
+  function get(id) {
+    const job = jobs.get(id);
+    return job ? snapshot(job) : null;
+  }
+
+  /**
+   * Resolves with the job's snapshot once it has succeeded or failed, or
+   * after timeoutMs with its snapshot at that point (still queued or running)
+   * @param {string} id
+   * @param {Object} [opts]
+   * @param {number} [opts.timeoutMs] - No limit when omitted
+   */
+  function wait(id, opts = {}) {
+    const job = jobs.get(id);
+    if (!job) return Promise.reject(new Error(`Unknown job: ${id}`));
+    if (job.status === 'succeeded' || job.status === 'failed') return Promise.resolve(snapshot(job));
+    return new Promise((resolve) => {
+      let timer = null;
+      const done = (result) => {
+        clearTimeout(timer);
+        resolve(result);
+      };
+      waiters.set(id, [...(waiters.get(id) || []), done]);
+      if (opts.timeoutMs) {
+        timer = setTimeout(() => {
+          waiters.set(id, (waiters.get(id) || []).filter(w => w !== done));
+          resolve(snapshot(job));
+        }, opts.timeoutMs);
+      }
+    });
+  }
+
+  function list() {
+    return {
+      running: running ? snapshot(running) : null,
+      queued: queue.map(snapshot),
+      recent: [...jobs.values()]
+        .filter(job => job.status === 'succeeded' || job.status === 'failed')
+        .reverse()
+        .map(snapshot)
+    };
+  }
+
+  return { submit, get, wait, list };
+}
+
+/**
+ * One run that serves both a queued and an incoming refresh request, or null.
+ * A full refresh re-exports everything; changed_only re-exports whatever differs
+ * from the recorded hashes, which includes any explicit paths or git range.
+ */
+function mergeRefreshRequests(queued, incoming) {
+  if (queued.mode === 'full' || incoming.mode === 'full') return { mode: 'full' };
+  if (queued.mode === 'changed_only' || incoming.mode === 'changed_only') return { mode: 'changed_only' };
+  if (queued.mode === 'incremental' && incoming.mode === 'incremental') {
+    return { mode: 'incremental', paths: [...new Set([...queued.paths, ...incoming.paths])] };
+  }
+  if (queued.mode === 'since' && incoming.mode === 'since' && queued.since === incoming.since) return queued;
+  return null;
+}
+
+module.exports = { createJobQueue, mergeRefreshRequests };
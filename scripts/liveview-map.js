@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+
+// Event and assign flow of one LiveView (or LiveComponent, controller view)
+// module, read from the liveview_refs table filled at ingest.
+
+function location(row) {
+  return { path: row.path, line: row.line, detail: row.detail };
+}
+
+/**
+ * Resolve a module name: exact match first, then a unique module ending in it
+ * ("UserLive.Index" finds "MyAppWeb.UserLive.Index")
+ */
+function resolveModule(db, ref) {
+  const known = db.prepare(`
+    SELECT module FROM liveview_refs WHERE module = ?
+    UNION SELECT module FROM functions WHERE module = ?
+  `).get(ref, ref);
+  if (known) return ref;
+
+  const suffix = '%.' + ref.replace(/[\\%_]/g, (c) => '\\' + c);
+  const matches = db.prepare(`
+    SELECT module FROM liveview_refs WHERE module LIKE ? ESCAPE '\\'
+    UNION SELECT module FROM functions WHERE module LIKE ? ESCAPE '\\'
+    ORDER BY module
+  `).all(suffix, suffix).map(r => r.module);
+  if (matches.length === 1) return matches[0];
+  if (matches.length > 1) throw new Error(`Ambiguous module ${ref}: ${matches.slice(0, 10).join(', ')}`);
+  throw new Error(`No module found for: ${ref}`);
+}
+
+/**
+ * Events (phx-* bindings and handle_event/3 clauses) and assigns (where set,
+ * where read) of a module
+ * @param {Database} db - better-sqlite3 connection
+ * @param {string} moduleRef - Module name, or a unique suffix of one
+ */
+function liveviewMap(db, moduleRef) {
+  const module = resolveModule(db, moduleRef);
+  const refs = db.prepare(`
+    SELECT ref, name, role, path, line, detail FROM liveview_refs
+    WHERE module = ?
+    ORDER BY name, path, line
+  `).all(module);
+
+  const templates = db.prepare(`
+    SELECT path, start_line, end_line, signature FROM functions
+    WHERE module = ? AND kind = 'template'
+    ORDER BY path, start_line
+  `).all(module);
+
+  const events = new Map();
+  const assigns = new Map();
+  for (const row of refs) {
+    if (row.ref === 'event') {
+      if (!events.has(row.name)) events.set(row.name, { name: row.name, bindings: [], handlers: [] });
+      events.get(row.name)[row.role === 'handler' ? 'handlers' : 'bindings'].push(location(row));
+    } else {
+      if (!assigns.has(row.name)) assigns.set(row.name, { name: row.name, set: [], read: [] });
+      assigns.get(row.name)[row.role].push(location(row));
+    }
+  }
+
+  return {
+    module,
+    templates,
+    events: [...events.values()],
+    assigns: [...assigns.values()],
+    // Often handled elsewhere (phx-target={@myself}, a parent LiveView, on_mount hooks)
+    unhandled_events: [...events.values()].filter(e => e.handlers.length === 0).map(e => e.name),
+    unset_assigns: [...assigns.values()].filter(a => a.set.length === 0).map(a => a.name)
+  };
+}
+
+module.exports = { liveviewMap };
@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+
+// Map file positions (ripgrep hits, anchors) to the indexed entry enclosing them
+
+const { pathVariants } = require('./paths');
+
+const LOCATE_COLUMNS = 'id, module, name, arity, kind, path, app, start_line, end_line, signature';
+
+/**
+ * Create a locator bound to an open database
+ * @param {Database} db - better-sqlite3 connection
+ * @param {string} projectRoot - Root used to match relative and absolute stored paths
+ */
+function createLocator(db, projectRoot) {
+  // Innermost non-module entry wins; the module row is the last resort
+  const enclosingStmt = db.prepare(`
+    SELECT ${LOCATE_COLUMNS} FROM functions
+    WHERE path IN (?, ?) AND start_line <= ? AND COALESCE(end_line, start_line) >= ?
+    ORDER BY kind = 'module', start_line DESC
+    LIMIT 1
+  `);
+  const fileModuleStmt = db.prepare(`
+    SELECT module FROM functions WHERE path IN (?, ?)
+    ORDER BY kind != 'module', start_line
+    LIMIT 1
+  `);
+
+  return {
+    /**
+     * Entry enclosing `line` in `filePath`, or null
+     */
+    enclosing(filePath, line) {
+      return enclosingStmt.get(...pathVariants(projectRoot, filePath), line, line) || null;
+    },
+
+    /**
+     * First module indexed for `filePath`, or null when the file is not indexed
+     */
+    fileModule(filePath) {
+      const row = fileModuleStmt.get(...pathVariants(projectRoot, filePath));
+      return row ? row.module : null;
+    }
+  };
+}
+
+module.exports = { createLocator };
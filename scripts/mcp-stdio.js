@@ -6,27 +6,92 @@ const Database = require('better-sqlite3');
 const readline = require('readline');
 const { ripgrepSearch } = require('./ripgrep-search');
 const { logger } = require('./logger');
+const { createCallGraph } = require('./callgraph');
+const { liveviewMap } = require('./liveview-map');
+const { listRoutes, resolveUrl } = require('./route-table');
+const { ectoSchema, schemaGraph } = require('./ecto-model');
+const { packRows, DEFAULT_MAX_TOKENS } = require('./pack');
+const { createAnchorContext, rankWithAnchor } = require('./anchor');
+const { parseFilters, buildFilterClause, matchesFilters } = require('./filters');
+const { compileQuery, runMatch } = require('./query-parser');
+const { BM25 } = require('./fts');
+const { createLocator } = require('./locate');
+const { fuseRrf, groupRipgrepHits } = require('./fusion');
+const { createVectorIndex } = require('./embeddings');
+const { SCHEMA_VERSION, ensureSchema, readMeta } = require('./schema');
+const { scanSourceFiles, changedPaths, fileRecords } = require('./changes');
+const { normalizePath } = require('./paths');
+const { readSourceRecords } = require('./source-records');
+const { createWatcher } = require('./watcher');
+const { createJobQueue, mergeRefreshRequests } = require('./jobs');
+const { runExport, CHILD_TIMEOUT_MS } = require('./exporter');
 const {
   resolveDbPath,
   resolveProjectRoot,
   extractModuleFromPath,
   extractFunctionFromLine,
-  dedupeResults
+  dedupeResults,
+  parseIngestSummary
 } = require('./utils');
 
+const RIPGREP_TIMEOUT_MS = 3000;
+const REFRESH_WAIT_MS = 120000;
+
 let dbFile = resolveDbPath();
 let projectRoot = resolveProjectRoot();
+// export.exs (run with mix, falling back to export.js when mix fails) or "js"
+const exporterArg = process.argv.indexOf('--exporter');
+const exporter = exporterArg !== -1 && process.argv[exporterArg + 1] ? process.argv[exporterArg + 1] : process.env.EXPORTER || require('path').resolve(__dirname, 'export.exs');
 let db;
+let dbInode = null; // Identity of the opened file; full rebuilds swap in a new one
+let vectorIndex = null; // Built lazily per connection for semantic/hybrid search
+let schemaError = null; // Set when the index cannot be used (missing, or built by a newer release)
+let watcher = null; // In-process file watcher (--watch)
+
+// Tools that stay usable while the index schema is unusable
+const MAINTENANCE_TOOLS = new Set(['elixir_context.refresh', 'elixir_context.refresh_status', 'elixir_context.index_status', 'elixir_context.health']);
+
+function fileInode(file) {
+  try {
+    return fs.statSync(file).ino;
+  } catch (err) {
+    return null;
+  }
+}
 
 function initDB() {
+  vectorIndex = null;
+  schemaError = null;
   try {
     if (!fs.existsSync(dbFile)) {
       logger.warn('Database file does not exist; some tools may not work until index is built', { dbFile });
     }
     db = new Database(dbFile);
+    dbInode = fileInode(dbFile);
+    db.pragma('busy_timeout = 5000');
   } catch (err) {
     logger.error('Failed to open database', { dbFile, err: err.message });
     db = null;
+    return;
+  }
+
+  try {
+    // WAL: ingest and build children write while this connection keeps serving reads
+    db.pragma('journal_mode = WAL');
+  } catch (err) {
+    logger.warn('Could not enable WAL mode', { dbFile, err: err.message });
+  }
+
+  try {
+    const schema = ensureSchema(db);
+    if (schema.migrated.length > 0) {
+      logger.info('Migrated index schema', { from: schema.from, to: schema.version, steps: schema.migrated });
+    }
+  } catch (err) {
+    logger.error('Index schema unusable', { dbFile, err: err.message });
+    schemaError = err.message;
+    safeClose();
+    db = null;
   }
 }
 
@@ -35,6 +100,16 @@ function sendMessage(message) {
   process.stdout.write(JSON.stringify(message) + '\n');
 }
 
+// MCP log levels, least severe first (RFC 5424 syslog severities)
+const LOG_LEVELS = ['debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency'];
+let minLogLevel = 'info'; // Set by the client through logging/setLevel
+
+// MCP logging notification (client-visible, unlike logger output on stderr)
+function sendLog(level, data) {
+  if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(minLogLevel)) return;
+  sendMessage({ jsonrpc: "2.0", method: "notifications/message", params: { level, logger: "elixir-context", data } });
+}
+
 function handleInitialize(id) {
   sendMessage({
     jsonrpc: "2.0",
@@ -44,7 +119,8 @@ function handleInitialize(id) {
       capabilities: {
         tools: {
           listChanged: false
-        }
+        },
+        logging: {}
       },
       serverInfo: {
         name: "elixir-context",
@@ -54,6 +130,16 @@ function handleInitialize(id) {
   });
 }
 
+function handleSetLevel(id, params) {
+  const level = params && params.level;
+  if (!LOG_LEVELS.includes(level)) {
+    sendMessage({ jsonrpc: "2.0", id, error: { code: -32602, message: `Invalid log level: ${level} (expected one of ${LOG_LEVELS.join(', ')})` } });
+    return;
+  }
+  minLogLevel = level;
+  sendMessage({ jsonrpc: "2.0", id, result: {} });
+}
+
 function handleToolsList(id) {
   sendMessage({
     jsonrpc: "2.0",
@@ -66,11 +152,33 @@ function handleToolsList(id) {
           inputSchema: {
             type: "object",
             properties: {
-              query: { type: "string", description: "Search query (supports FTS syntax and plain text)" },
+              query: { type: "string", description: "Search query: words, MFA strings (Accounts.get_user/1), \"quoted phrases\", prefix* and AND/OR/NOT" },
+              raw_fts: { type: "boolean", default: false, description: "Pass query to SQLite FTS5 MATCH verbatim (syntax errors are reported)" },
               k: { type: "number", default: 10, description: "Max results to return" },
               use_ripgrep: { type: "boolean", default: true, description: "Enable ripgrep fallback if FTS returns < 3 results" },
+              strategy: {
+                type: "string",
+                enum: ["fallback", "fusion"],
+                default: "fallback",
+                description: "fallback: ripgrep only when FTS finds little; fusion: always run both and merge by reciprocal rank, mapping ripgrep hits to enclosing functions"
+              },
+              timeout_ms: { type: "number", default: RIPGREP_TIMEOUT_MS, description: "Ripgrep time limit in fusion mode" },
+              mode: {
+                type: "string",
+                enum: ["lexical", "semantic", "hybrid"],
+                default: "lexical",
+                description: "lexical: FTS (+ ripgrep); semantic: local vector similarity only; hybrid: blend of vector similarity and bm25"
+              },
+              semantic_weight: { type: "number", default: 0.5, description: "Share of vector similarity in hybrid mode (0..1)" },
+              kinds: { type: "array", items: { type: "string" }, description: "Only these kinds (function, function_private, macro, macro_private, module, macro_call, schema, use, alias, import, template, heex_component, heex_slot, heex_block, heex_event)" },
+              module_prefix: { type: "string", description: "Only modules equal to or nested under this prefix (e.g. \"MyApp.Billing\")" },
+              path_glob: { type: "string", description: "Only paths matching this glob (e.g. \"apps/billing/lib/**\")" },
+              arity: { type: "number", description: "Only functions with this arity" },
+              exclude_tests: { type: "boolean", default: false, description: "Skip test/ directories and *_test.exs files" },
+              visibility: { type: "string", enum: ["public", "private"], description: "public = def/defmacro, private = defp/defmacrop" },
               anchor: {
                 type: "object",
+                description: "Position being edited; boosts results in the same file/module/app and callers/callees of the enclosing function",
                 properties: {
                   path: { type: "string" },
                   line: { type: "number" }
@@ -82,15 +190,23 @@ function handleToolsList(id) {
         },
         {
           name: "elixir_context.pack_context",
-          description: "Pack context for Elixir functions",
+          description: "Pack context for Elixir functions into a token-budgeted bundle, optionally expanded with related functions",
           inputSchema: {
             type: "object",
             properties: {
               ids: { type: "array", items: { type: "string" } },
               query: { type: "string" },
+              raw_fts: { type: "boolean", default: false, description: "Pass query to SQLite FTS5 MATCH verbatim" },
               k: { type: "number", default: 10 },
+              max_tokens: { type: "number", default: DEFAULT_MAX_TOKENS, description: "Approximate token budget for the packed text" },
+              expand: {
+                type: "array",
+                items: { type: "string", enum: ["callers", "callees", "same_module", "specs"] },
+                description: "Related functions to add after the matches: callers/callees (1 hop), same_module bodies, or specs (signature + spec of the module's public API)"
+              },
               anchor: {
                 type: "object",
+                description: "Position being edited; boosts results in the same file/module/app and callers/callees of the enclosing function",
                 properties: {
                   path: { type: "string" },
                   line: { type: "number" }
@@ -99,19 +215,109 @@ function handleToolsList(id) {
             }
           }
         },
+        {
+          name: "elixir_context.callers",
+          description: "Find functions that call the given function, directly or up to N hops away. For a function component this includes the <.component> usages in .heex templates and ~H sigils",
+          inputSchema: {
+            type: "object",
+            properties: {
+              target: { type: "string", description: "MFA string (e.g. \"MyApp.Accounts.update_user/2\", arity optional) or function id" },
+              depth: { type: "number", default: 1, description: "Max hops to follow (1 = direct callers only, max 10)" },
+              limit: { type: "number", default: 100, description: "Max functions to return" }
+            },
+            required: ["target"]
+          }
+        },
+        {
+          name: "elixir_context.callees",
+          description: "Find functions called by the given function, directly or up to N hops away",
+          inputSchema: {
+            type: "object",
+            properties: {
+              target: { type: "string", description: "MFA string (arity optional) or function id" },
+              depth: { type: "number", default: 1, description: "Max hops to follow (1 = direct callees only, max 10)" },
+              limit: { type: "number", default: 100, description: "Max functions to return" }
+            },
+            required: ["target"]
+          }
+        },
+        {
+          name: "elixir_context.call_paths",
+          description: "Find call chains from one function to another",
+          inputSchema: {
+            type: "object",
+            properties: {
+              from: { type: "string", description: "MFA string or function id where paths start" },
+              to: { type: "string", description: "MFA string or function id where paths end" },
+              max_depth: { type: "number", default: 4, description: "Max path length in hops (max 10)" },
+              limit: { type: "number", default: 10, description: "Max paths to return" }
+            },
+            required: ["from", "to"]
+          }
+        },
+        {
+          name: "elixir_context.liveview_map",
+          description: "Event and assign flow of a LiveView, LiveComponent or view module: each event with its phx-* bindings in templates and its handle_event/3 clauses, each assign with where it is set (assign, assign_new, stream, ...) and read (@name, assigns.name)",
+          inputSchema: {
+            type: "object",
+            properties: {
+              module: { type: "string", description: "Module name (e.g. \"MyAppWeb.UserLive.Index\"), or a unique suffix such as \"UserLive.Index\"" }
+            },
+            required: ["module"]
+          }
+        },
+        {
+          name: "elixir_context.routes",
+          description: "Phoenix routes rebuilt from the router (scopes, aliases, pipe_through, resources): verb, full path, controller/LiveView/plug, action and pipelines. With url, resolves it to the route Phoenix would dispatch to for each verb, with the captured params",
+          inputSchema: {
+            type: "object",
+            properties: {
+              url: { type: "string", description: "Path to resolve, e.g. \"/users/42/edit\" (query string ignored)" },
+              verb: { type: "string", description: "Only this HTTP verb (GET, POST, ...)" },
+              filter: { type: "string", description: "Case-insensitive substring of the path, handler or action (listing only)" },
+              router: { type: "string", description: "Only this router module" },
+              limit: { type: "number", default: 500, description: "Max routes to list" }
+            }
+          }
+        },
+        {
+          name: "elixir_context.schema",
+          description: "Ecto data model. With module: one schema's table, primary key, fields with types, belongs_to foreign keys, timestamps, associations (cardinality, target module and table, options) and embeds, plus the schemas associating to it. Without: the association/embed graph between all schemas",
+          inputSchema: {
+            type: "object",
+            properties: {
+              module: { type: "string", description: "Schema module (e.g. \"MyApp.Accounts.User\"), table name (\"users\") or a unique module suffix (\"Accounts.User\")" },
+              filter: { type: "string", description: "Graph only: case-insensitive substring of a module or table name; keeps matching schemas and their direct neighbours" }
+            }
+          }
+        },
         {
           name: "elixir_context.refresh",
-          description: "Refresh the index",
+          description: "Refresh the index: given paths incrementally, files changed since a git ref (since), files whose content changed since the last build (changed_only), or everything. Refreshes run one at a time as jobs; a request arriving while another is queued is merged into it",
           inputSchema: {
             type: "object",
             properties: {
-              paths: { type: "array", items: { type: "string" } }
+              paths: { type: "array", items: { type: "string" }, description: "Re-export these files (unchanged content is skipped)" },
+              changed_only: { type: "boolean", default: false, description: "Diff the working tree against recorded file hashes; re-export new/modified files and purge deleted ones" },
+              since: { type: "string", description: "Git ref (branch, tag, commit); apply files added/modified/deleted/renamed between it and the working tree" },
+              wait: { type: "boolean", default: false, description: "Return when the job has finished instead of when it is queued" },
+              wait_ms: { type: "number", default: REFRESH_WAIT_MS, description: "With wait: give up waiting after this long and return the job as it is then (queued or running)" }
+            }
+          }
+        },
+        {
+          name: "elixir_context.refresh_status",
+          description: "Status of refresh jobs: queued/running/succeeded/failed, timings, entries ingested and stderr tail. Without job_id, lists the running, queued and recent jobs",
+          inputSchema: {
+            type: "object",
+            properties: {
+              job_id: { type: "string", description: "Job id returned by elixir_context.refresh" }
             }
           }
         },
         {
           name: "elixir_context.index_status",
-          description: "Get index status",
+          description: "Get index status: entry counts, schema and exporter versions, indexed project root and build/update times",
           inputSchema: {
             type: "object",
             properties: {}
@@ -127,8 +333,20 @@ function handleToolsList(id) {
   });
 }
 
+// Reopen when a full rebuild (ours or an external `build`) renamed a new index into place
+function reopenIfSwapped() {
+  const inode = fileInode(dbFile);
+  if (inode !== null && inode !== dbInode) {
+    logger.info('Index file replaced, reopening', { dbFile });
+    safeClose();
+    initDB();
+  }
+}
+
 async function handleToolsCall(id, toolName, args) {
   try {
+    reopenIfSwapped();
+    if (schemaError && !MAINTENANCE_TOOLS.has(toolName)) throw new Error(schemaError);
     let result;
     switch (toolName) {
       case "elixir_context.search":
@@ -137,8 +355,29 @@ async function handleToolsCall(id, toolName, args) {
       case "elixir_context.pack_context":
         result = handlePackContext(args);
         break;
+      case "elixir_context.callers":
+        result = handleCallers(args);
+        break;
+      case "elixir_context.callees":
+        result = handleCallees(args);
+        break;
+      case "elixir_context.call_paths":
+        result = handleCallPaths(args);
+        break;
+      case "elixir_context.liveview_map":
+        result = handleLiveViewMap(args);
+        break;
+      case "elixir_context.routes":
+        result = handleRoutes(args);
+        break;
+      case "elixir_context.schema":
+        result = handleSchema(args);
+        break;
       case "elixir_context.refresh":
-        result = handleRefresh(args);
+        result = await handleRefresh(args);
+        break;
+      case "elixir_context.refresh_status":
+        result = handleRefreshStatus(args);
         break;
       case "elixir_context.index_status":
         result = handleIndexStatus();
@@ -175,48 +414,155 @@ async function handleSearch(params) {
   const k = params.k || 10;
   const useRipgrep = params.use_ripgrep !== false; // Default true
   const minFtsResults = 2; // Low threshold — ripgrep catches fresh code not yet indexed
+  const anchorCtx = createAnchorContext(db, params.anchor, projectRoot);
+  // With an anchor, over-fetch so nearby results outside the lexical top-k can be promoted
+  const candidateLimit = anchorCtx ? k * 3 : k;
+  const filters = parseFilters(params);
+  const filterClause = buildFilterClause(filters);
+
+  // Fusion: start ripgrep before running FTS so both proceed in parallel
+  const rgPending = params.strategy === 'fusion' && useRipgrep
+    ? ripgrepSearch(query, projectRoot, candidateLimit * 3, { timeoutMs: params.timeout_ms || RIPGREP_TIMEOUT_MS })
+        .catch((err) => {
+          logger.warn('Ripgrep failed during fusion search', { err: err.message });
+          return [];
+        })
+    : null;
 
   const ftsQuery = db.prepare(`
-    SELECT f.id, f.module, f.name, f.arity, f.kind, f.path, f.start_line, f.end_line,
-           f.signature, bm25(functions_fts) as score
+    SELECT f.id, f.module, f.name, f.arity, f.kind, f.path, f.app, f.start_line, f.end_line,
+           f.signature, ${BM25} as score
     FROM functions_fts
     JOIN functions f ON functions_fts.id = f.id
-    WHERE functions_fts MATCH ?
+    WHERE functions_fts MATCH ?${filterClause.sql}
     ORDER BY score
     LIMIT ?
   `);
-  const ftsResults = ftsQuery.all(query, k);
+  const matchExpr = compileQuery(query, { raw: params.raw_fts });
+  const mode = params.mode || 'lexical';
+
+  if (mode === 'semantic' || mode === 'hybrid') {
+    const semantic = getVectorIndex().search(query, {
+      limit: candidateLimit,
+      filter: (row) => matchesFilters(row, filters, projectRoot)
+    });
+    if (mode === 'semantic') {
+      return rankWithAnchor(semantic.map(r => ({ ...r, source: 'semantic' })), anchorCtx).slice(0, k);
+    }
+    const lexical = matchExpr ? runMatch(ftsQuery, matchExpr, ...filterClause.params, candidateLimit) : [];
+    const weight = params.semantic_weight !== undefined ? Math.min(1, Math.max(0, params.semantic_weight)) : 0.5;
+    return rankWithAnchor(blendHybrid(lexical, semantic, weight), anchorCtx).slice(0, k);
+  }
+  if (mode !== 'lexical') throw new Error(`Unknown search mode: ${mode}`);
+
+  const ftsResults = matchExpr ? runMatch(ftsQuery, matchExpr, ...filterClause.params, candidateLimit) : [];
+
+  if (rgPending) {
+    const locator = createLocator(db, projectRoot);
+    const groups = groupRipgrepHits(await rgPending, locator);
+    const rgItems = groups
+      .map(g => ({
+        key: g.key,
+        row: formatRipgrepHit(g.hit, g.row, locator),
+        detail: { score: g.hit.score, lines: g.lines, text: g.hit.line_text }
+      }))
+      .filter(item => matchesFilters(item.row, filters, projectRoot));
+    const ftsItems = ftsResults.map(r => ({ key: r.id, row: r, detail: { score: r.score } }));
+    const fused = fuseRrf([{ source: 'fts', items: ftsItems }, { source: 'ripgrep', items: rgItems }]);
+    return rankWithAnchor(fused, anchorCtx).slice(0, k);
+  }
 
   if (ftsResults.length >= minFtsResults || !useRipgrep) {
-    return ftsResults.map(r => ({ ...r, source: 'fts' }));
+    return rankWithAnchor(ftsResults.map(r => ({ ...r, source: 'fts' })), anchorCtx).slice(0, k);
   }
 
   try {
     const rgResults = await ripgrepSearch(query, projectRoot, k);
+    const locator = createLocator(db, projectRoot);
 
-    const rgFormatted = rgResults.map(rg => ({
-      id: null,
-      module: extractModuleFromPath(rg.path),
-      name: extractFunctionFromLine(rg.line_text),
-      arity: null,
-      path: rg.path,
-      start_line: rg.line_number,
-      end_line: rg.line_number,
-      score: rg.score,
-      source: 'ripgrep',
-      context: rg.line_text
-    }));
+    const rgFormatted = rgResults
+      .map(rg => formatRipgrepHit(rg, locator.enclosing(rg.path, rg.line_number), locator))
+      .filter(r => matchesFilters(r, filters, projectRoot));
 
     const merged = [...ftsResults.map(r => ({ ...r, source: 'fts' })), ...rgFormatted];
     const deduped = dedupeResults(merged);
 
-    return deduped.slice(0, k);
+    return rankWithAnchor(deduped, anchorCtx).slice(0, k);
   } catch (err) {
     logger.warn('Ripgrep fallback failed', { err: err.message });
-    return ftsResults.map(r => ({ ...r, source: 'fts' }));
+    return rankWithAnchor(ftsResults.map(r => ({ ...r, source: 'fts' })), anchorCtx).slice(0, k);
+  }
+}
+
+function getVectorIndex() {
+  if (!vectorIndex) {
+    try {
+      vectorIndex = createVectorIndex(db);
+    } catch (err) {
+      throw new Error(`Semantic search unavailable (${err.message}); rebuild the index to compute embeddings`);
+    }
+  }
+  return vectorIndex;
+}
+
+// Blend bm25 (min-max normalized; lower bm25 is better) with cosine similarity
+function blendHybrid(lexical, semantic, weight) {
+  const scores = lexical.map(r => -r.score);
+  const max = Math.max(...scores);
+  const min = Math.min(...scores);
+  const merged = new Map();
+
+  lexical.forEach((row, i) => {
+    const norm = max > min ? (scores[i] - min) / (max - min) : 1;
+    merged.set(row.id, { row, lexical: norm, similarity: 0, sources: ['fts'] });
+  });
+  for (const row of semantic) {
+    const entry = merged.get(row.id);
+    if (entry) {
+      entry.similarity = row.similarity;
+      entry.sources.push('semantic');
+    } else {
+      merged.set(row.id, { row, lexical: 0, similarity: row.similarity, sources: ['semantic'] });
+    }
   }
+
+  return [...merged.values()]
+    .map(({ row, lexical: lex, similarity, sources }) => ({
+      ...row,
+      similarity: Number(similarity.toFixed(4)),
+      hybrid_score: Number((weight * similarity + (1 - weight) * lex).toFixed(4)),
+      source: sources.join('+')
+    }))
+    .sort((a, b) => b.hybrid_score - a.hybrid_score);
 }
 
+// A ripgrep hit reported as the indexed entry enclosing it; path/line heuristics
+// only apply to hits outside any indexed entry (e.g. files not indexed yet)
+function formatRipgrepHit(rg, enclosing, locator) {
+  if (enclosing) {
+    return {
+      ...enclosing,
+      score: rg.score,
+      source: 'ripgrep',
+      match_line: rg.line_number,
+      context: rg.line_text
+    };
+  }
+  return {
+    id: null,
+    module: locator.fileModule(rg.path) || extractModuleFromPath(rg.path),
+    name: extractFunctionFromLine(rg.line_text),
+    arity: null,
+    path: rg.path,
+    app: rg.app,
+    start_line: rg.line_number,
+    end_line: rg.line_number,
+    score: rg.score,
+    source: 'ripgrep',
+    match_line: rg.line_number,
+    context: rg.line_text
+  };
+}
 
 function handlePackContext(params) {
   if (!db) throw new Error('Database not initialized');
@@ -224,154 +570,280 @@ function handlePackContext(params) {
   if (params.ids) {
     const placeholders = params.ids.map(() => '?').join(',');
     const query = db.prepare(`SELECT * FROM functions WHERE id IN (${placeholders})`);
-    results = query.all(params.ids);
+    const byId = new Map(query.all(params.ids).map(r => [r.id, r]));
+    results = params.ids.map(id => byId.get(id)).filter(Boolean);
   } else if (params.query) {
     const ftsQuery = db.prepare(`
       SELECT f.* FROM functions_fts
       JOIN functions f ON functions_fts.id = f.id
       WHERE functions_fts MATCH ?
-      ORDER BY bm25(functions_fts)
+      ORDER BY ${BM25}
       LIMIT ?
     `);
-    results = ftsQuery.all(params.query, params.k || 10);
+    const k = params.k || 10;
+    const anchorCtx = createAnchorContext(db, params.anchor, projectRoot);
+    const matchExpr = compileQuery(params.query, { raw: params.raw_fts });
+    const matches = matchExpr ? runMatch(ftsQuery, matchExpr, anchorCtx ? k * 3 : k) : [];
+    results = rankWithAnchor(matches, anchorCtx).slice(0, k);
   } else {
     results = [];
   }
 
-  let text = '';
-  const sources = [];
-  for (const row of results) {
-    text += `### ${row.module}.${row.name}/${row.arity}\n`;
-    text += `Path: ${row.path}:${row.start_line}\n`;
-    if (row.spec) text += `Spec: ${row.spec}\n`;
-    if (row.doc) text += `Doc: ${row.doc}\n`;
-    text += `Definition: ${row.struct_text}\n\n`;
-    sources.push({ path: row.path, start_line: row.start_line, end_line: row.end_line || row.start_line });
-  }
-  return { text, sources };
-}
-
-function handleRefresh(params) {
-  const paths = params.paths || [];
-  const isIncremental = paths.length > 0;
-  const exporterPath = require('path').resolve(__dirname, 'export.exs');
-  const ingestPath = require('path').resolve(__dirname, 'ingest.js');
-
-  if (isIncremental) {
-    // Incremental: export only specified files, ingest with --incremental
-    logger.info('Starting incremental refresh', { files: paths.length });
-    const exportArgs = ['run', '--no-compile', '--no-start', exporterPath, '--files', '--quiet', ...paths];
-    const exportProcess = spawn('mix', exportArgs, {
-      cwd: projectRoot,
-      stdio: ['pipe', 'pipe', 'pipe']
-    });
+  return packRows(db, results, { max_tokens: params.max_tokens, expand: params.expand });
+}
 
-    let jsonl = '';
-    exportProcess.stdout.on('data', (d) => { jsonl += d.toString(); });
-    exportProcess.stderr.on('data', (d) => { logger.warn('export stderr', { data: d.toString().slice(0, 200) }); });
+function handleCallers(params) {
+  if (!db) throw new Error('Database not initialized');
+  if (!params.target) throw new Error('target is required');
+  return createCallGraph(db).callers(params.target, { depth: params.depth, limit: params.limit });
+}
 
-    exportProcess.on('exit', (code) => {
-      if (code !== 0) {
-        logger.error('Incremental export failed', { code });
-        return;
-      }
-      if (!jsonl.trim()) {
-        logger.info('Incremental export returned no entries');
-        return;
-      }
-      const ingestProcess = spawn('node', [ingestPath, '-', dbFile, '--incremental'], {
-        stdio: ['pipe', 'pipe', 'pipe']
-      });
-      ingestProcess.stdin.write(jsonl);
-      ingestProcess.stdin.end();
-      ingestProcess.stdout.on('data', (d) => { logger.info('ingest', { msg: d.toString().trim() }); });
-      ingestProcess.stderr.on('data', (d) => { logger.warn('ingest stderr', { data: d.toString().slice(0, 200) }); });
-      ingestProcess.on('exit', (ingestCode) => {
-        if (ingestCode !== 0) {
-          logger.error('Incremental ingest failed', { ingestCode });
-        } else {
-          logger.info('Incremental refresh completed');
-          // Reopen DB to pick up changes
-          try { if (db) db.close(); } catch(e) {}
-          initDB();
-        }
-      });
+function handleCallees(params) {
+  if (!db) throw new Error('Database not initialized');
+  if (!params.target) throw new Error('target is required');
+  return createCallGraph(db).callees(params.target, { depth: params.depth, limit: params.limit });
+}
+
+function handleCallPaths(params) {
+  if (!db) throw new Error('Database not initialized');
+  if (!params.from || !params.to) throw new Error('from and to are required');
+  return createCallGraph(db).callPaths(params.from, params.to, { max_depth: params.max_depth, limit: params.limit });
+}
+
+function handleLiveViewMap(params) {
+  if (!db) throw new Error('Database not initialized');
+  if (!params.module) throw new Error('module is required');
+  return liveviewMap(db, params.module);
+}
+
+function handleRoutes(params) {
+  if (!db) throw new Error('Database not initialized');
+  if (params.url) return resolveUrl(db, params.url, { verb: params.verb });
+  return listRoutes(db, { verb: params.verb, filter: params.filter, router: params.router, limit: params.limit });
+}
+
+function handleSchema(params) {
+  if (!db) throw new Error('Database not initialized');
+  if (params.module) return ectoSchema(db, params.module);
+  return schemaGraph(db, { filter: params.filter });
+}
+
+/**
+ * Run a child process to completion
+ * @returns {Promise<string>} stdout; rejects when the process fails to start, exits
+ *   non-zero or is killed after timeoutMs
+ */
+function runProcess(label, command, args, { cwd, input, onStderr, timeoutMs = CHILD_TIMEOUT_MS }) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { cwd, stdio: ['pipe', 'pipe', 'pipe'] });
+    let stdout = '';
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      child.kill();
+    }, timeoutMs);
+    child.stdout.on('data', (d) => { stdout += d.toString(); });
+    child.stderr.on('data', (d) => {
+      logger.warn(`${label} stderr`, { data: d.toString().slice(0, 200) });
+      onStderr(d.toString());
     });
-  } else {
-    // Full rebuild: export everything, full ingest (drops and recreates tables)
-    logger.info('Starting full refresh');
-    const exportProcess = spawn('mix', ['run', '--no-compile', '--no-start', exporterPath, '--quiet'], {
-      cwd: projectRoot,
-      stdio: ['pipe', 'pipe', 'pipe']
+    child.on('error', (err) => onStderr(`${err.message}\n`));
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      if (timedOut) reject(new Error(`${label} timed out after ${timeoutMs}ms`));
+      else if (code === 0) resolve(stdout);
+      else reject(new Error(`${label} exited with code ${code}`));
     });
+    if (input !== undefined) child.stdin.write(input);
+    child.stdin.end();
+  });
+}
 
-    let jsonl = '';
-    exportProcess.stdout.on('data', (d) => { jsonl += d.toString(); });
-    exportProcess.stderr.on('data', (d) => { logger.warn('export stderr', { data: d.toString().slice(0, 200) }); });
+function entriesIngested(summary) {
+  return summary ? summary.inserted + summary.replaced : 0;
+}
 
-    exportProcess.on('exit', (code) => {
-      if (code !== 0) {
-        logger.error('Full export failed', { code });
-        return;
-      }
-      const ingestProcess = spawn('node', [ingestPath, '-', dbFile], {
-        stdio: ['pipe', 'pipe', 'pipe']
-      });
-      ingestProcess.stdin.write(jsonl);
-      ingestProcess.stdin.end();
-      ingestProcess.stdout.on('data', (d) => { logger.info('ingest', { msg: d.toString().trim() }); });
-      ingestProcess.stderr.on('data', (d) => { logger.warn('ingest stderr', { data: d.toString().slice(0, 200) }); });
-      ingestProcess.on('exit', (ingestCode) => {
-        if (ingestCode !== 0) {
-          logger.error('Full ingest failed', { ingestCode });
-        } else {
-          logger.info('Full refresh completed');
-          try { if (db) db.close(); } catch(e) {}
-          initDB();
-        }
-      });
-    });
+// Changed-only and git-range refreshes reuse build.js, which diffs, purges and ingests in place
+async function refreshViaBuild(extraArgs, onStderr) {
+  const path = require('path');
+  const buildArgs = [
+    path.resolve(__dirname, 'build.js'),
+    '--project', projectRoot,
+    '--data', path.dirname(dbFile),
+    '--db', dbFile,
+    '--exporter', exporter,
+    ...extraArgs
+  ];
+  // build.js bounds its own export and ingest
+  const stdout = await runProcess('build', 'node', buildArgs, { cwd: projectRoot, onStderr, timeoutMs: 2 * CHILD_TIMEOUT_MS });
+  safeClose();
+  initDB();
+  const summary = parseIngestSummary(stdout);
+  return { entries: entriesIngested(summary), summary };
+}
+
+// Export only the given files, ingest with --incremental
+async function refreshPaths(requested, onStderr) {
+  const path = require('path');
+  // Earlier jobs may already have indexed some of them
+  const paths = db ? changedPaths(db, projectRoot, requested) : requested;
+  if (paths.length === 0) return { files: 0, unchanged: requested.length, entries: 0, summary: null };
+
+  // Taken before exporting; ingest purges every path (even ones that now export
+  // nothing, or were deleted) and stores these hashes in the same transaction
+  const files = fileRecords(projectRoot, paths);
+  const existing = files.filter(f => !f.deleted).map(f => f.path);
+  const elixirFiles = existing.filter(p => !p.endsWith('.heex'));
+
+  let jsonl = files.map(r => JSON.stringify(r) + '\n').join('');
+  if (elixirFiles.length > 0) {
+    jsonl += (await runExport({ exporter, root: projectRoot, args: ['--files', '--quiet', ...elixirFiles], onStderr })).stdout;
   }
+  // The exporter only reads .ex/.exs; templates (.heex, ~H sigils), LiveView references, routes and Ecto schemas are parsed here
+  jsonl += readSourceRecords(projectRoot, existing).map(r => JSON.stringify(r) + '\n').join('');
+
+  const ingestOut = await runProcess('ingest', 'node', [path.resolve(__dirname, 'ingest.js'), '-', dbFile, '--incremental', '--root', projectRoot], { input: jsonl, onStderr });
+  const summary = parseIngestSummary(ingestOut);
+  safeClose();
+  initDB();
+  return { files: paths.length, unchanged: requested.length - paths.length, entries: entriesIngested(summary), summary };
+}
+
+// Export everything, full ingest (builds a shadow database and swaps it in)
+async function refreshAll(onStderr) {
+  const path = require('path');
+  const sourceFiles = scanSourceFiles(projectRoot).map(f => f.path);
+  // Hashed before exporting, so a file saved during the export is seen as changed next time
+  const files = fileRecords(projectRoot, sourceFiles);
+  let { stdout: jsonl } = await runExport({ exporter, root: projectRoot, args: ['--quiet'], onStderr });
+  jsonl += files.map(r => JSON.stringify(r) + '\n').join('');
+  jsonl += readSourceRecords(projectRoot, sourceFiles).map(r => JSON.stringify(r) + '\n').join('');
+
+  const ingestOut = await runProcess('ingest', 'node', [path.resolve(__dirname, 'ingest.js'), '-', dbFile, '--root', projectRoot], { input: jsonl, onStderr });
+  const summary = parseIngestSummary(ingestOut);
+  safeClose();
+  initDB();
+  return { files: sourceFiles.length, entries: entriesIngested(summary), summary };
+}
 
-  return { started: true, mode: isIncremental ? 'incremental' : 'full', files: paths.length };
+async function runRefresh(request, onStderr) {
+  logger.info(`Starting ${request.mode} refresh`, request.paths ? { files: request.paths.length } : { since: request.since });
+  let result;
+  if (request.mode === 'since') result = await refreshViaBuild(['--since', request.since], onStderr);
+  else if (request.mode === 'changed_only') result = await refreshViaBuild(['--changed-only'], onStderr);
+  else if (request.mode === 'incremental') result = await refreshPaths(request.paths, onStderr);
+  else result = await refreshAll(onStderr);
+  logger.info(`${request.mode} refresh completed`, { entries: result.entries });
+  return result;
+}
+
+const refreshJobs = createJobQueue({ run: runRefresh, merge: mergeRefreshRequests });
+
+async function handleRefresh(params) {
+  let request;
+  if (params.since) {
+    if (typeof params.since !== 'string' || params.since.startsWith('-')) throw new Error(`Invalid git ref: ${params.since}`);
+    request = { mode: 'since', since: params.since };
+  } else if (params.changed_only) {
+    request = { mode: 'changed_only' };
+  } else if (params.paths && params.paths.length > 0) {
+    // The exporter runs from projectRoot; relative paths keep stored paths and ids stable
+    const requested = params.paths.map(p => normalizePath(projectRoot, p));
+    // Files whose content matches what was last indexed are not re-exported
+    const paths = db ? changedPaths(db, projectRoot, requested) : requested;
+    if (paths.length === 0) {
+      return { started: false, mode: 'incremental', files: 0, unchanged: requested.length };
+    }
+    request = { mode: 'incremental', paths };
+  } else {
+    request = { mode: 'full' };
+  }
+
+  const { job, coalesced } = refreshJobs.submit(request);
+  if (coalesced) logger.info('Refresh merged into queued job', { job_id: job.job_id, mode: job.request.mode });
+  if (params.wait) {
+    const done = await refreshJobs.wait(job.job_id, { timeoutMs: params.wait_ms || REFRESH_WAIT_MS });
+    return { started: true, coalesced, ...done };
+  }
+  return { started: true, coalesced, ...job };
+}
+
+function handleRefreshStatus(params) {
+  if (params.job_id) {
+    const job = refreshJobs.get(params.job_id);
+    if (!job) throw new Error(`Unknown refresh job: ${params.job_id}`);
+    return job;
+  }
+  return refreshJobs.list();
 }
 
 function handleIndexStatus() {
   if (!db) {
-    return { functions: 0, edges: 0, updated_at: null, db_connected: false, db_path: dbFile };
-  }
-  try {
-    const functionsCount = db.prepare('SELECT count(*) as count FROM functions').get().count;
-    const edgesCount = db.prepare('SELECT count(*) as count FROM edges').get().count;
-    return {
-      functions: functionsCount,
-      edges: edgesCount,
-      updated_at: new Date().toISOString(),
-      db_connected: true,
-      db_path: dbFile
-    };
-  } catch (err) {
-    // Tables missing or DB not yet initialized
-    return {
-      functions: 0,
-      edges: 0,
-      updated_at: null,
-      db_connected: true,
-      db_path: dbFile,
-      warning: 'index schema missing'
-    };
+    const status = { functions: 0, edges: 0, updated_at: null, db_connected: false, db_path: dbFile };
+    if (schemaError) status.error = schemaError;
+    return status;
   }
+  const meta = readMeta(db);
+  const functionsCount = db.prepare('SELECT count(*) as count FROM functions').get().count;
+  const edgesCount = db.prepare('SELECT count(*) as count FROM edges').get().count;
+  return {
+    functions: functionsCount,
+    edges: edgesCount,
+    schema_version: meta.schema_version ? parseInt(meta.schema_version, 10) : null,
+    supported_schema_version: SCHEMA_VERSION,
+    exporter_version: meta.exporter_version || null,
+    project_root: meta.project_root || null,
+    git_head: meta.git_head || null,
+    built_at: meta.built_at || null,
+    updated_at: meta.updated_at || null,
+    db_connected: true,
+    db_path: dbFile
+  };
 }
 
 function handleHealth() {
   const status = handleIndexStatus();
   return {
+    ...status,
     ok: !!status.db_connected,
     project_root: projectRoot,
-    ...status
+    indexed_project_root: status.project_root,
+    watcher: watcher ? watcher.state() : { running: false }
   };
 }
 
+// --watch: run the file watcher in this process. Change detection goes through
+// the server's connection; its rebuilds are queued as refresh jobs, so they never
+// run alongside (or get swapped away by) an elixir_context.refresh.
+function startWatcher() {
+  const debounceArg = process.argv.indexOf('--debounce');
+  watcher = createWatcher({
+    root: projectRoot,
+    dbFile,
+    exporter,
+    debounceMs: debounceArg !== -1 ? parseInt(process.argv[debounceArg + 1], 10) : 5000,
+    withDb: (fn) => {
+      reopenIfSwapped();
+      if (!db) throw new Error(schemaError || 'Database not initialized');
+      return fn(db);
+    },
+    runRefresh: async (request) => {
+      const { job } = refreshJobs.submit(request);
+      const done = await refreshJobs.wait(job.job_id);
+      if (done.status === 'failed') throw new Error(done.error);
+      return done.result;
+    },
+    onRebuild: (event) => {
+      // Rebuilt rows may have new or removed embeddings
+      vectorIndex = null;
+      const what = event.kind === 'catch_up' ? `Git catch-up (${event.reason})` : `Incremental rebuild of ${event.files} file(s)`;
+      sendLog(event.ok ? 'info' : 'error', { message: event.ok ? `${what} completed` : `${what} failed: ${event.error}`, ...event });
+    }
+  });
+  logger.info('Starting in-process watcher', { root: projectRoot, dbFile });
+  watcher.start();
+}
+
 const rl = readline.createInterface({
   input: process.stdin,
   output: process.stdout,
@@ -379,6 +851,10 @@ const rl = readline.createInterface({
 });
 
 initDB();
+if (process.argv.includes('--watch')) {
+  if (schemaError) logger.error('Watcher not started: index schema unusable', { err: schemaError });
+  else startWatcher();
+}
 
 rl.on('line', (line) => {
   let message;
@@ -400,6 +876,8 @@ rl.on('line', (line) => {
       handleInitialize(message.id);
     } else if (message.method === "tools/list") {
       handleToolsList(message.id);
+    } else if (message.method === "logging/setLevel") {
+      handleSetLevel(message.id, message.params);
     } else if (message.method === "tools/call") {
       // MCP spec: params.name + params.arguments (not params.method + params.params)
       const toolName = message.params.name || message.params.method;
@@ -417,6 +895,11 @@ rl.on('line', (line) => {
   }
 });
 
+// Client went away: stop watching so the process can exit once in-flight work finishes
+rl.on('close', () => {
+  if (watcher) watcher.close();
+});
+
 function safeClose() {
   try {
     if (db) db.close();
@@ -425,7 +908,7 @@ function safeClose() {
   }
 }
 
-process.on('SIGINT', () => { logger.info('SIGINT received, shutting down'); safeClose(); process.exit(0); });
-process.on('SIGTERM', () => { logger.info('SIGTERM received, shutting down'); safeClose(); process.exit(0); });
+process.on('SIGINT', () => { logger.info('SIGINT received, shutting down'); if (watcher) watcher.close(); safeClose(); process.exit(0); });
+process.on('SIGTERM', () => { logger.info('SIGTERM received, shutting down'); if (watcher) watcher.close(); safeClose(); process.exit(0); });
 process.on('uncaughtException', (err) => { logger.error('uncaughtException', { err: err.message }); safeClose(); process.exit(1); });
 process.on('unhandledRejection', (reason) => { logger.error('unhandledRejection', { err: String(reason) }); });
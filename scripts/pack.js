@@ -0,0 +1,189 @@
+#!/usr/bin/env node
+
+// Token-budgeted context packing shared by the MCP server and query.js --pack
+
+const { createCallGraph, formatMfa } = require('./callgraph');
+
+const DEFAULT_MAX_TOKENS = 8000;
+const MIN_TRUNCATED_TOKENS = 64;
+const NEIGHBOR_LIMIT = 5;
+// Room kept for the "… [truncated: N more line(s), see source]" marker
+const TRUNCATION_MARKER_TOKENS = 12;
+
+// Relative weight of each expansion relative to the seed that produced it
+const EXPAND_WEIGHTS = {
+  callees: 0.6,
+  callers: 0.5,
+  same_module: 0.4,
+  specs: 0.3
+};
+
+/**
+ * Rough token estimate (~4 characters per token for code)
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+function renderEntry(row, { body, note, specOnly }) {
+  let text = `### ${formatMfa(row)}\n`;
+  text += `Path: ${row.path}:${row.start_line}\n`;
+  if (note) text += `Related: ${note}\n`;
+  if (row.spec) text += `Spec: ${row.spec}\n`;
+  if (specOnly) {
+    text += `Signature: ${row.signature || row.name}\n\n`;
+    return text;
+  }
+  if (row.doc) text += `Doc: ${row.doc}\n`;
+  text += `Definition: ${body}\n\n`;
+  return text;
+}
+
+/**
+ * Cut a definition body down to roughly `maxTokens`, on line boundaries, with a marker
+ */
+function truncateBody(body, maxTokens) {
+  const lines = (body || '').split('\n');
+  if (estimateTokens(body) <= maxTokens) return body;
+  const budget = Math.max(1, maxTokens - TRUNCATION_MARKER_TOKENS);
+  const kept = [];
+  let used = 0;
+  for (const line of lines) {
+    const cost = estimateTokens(line + '\n');
+    if (used + cost > budget && kept.length > 0) break;
+    if (cost > budget) {
+      // A single oversized line (generated code, long literal) still gets cut
+      kept.push(line.slice(0, budget * 4));
+      break;
+    }
+    kept.push(line);
+    used += cost;
+  }
+  const omitted = lines.length - kept.length;
+  return `${kept.join('\n')}\n… [truncated: ${omitted} more line(s), see source]`;
+}
+
+function normalizeExpand(expand) {
+  if (!expand) return [];
+  const list = Array.isArray(expand) ? expand : [expand];
+  for (const e of list) {
+    if (!EXPAND_WEIGHTS[e]) throw new Error(`Unknown expand option: ${e} (expected ${Object.keys(EXPAND_WEIGHTS).join(', ')})`);
+  }
+  return list;
+}
+
+/**
+ * Build a context bundle from seed rows, expanding to related functions and
+ * greedily filling a token budget in rank order.
+ * @param {Database} db - better-sqlite3 connection
+ * @param {Array} seeds - Ranked `functions` rows (best first)
+ * @param {Object} opts - { max_tokens, expand, max_entry_tokens }
+ * @returns {{text: string, sources: Array, included: Array, dropped: Array, tokens: Object}}
+ */
+function packRows(db, seeds, opts = {}) {
+  const maxTokens = opts.max_tokens || DEFAULT_MAX_TOKENS;
+  const maxEntryTokens = opts.max_entry_tokens || Math.max(MIN_TRUNCATED_TOKENS, Math.floor(maxTokens / 3));
+  const expand = normalizeExpand(opts.expand);
+
+  // id → { row, score, reasons, specOnly }
+  const candidates = new Map();
+  function addCandidate(row, score, reason, specOnly = false) {
+    const existing = candidates.get(row.id);
+    if (!existing) {
+      candidates.set(row.id, { row, score, reasons: [reason], specOnly });
+      return;
+    }
+    if (!existing.reasons.includes(reason)) existing.reasons.push(reason);
+    if (score > existing.score) existing.score = score;
+    // A full entry wins over a spec-only one
+    existing.specOnly = existing.specOnly && specOnly;
+  }
+
+  seeds.forEach((row, i) => addCandidate(row, 1 - i / (seeds.length * 2), 'match'));
+
+  if (expand.length > 0 && seeds.length > 0) {
+    const graph = createCallGraph(db);
+    const byIds = (ids) => ids.length === 0 ? [] :
+      db.prepare(`SELECT * FROM functions WHERE id IN (${ids.map(() => '?').join(',')})`).all(ids);
+    const sameModule = db.prepare(`
+      SELECT * FROM functions
+      WHERE module = ? AND id != ? AND kind IN ('function', 'function_private', 'macro', 'macro_private')
+      ORDER BY start_line
+    `);
+
+    for (const seed of seeds) {
+      const seedScore = candidates.get(seed.id).score;
+      const mfa = formatMfa(seed);
+      for (const option of expand) {
+        const score = seedScore * EXPAND_WEIGHTS[option];
+        let rows = [];
+        let note = null;
+        let specOnly = false;
+        if (option === 'callees') {
+          rows = byIds(graph.callees(seed.id, { limit: NEIGHBOR_LIMIT }).callees.map(c => c.id));
+          note = `called by ${mfa}`;
+        } else if (option === 'callers') {
+          rows = byIds(graph.callers(seed.id, { limit: NEIGHBOR_LIMIT }).callers.map(c => c.id));
+          note = `calls ${mfa}`;
+        } else if (option === 'same_module') {
+          rows = sameModule.all(seed.module, seed.id).slice(0, NEIGHBOR_LIMIT);
+          note = `same module as ${mfa}`;
+        } else if (option === 'specs') {
+          rows = sameModule.all(seed.module, seed.id).filter(r => r.kind === 'function' || r.kind === 'macro');
+          note = `public API of ${seed.module}`;
+          specOnly = true;
+        }
+        for (const row of rows) addCandidate(row, score, note, specOnly);
+      }
+    }
+  }
+
+  const ranked = [...candidates.values()].sort((a, b) => b.score - a.score);
+
+  let text = '';
+  let used = 0;
+  const sources = [];
+  const included = [];
+  const dropped = [];
+
+  for (const cand of ranked) {
+    const { row } = cand;
+    const note = cand.reasons.includes('match') ? null : cand.reasons.join('; ');
+    const remaining = maxTokens - used;
+    let entry = renderEntry(row, { body: row.struct_text, note, specOnly: cand.specOnly });
+    let cost = estimateTokens(entry);
+    let truncated = false;
+
+    if (!cand.specOnly && (cost > maxEntryTokens || cost > remaining)) {
+      const overhead = estimateTokens(renderEntry(row, { body: '', note }));
+      const bodyBudget = Math.min(maxEntryTokens, remaining) - overhead;
+      if (bodyBudget >= MIN_TRUNCATED_TOKENS) {
+        entry = renderEntry(row, { body: truncateBody(row.struct_text, bodyBudget), note });
+        cost = estimateTokens(entry);
+        truncated = true;
+      }
+    }
+
+    const summary = { id: row.id, mfa: formatMfa(row), reason: cand.reasons.join('; '), score: Number(cand.score.toFixed(3)) };
+    if (row.anchor) summary.anchor = row.anchor;
+    if (cost > remaining) {
+      dropped.push({ ...summary, tokens: cost, why: 'budget' });
+      continue;
+    }
+
+    text += entry;
+    used += cost;
+    included.push({ ...summary, tokens: cost, truncated, spec_only: cand.specOnly });
+    sources.push({ path: row.path, start_line: row.start_line, end_line: row.end_line || row.start_line });
+  }
+
+  return {
+    text,
+    sources,
+    included,
+    dropped,
+    tokens: { budget: maxTokens, used }
+  };
+}
+
+module.exports = { packRows, estimateTokens, truncateBody, DEFAULT_MAX_TOKENS };
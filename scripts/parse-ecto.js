@@ -0,0 +1,255 @@
+#!/usr/bin/env node
+
+// Ecto schema model for the ecto_schemas/ecto_fields tables: one record per
+// `schema "table"` / `embedded_schema` block (and per inline embeds_one/many
+// block) with its primary key, fields, belongs_to foreign keys, timestamps,
+// associations and embeds in definition order. Association targets are
+// expanded through the module's aliases; @primary_key, @foreign_key_type and
+// @timestamps_opts are applied the way Ecto.Schema does.
+
+const fs = require('fs');
+const { tokenize, parseElixirSource } = require('./parse-elixir');
+const { readStatement } = require('./parse-router');
+
+const ASSOCIATIONS = ['belongs_to', 'has_one', 'has_many', 'many_to_many'];
+const EMBEDS = ['embeds_one', 'embeds_many'];
+const ATTRIBUTES = new Set(['primary_key', 'foreign_key_type', 'timestamps_opts']);
+
+// Files without a schema block are not tokenized
+const CANDIDATE = /\b(?:embedded_)?schema\b/;
+
+const isOp = (t, value) => t && t.type === 'op' && t.value === value;
+const isId = (t, value) => t && t.type === 'id' && t.value === value;
+
+/**
+ * Ecto schemas defined in one source file
+ * @param {string} filePath - Path as stored in the index
+ * @param {string} source
+ * @returns {Array} ecto_schema records (see records.js)
+ */
+function parseEctoSchemas(filePath, source) {
+  if (!CANDIDATE.test(source)) return [];
+
+  const entries = parseElixirSource(filePath, source);
+  const modules = entries.filter(r => r.kind === 'module');
+  const aliases = new Map();
+  for (const r of entries) {
+    if (r.kind !== 'alias' || !r.as) continue;
+    if (!aliases.has(r.module)) aliases.set(r.module, new Map());
+    aliases.get(r.module).set(r.as, r.target);
+  }
+  const moduleAt = (line) => {
+    let best = null;
+    for (const m of modules) {
+      if (m.start_line <= line && line <= m.end_line && (!best || m.start_line >= best.start_line)) best = m;
+    }
+    return best && best.module;
+  };
+
+  const tokens = tokenize(source);
+  const text = (arg) => source.slice(arg[0].start, arg[arg.length - 1].end);
+
+  // Module named by an argument: an alias (expanded), __MODULE__ or __MODULE__.Sub
+  function moduleRef(module, arg) {
+    if (arg.length === 1 && arg[0].type === 'alias') {
+      const [head, ...rest] = arg[0].value.split('.');
+      const target = aliases.has(module) && aliases.get(module).get(head);
+      return target ? [target, ...rest].join('.') : arg[0].value;
+    }
+    if (isId(arg[0], '__MODULE__')) {
+      if (arg.length === 1) return module;
+      if (arg.length === 3 && isOp(arg[1], '.') && arg[2].type === 'alias') return `${module}.${arg[2].value}`;
+    }
+    return null;
+  }
+
+  // Literal value (atoms by name, numbers, modules expanded, lists of atoms), else the source text
+  function value(module, arg) {
+    if (arg.length === 1) {
+      const [t] = arg;
+      if (t.type === 'string' || t.type === 'atom') return t.value;
+      if (t.type === 'number') {
+        // 1_000, 0x1F, 1.5e3; ?a char literals stay as written
+        const n = Number(t.value.replace(/_/g, ''));
+        return Number.isNaN(n) ? t.value : n;
+      }
+      if (isId(t, 'true')) return true;
+      if (isId(t, 'false')) return false;
+      if (isId(t, 'nil')) return null;
+    }
+    const ref = moduleRef(module, arg);
+    if (ref) return ref;
+    if (isOp(arg[0], '[') && isOp(arg[arg.length - 1], ']') &&
+        arg.slice(1, -1).every(t => t.type === 'atom' || isOp(t, ','))) {
+      return arg.slice(1, -1).filter(t => t.type === 'atom').map(t => t.value);
+    }
+    return text(arg);
+  }
+
+  // Ecto type: :string is "string", modules expanded, anything else as written
+  function typeName(module, arg) {
+    const v = value(module, arg);
+    return typeof v === 'string' ? v : text(arg);
+  }
+
+  // Elements of a list literal's tokens, split on top-level commas
+  function listItems(arg) {
+    const items = [[]];
+    let depth = 0;
+    for (const t of arg.slice(1, -1)) {
+      if (t.type === 'op' && ['(', '[', '{'].includes(t.value)) depth++;
+      else if (t.type === 'op' && [')', ']', '}'].includes(t.value)) depth--;
+      if (depth === 0 && isOp(t, ',')) items.push([]);
+      else items[items.length - 1].push(t);
+    }
+    return items.filter(item => item.length > 0);
+  }
+
+  // Positional arguments (token lists) and keyword options (values)
+  function splitArgs(module, args) {
+    const positional = [];
+    const opts = {};
+    for (const arg of args) {
+      if (arg[0].type === 'kw') opts[arg[0].value] = arg.length > 1 ? value(module, arg.slice(1)) : null;
+      else positional.push(arg);
+    }
+    return { positional, opts };
+  }
+
+  // @primary_key, @foreign_key_type and @timestamps_opts per module
+  const attributes = new Map();
+  for (let i = 0; i < tokens.length - 1; i++) {
+    if (!isOp(tokens[i], '@') || tokens[i + 1].type !== 'id' || !ATTRIBUTES.has(tokens[i + 1].value)) continue;
+    const module = moduleAt(tokens[i].line);
+    if (!module) continue;
+    const { args } = readStatement(tokens, i + 1, tokens.length);
+    if (args.length === 0) continue;
+    if (!attributes.has(module)) attributes.set(module, {});
+    const attrs = attributes.get(module);
+    const name = tokens[i + 1].value;
+    if (name === 'primary_key') {
+      // false, or {:name, :type, opts}
+      const atoms = args[0].filter(t => t.type === 'atom');
+      attrs.primary_key = isId(args[0][0], 'false') ? false
+        : atoms.length >= 2 ? { name: atoms[0].value, type: atoms[1].value } : undefined;
+    } else if (name === 'foreign_key_type') {
+      attrs.foreign_key_type = typeName(module, args[0]);
+    } else {
+      attrs.timestamps_opts = splitArgs(module, isOp(args[0][0], '[') ? listItems(args[0]) : args).opts;
+    }
+  }
+
+  const schemas = [];
+
+  /**
+   * Fields of the block between tokens[from] and tokens[to]; inline embeds
+   * become schemas of their own. Aliases are those of the enclosing `scope` module.
+   */
+  function schemaBody(schema, from, to, scope) {
+    const attrs = attributes.get(schema.module) || {};
+    let i = from;
+    while (i < to) {
+      const t = tokens[i];
+      if (t.type !== 'id') {
+        i++;
+        continue;
+      }
+      const { args, doAt, next } = readStatement(tokens, i, to);
+      const { positional, opts } = splitArgs(scope, args);
+      const nameArg = positional[0];
+      const name = nameArg && nameArg.length === 1 && nameArg[0].type === 'atom' ? nameArg[0].value : null;
+      const add = ({ name, category, type = null, related = null, options = {} }) =>
+        schema.fields.push({ name, category, type, related, options, line: t.line });
+
+      if (t.value === 'field' && name) {
+        add({ name, category: 'field', type: positional[1] ? typeName(scope, positional[1]) : 'string', options: opts });
+      } else if (t.value === 'timestamps') {
+        const merged = { ...(attrs.timestamps_opts || {}), ...opts };
+        const type = typeof merged.type === 'string' ? merged.type : 'naive_datetime';
+        for (const column of ['inserted_at', 'updated_at']) {
+          if (merged[column] === false) continue;
+          add({ name: typeof merged[column] === 'string' ? merged[column] : column, category: 'timestamps', type });
+        }
+      } else if (ASSOCIATIONS.includes(t.value) && name) {
+        const related = positional[1] ? moduleRef(scope, positional[1]) : null;
+        if (t.value === 'belongs_to') {
+          const foreignKey = typeof opts.foreign_key === 'string' ? opts.foreign_key : `${name}_id`;
+          const type = typeof opts.type === 'string' ? opts.type : attrs.foreign_key_type || 'id';
+          add({ name, category: t.value, type, related, options: { ...opts, foreign_key: foreignKey } });
+          if (opts.define_field !== false) {
+            add({ name: foreignKey, category: 'foreign_key', type, related, options: { association: name } });
+          }
+        } else {
+          add({ name, category: t.value, related, options: opts });
+        }
+      } else if (EMBEDS.includes(t.value) && name && positional[1]) {
+        if (doAt !== -1 && positional[1].length === 1 && positional[1][0].type === 'alias') {
+          // embeds_one :address, Address do ... end defines Parent.Address
+          const related = `${schema.module}.${positional[1][0].value}`;
+          add({ name, category: t.value, related, options: { ...opts, inline: true } });
+          const primaryKey = opts.primary_key === false ? false : { name: 'id', type: 'binary_id' };
+          schemaBody(openSchema(related, null, true, primaryKey, t.line, tokens[next - 1].line), doAt + 1, next - 1, scope);
+        } else {
+          add({ name, category: t.value, related: moduleRef(scope, positional[1]), options: opts });
+        }
+      }
+      i = next;
+    }
+  }
+
+  function openSchema(module, table, embedded, primaryKey, startLine, endLine) {
+    const schema = {
+      kind: 'ecto_schema',
+      module,
+      source: table,
+      embedded,
+      path: filePath,
+      start_line: startLine,
+      end_line: endLine,
+      fields: []
+    };
+    if (primaryKey) {
+      schema.fields.push({ name: primaryKey.name, category: 'primary_key', type: primaryKey.type, related: null, options: {}, line: startLine });
+    }
+    schemas.push(schema);
+    return schema;
+  }
+
+  for (let i = 0; i < tokens.length; i++) {
+    const t = tokens[i];
+    if (!isId(t, 'schema') && !isId(t, 'embedded_schema')) continue;
+    // Statement heads only: not def schema, Ecto.Schema, :schema or a schema variable
+    const prev = tokens[i - 1];
+    if (prev && prev.type !== 'eol' && !isOp(prev, ';')) continue;
+    const module = moduleAt(t.line);
+    if (!module) continue;
+
+    const { args, doAt, next } = readStatement(tokens, i, tokens.length);
+    if (doAt === -1) continue;
+    const embedded = t.value === 'embedded_schema';
+    const table = !embedded && args[0] && args[0].length === 1 && args[0][0].type === 'string' ? args[0][0].value : null;
+    if (!embedded && !table) continue;
+
+    const attrs = attributes.get(module) || {};
+    const primaryKey = attrs.primary_key !== undefined ? attrs.primary_key
+      : { name: 'id', type: embedded ? 'binary_id' : 'id' };
+    schemaBody(openSchema(module, table, embedded, primaryKey, t.line, tokens[next - 1].line), doAt + 1, next - 1, module);
+    i = next - 1;
+  }
+
+  return schemas;
+}
+
+module.exports = { parseEctoSchemas };
+
+// CLI usage: node parse-ecto.js <ex_file>
+if (require.main === module) {
+  const filePath = process.argv[2];
+  if (!filePath) {
+    console.error('Usage: node parse-ecto.js <ex_file>');
+    process.exit(1);
+  }
+  for (const schema of parseEctoSchemas(filePath, fs.readFileSync(filePath, 'utf8'))) {
+    console.log(JSON.stringify(schema));
+  }
+}
@@ -0,0 +1,918 @@
+#!/usr/bin/env node
+
+// Elixir source extraction without the Elixir compiler, for export.js.
+//
+// A tolerant tokenizer (strings, heredocs, sigils, charlists, atoms, keyword
+// keys, comments) feeds a token-level walker that matches do/fn...end blocks
+// and brackets, then recognizes the same forms export.exs reads from the AST:
+// defmodule, def/defp/defmacro/defmacrop (with @doc/@spec), use/alias/import,
+// @moduledoc/@behaviour, Ecto `schema` blocks, indexed macro calls and calls
+// made from function bodies. Records have the shape described in records.js.
+// Unbalanced or unparseable input degrades to fewer entries, never an error.
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+// Same list as export.exs @indexed_macros
+const INDEXED_MACROS = new Set([
+  'defevent', 'field', 'belongs_to', 'has_many', 'has_one', 'embeds_one', 'embeds_many',
+  'many_to_many', 'timestamps', 'plug', 'pipe_through', 'live', 'get', 'post', 'put', 'patch',
+  'delete', 'forward', 'socket', 'channel'
+]);
+
+const DEF_KINDS = {
+  def: 'function',
+  defp: 'function_private',
+  defmacro: 'macro',
+  defmacrop: 'macro_private'
+};
+
+// Kernel.SpecialForms and Kernel macros: control flow and definitions, not calls
+const NOT_CALLS = new Set([
+  'alias', 'case', 'cond', 'fn', 'for', 'import', 'quote', 'receive', 'require', 'super', 'try',
+  'unquote', 'unquote_splicing', 'with', 'binding', 'def', 'defdelegate', 'defexception',
+  'defguard', 'defguardp', 'defimpl', 'defmacro', 'defmacrop', 'defmodule', 'defoverridable',
+  'defp', 'defprotocol', 'defstruct', 'destructure', 'if', 'is_exception', 'is_nil',
+  'is_struct', 'is_non_struct_map', 'match?', 'raise', 'reraise', 'tap', 'then', 'to_charlist',
+  'to_string', 'unless', 'use', 'var!', 'dbg', 'and', 'or', 'not', 'in', 'when'
+]);
+
+// Kernel functions, recorded as Kernel.<name>/<arity> like export.exs does
+const KERNEL_FUNCTIONS = new Set([
+  'abs', 'apply', 'binary_part', 'binary_slice', 'bit_size', 'byte_size', 'ceil', 'div', 'elem',
+  'exit', 'floor', 'function_exported?', 'get_in', 'hd', 'inspect', 'is_atom', 'is_binary',
+  'is_bitstring', 'is_boolean', 'is_float', 'is_function', 'is_integer', 'is_list', 'is_map',
+  'is_map_key', 'is_number', 'is_pid', 'is_port', 'is_reference', 'is_tuple', 'length',
+  'macro_exported?', 'make_ref', 'map_size', 'max', 'min', 'node', 'put_elem', 'rem', 'round',
+  'self', 'send', 'spawn', 'spawn_link', 'spawn_monitor', 'struct', 'struct!', 'throw', 'tl',
+  'trunc', 'tuple_size'
+]);
+
+// Macros at arity 2, functions at arity 3
+const KERNEL_PATH_ACCESS = new Set(['get_and_update_in', 'put_in', 'update_in', 'pop_in']);
+
+// Identifiers that never start a call or an argument
+const RESERVED = new Set(['do', 'end', 'fn', 'when', 'and', 'or', 'not', 'in', 'else', 'rescue', 'catch', 'after', 'true', 'false', 'nil']);
+const CLAUSE_WORDS = new Set(['else', 'rescue', 'catch', 'after']);
+
+const KEYWORD_STOPWORDS = new Set(['_', 'x', 'y', 'opts', 'state', 'acc']);
+
+const OPERATORS = [
+  '...', '..//', '===', '!==', '<<<', '>>>', '<<~', '~>>', '<~>', '|||', '&&&', '^^^', '~~~', '<|>', '+++', '---',
+  '<-', '->', '::', '++', '--', '<>', '|>', '==', '!=', '<=', '>=', '&&', '||', '=>', '=~', '\\\\',
+  '..', '<<', '>>', '~>', '<~', '**',
+  '+', '-', '*', '/', '=', '<', '>', '|', '&', '^', '!', '.', ',', ';', '(', ')', '[', ']', '{', '}', '%', '@', '\\', ':'
+];
+
+// Operator atoms (:+, :., :{}) — brackets only as the special forms
+const ATOM_OPERATORS = ['%{}', '{}', '<<>>', ...OPERATORS.filter(o => !['(', ')', '[', ']', '{', '}', ',', ';', ':', '@'].includes(o))];
+
+const OPENERS = { '(': ')', '[': ']', '{': '}', '<<': '>>' };
+const CLOSERS = new Set([')', ']', '}', '>>']);
+
+// Binary operators a def head can define: `def left <~> right` is <~>/2
+const DEFINABLE_OPERATORS = new Set([
+  '===', '!==', '<<<', '>>>', '<<~', '~>>', '<~>', '|||', '&&&', '^^^', '<|>', '+++', '---',
+  '++', '--', '<>', '|>', '==', '!=', '<=', '>=', '&&', '||', '=~', '..', '~>', '<~', '**',
+  '+', '-', '*', '/', '<', '>'
+]);
+
+// A line ending in one of these, or the next one starting with one, continues the expression
+const LEADING_CONTINUATIONS = new Set(['|>', '.', '++', '--', '<>', '||', '&&', '|', '=', '==', '!=', '=~', '+', '*', '/', 'and', 'or', 'when', 'in']);
+
+const IDENT_START = /[\p{Ll}_]/u;
+const ALIAS_START = /\p{Lu}/u;
+const IDENT_CHAR = /[\p{L}\p{N}_]/u;
+const SIGIL_PAIRS = { '(': ')', '[': ']', '{': '}', '<': '>', '/': '/', '|': '|', '"': '"', "'": "'" };
+
+/**
+ * Split Elixir source into tokens
+ * @returns {Array<{type: string, value: *, start: number, end: number, line: number, spaced: boolean}>}
+ *   type: id, alias, atom, kw (keyword key), string, sigil, number, op or eol
+ */
+function tokenize(source) {
+  const tokens = [];
+  const n = source.length;
+  let i = 0;
+  let line = 1;
+  let spaced = true;
+
+  function push(type, value, start, startLine) {
+    tokens.push({ type, value, start, end: i, line: startLine, spaced });
+    spaced = false;
+  }
+
+  // Skips `#{...}` starting at i (on the `#`), including nested strings
+  function skipInterpolation() {
+    let depth = 0;
+    i++;
+    while (i < n) {
+      const c = source[i];
+      if (c === '{') depth++;
+      else if (c === '}' && --depth === 0) { i++; return; }
+      else if (c === '\n') line++;
+      else if (c === '"' || c === "'") { readQuoted(c, true); continue; }
+      i++;
+    }
+  }
+
+  // i on the opening delimiter; returns the raw contents
+  function readQuoted(close, interpolates) {
+    const start = ++i;
+    while (i < n && source[i] !== close) {
+      if (source[i] === '\\') i++;
+      else if (interpolates && source[i] === '#' && source[i + 1] === '{') { skipInterpolation(); continue; }
+      if (source[i] === '\n') line++;
+      i++;
+    }
+    const value = source.slice(start, i);
+    i++;
+    return value;
+  }
+
+  // i on the first of three quotes; returns the contents with the closing line's indentation removed
+  function readHeredoc(quote, interpolates) {
+    i += 3;
+    while (i < n && source[i] !== '\n') i++;
+    const start = i + 1;
+    while (i < n) {
+      if (source[i] === '\n') {
+        line++;
+        let j = i + 1;
+        while (source[j] === ' ' || source[j] === '\t') j++;
+        if (source.startsWith(quote.repeat(3), j)) {
+          const indent = j - i - 1;
+          const body = source.slice(start, i + 1);
+          i = j + 3;
+          return body.split('\n').map(l => l.slice(Math.min(indent, l.length - l.trimStart().length))).join('\n').replace(/\n$/, '');
+        }
+      } else if (source[i] === '\\') {
+        i++;
+      } else if (interpolates && source[i] === '#' && source[i + 1] === '{') {
+        skipInterpolation();
+        continue;
+      }
+      i++;
+    }
+    return source.slice(start);
+  }
+
+  function readWord() {
+    const start = i;
+    while (i < n && IDENT_CHAR.test(source[i])) i++;
+    if (source[i] === '?' || source[i] === '!') i++;
+    return source.slice(start, i);
+  }
+
+  // `name:` followed by whitespace is a keyword key (not `name::`)
+  function atKeywordColon() {
+    return source[i] === ':' && source[i + 1] !== ':' && (i + 1 >= n || /\s/.test(source[i + 1]));
+  }
+
+  while (i < n) {
+    const c = source[i];
+    const start = i;
+    const startLine = line;
+
+    if (c === '\n') {
+      i++;
+      if (tokens.length && tokens[tokens.length - 1].type !== 'eol') push('eol', null, start, startLine);
+      line++;
+      spaced = true;
+      continue;
+    }
+    if (c === ' ' || c === '\t' || c === '\r') { i++; spaced = true; continue; }
+    if (c === '\\' && source[i + 1] === '\n') { i += 2; line++; spaced = true; continue; }
+    if (c === '#') {
+      while (i < n && source[i] !== '\n') i++;
+      continue;
+    }
+
+    if (source.startsWith('"""', i) || source.startsWith("'''", i)) {
+      push('string', readHeredoc(c, true), start, startLine);
+      continue;
+    }
+    if (c === '"' || c === "'") {
+      const value = readQuoted(c, true);
+      if (atKeywordColon()) { i++; push('kw', value, start, startLine); } else push('string', value, start, startLine);
+      continue;
+    }
+
+    if (c === '~' && /[a-zA-Z]/.test(source[i + 1] || '')) {
+      i++;
+      const letter = /[a-z]/.test(source[i]) ? source[i++] : readWord();
+      const interpolates = letter === letter.toLowerCase();
+      let content = '';
+      if (source.startsWith('"""', i) || source.startsWith("'''", i)) {
+        content = readHeredoc(source[i], interpolates);
+      } else if (SIGIL_PAIRS[source[i]]) {
+        content = readQuoted(SIGIL_PAIRS[source[i]], interpolates);
+      }
+      while (i < n && /[a-zA-Z0-9]/.test(source[i])) i++;
+      push('sigil', { letter, content }, start, startLine);
+      continue;
+    }
+
+    if (c === '?' && i + 1 < n && !/\s/.test(source[i + 1])) {
+      i += source[i + 1] === '\\' ? 3 : 2;
+      push('number', source.slice(start, i), start, startLine);
+      continue;
+    }
+
+    if (/[0-9]/.test(c)) {
+      const m = /^(0x[0-9a-fA-F_]+|0b[01_]+|0o[0-7_]+|[0-9][0-9_]*(\.[0-9][0-9_]*([eE][-+]?[0-9]+)?)?)/.exec(source.slice(i, i + 64));
+      i += m[0].length;
+      push('number', m[0], start, startLine);
+      continue;
+    }
+
+    if (c === ':' && source[i + 1] !== ':') {
+      const next = source[i + 1] || '';
+      if (next === '"' || next === "'") {
+        i++;
+        push('atom', readQuoted(next, true), start, startLine);
+        continue;
+      }
+      if (IDENT_START.test(next) || ALIAS_START.test(next)) {
+        i++;
+        readWord();
+        while (source[i] === '@' && IDENT_CHAR.test(source[i + 1] || '')) { i++; readWord(); }
+        push('atom', source.slice(start + 1, i), start, startLine);
+        continue;
+      }
+      const op = ATOM_OPERATORS.find(o => source.startsWith(o, i + 1));
+      if (op) {
+        i += 1 + op.length;
+        push('atom', op, start, startLine);
+        continue;
+      }
+    }
+
+    if (IDENT_START.test(c)) {
+      const word = readWord();
+      if (atKeywordColon()) { i++; push('kw', word, start, startLine); } else push('id', word, start, startLine);
+      continue;
+    }
+    if (ALIAS_START.test(c)) {
+      // Dotted aliases are one token: Foo.Bar.Baz
+      readWord();
+      while (source[i] === '.' && ALIAS_START.test(source[i + 1] || '')) { i++; readWord(); }
+      const word = source.slice(start, i);
+      if (atKeywordColon()) { i++; push('kw', word, start, startLine); } else push('alias', word, start, startLine);
+      continue;
+    }
+
+    const op = OPERATORS.find(o => source.startsWith(o, i));
+    if (op) {
+      i += op.length;
+      push('op', op, start, startLine);
+      continue;
+    }
+    i++;
+  }
+  return tokens;
+}
+
+function isOp(token, value) {
+  return !!token && token.type === 'op' && token.value === value;
+}
+
+function isWord(token, value) {
+  return !!token && token.type === 'id' && token.value === value;
+}
+
+function isEol(token) {
+  return !!token && (token.type === 'eol' || isOp(token, ';'));
+}
+
+// do/fn/end used as block keywords (not `x.end` field access)
+function isBlockWord(tokens, k, value) {
+  return isWord(tokens[k], value) && !isOp(tokens[k - 1], '.');
+}
+
+/**
+ * Index of the matching closer for each opener (brackets, do/fn ... end), -1 when unclosed
+ */
+function matchPairs(tokens) {
+  const match = new Array(tokens.length).fill(-1);
+  const stack = [];
+  tokens.forEach((t, k) => {
+    if (t.type === 'op' && OPENERS[t.value]) {
+      stack.push({ k, close: OPENERS[t.value] });
+    } else if (isBlockWord(tokens, k, 'do') || isBlockWord(tokens, k, 'fn')) {
+      stack.push({ k, close: 'end' });
+    } else if ((t.type === 'op' && CLOSERS.has(t.value)) || isBlockWord(tokens, k, 'end')) {
+      // Tolerate stray closers and unclosed openers: close the nearest matching opener
+      for (let s = stack.length - 1; s >= 0; s--) {
+        if (stack[s].close === t.value) {
+          match[stack[s].k] = k;
+          stack.length = s;
+          break;
+        }
+      }
+    }
+  });
+  return match;
+}
+
+function prevToken(tokens, k) {
+  let p = k - 1;
+  while (p >= 0 && tokens[p].type === 'eol') p--;
+  return tokens[p];
+}
+
+function continuesLine(tokens, k) {
+  const prev = tokens[k - 1];
+  const next = tokens[k + 1];
+  if (prev && prev.type === 'op' && !CLOSERS.has(prev.value) && prev.value !== ';') return true;
+  if (isWord(prev, 'when')) return true;
+  return !!next && (next.type === 'op' || next.type === 'id') && LEADING_CONTINUATIONS.has(next.value);
+}
+
+function isExpressionStart(token) {
+  if (!token) return false;
+  if (token.type === 'id') return !RESERVED.has(token.value) || token.value === 'fn' || token.value === 'true' || token.value === 'false' || token.value === 'nil';
+  if (token.type === 'op') return ['[', '{', '%', '&', '^', '@', '!', '<<'].includes(token.value);
+  return token.type !== 'eol';
+}
+
+// Nothing before tokens[k] in its statement
+function atStatementStart(tokens, k) {
+  const prev = tokens[k - 1];
+  return !prev || isEol(prev) || isOp(prev, '->') || isBlockWord(tokens, k - 1, 'do');
+}
+
+function createWalker(source) {
+  const tokens = tokenize(source);
+  const match = matchPairs(tokens);
+
+  function text(from, to) {
+    if (to <= from) return '';
+    return source.slice(tokens[from].start, tokens[to - 1].end);
+  }
+
+  function flatText(from, to) {
+    return text(from, to).replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * End (exclusive) of the expression starting at `from`: a line break that does
+   * not continue it, a closer or clause keyword of the enclosing construct, or
+   * (with stopAtDo) a do-block belonging to the call being read
+   */
+  function expressionEnd(from, stopAtDo) {
+    for (let k = from; k < tokens.length; k++) {
+      const t = tokens[k];
+      if (isBlockWord(tokens, k, 'do')) {
+        if (stopAtDo) return k;
+        if (match[k] > k) k = match[k];
+        continue;
+      }
+      if ((t.type === 'op' && OPENERS[t.value]) || isBlockWord(tokens, k, 'fn')) {
+        if (match[k] > k) k = match[k];
+        continue;
+      }
+      if ((t.type === 'op' && CLOSERS.has(t.value)) || isBlockWord(tokens, k, 'end')) return k;
+      if (t.type === 'id' && CLAUSE_WORDS.has(t.value)) return k;
+      if (isOp(t, ';')) return k;
+      if (t.type === 'eol' && !continuesLine(tokens, k)) return k;
+    }
+    return tokens.length;
+  }
+
+  /**
+   * Argument ranges [start, end) between `from` and `to`; trailing keyword
+   * pairs form one argument, as in the AST
+   */
+  function splitArgs(from, to) {
+    const args = [];
+    let start = from;
+    for (let k = from; k <= to; k++) {
+      if (k === to || isOp(tokens[k], ',')) {
+        let s = start;
+        let e = k;
+        while (s < e && tokens[s].type === 'eol') s++;
+        while (e > s && tokens[e - 1].type === 'eol') e--;
+        if (e > s) args.push([s, e]);
+        start = k + 1;
+        continue;
+      }
+      const t = tokens[k];
+      if (((t.type === 'op' && OPENERS[t.value]) || isBlockWord(tokens, k, 'do') || isBlockWord(tokens, k, 'fn')) && match[k] > k && match[k] < to) {
+        k = match[k];
+      }
+    }
+    const firstKeyword = args.findIndex(([s]) => tokens[s].type === 'kw');
+    if (firstKeyword !== -1 && args.slice(firstKeyword).every(([s]) => tokens[s].type === 'kw')) {
+      args.splice(firstKeyword, args.length, [args[firstKeyword][0], args[args.length - 1][1]]);
+    }
+    return args;
+  }
+
+  /**
+   * Read a call whose name is tokens[k]: `name(args)`, `name args` or `name do ... end`.
+   * A do-block belongs to the call only when it starts the statement (tokens[head],
+   * the receiver for remote calls): in `case get(x) do` it is the `case` block.
+   * @returns {{args: Array, doBlock: Array|null, end: number}|null} null when tokens[k] is not a call (e.g. a variable)
+   */
+  function readCall(k, head = k) {
+    const ownsBlock = atStatementStart(tokens, head);
+    const next = tokens[k + 1];
+    let args = [];
+    let after;
+
+    if (isOp(next, '(') && !next.spaced) {
+      const close = match[k + 1] === -1 ? tokens.length : match[k + 1];
+      args = splitArgs(k + 2, close);
+      after = close + 1;
+    } else if (next && next.spaced && isExpressionStart(next)) {
+      const end = expressionEnd(k + 1, true);
+      args = splitArgs(k + 1, end);
+      after = end;
+    } else if (isBlockWord(tokens, k + 1, 'do') && ownsBlock) {
+      after = k + 1;
+    } else {
+      return null;
+    }
+
+    if (ownsBlock && isBlockWord(tokens, after, 'do')) {
+      const end = match[after] === -1 ? tokens.length - 1 : match[after];
+      return { args, doBlock: [after, end], end: end + 1 };
+    }
+    return { args, doBlock: null, end: after };
+  }
+
+  /**
+   * Module name at tokens[k]: an alias, __MODULE__(.Alias) or an Erlang atom
+   */
+  function readModuleRef(k, moduleName) {
+    const t = tokens[k];
+    if (!t) return null;
+    if (t.type === 'alias') return { name: t.value, next: k + 1 };
+    if (t.type === 'atom') return { name: t.value, next: k + 1 };
+    if (isWord(t, '__MODULE__')) {
+      let name = moduleName || '__MODULE__';
+      let next = k + 1;
+      while (isOp(tokens[next], '.') && tokens[next + 1] && tokens[next + 1].type === 'alias') {
+        name += `.${tokens[next + 1].value}`;
+        next += 2;
+      }
+      return { name, next };
+    }
+    return null;
+  }
+
+  function lastLine(from, to) {
+    let e = to - 1;
+    while (e > from && tokens[e].type === 'eol') e--;
+    return tokens[Math.max(e, from)].line;
+  }
+
+  // Remote or local call at tokens[k], as "Mod.fun/arity" / "fun/arity"
+  function callAt(k) {
+    const t = tokens[k];
+    if (t.type !== 'id' || RESERVED.has(t.value)) return null;
+    const prev = tokens[k - 1];
+    let arity;
+
+    if (isOp(prev, '.')) {
+      const receiver = tokens[k - 2];
+      if (!receiver || !(receiver.type === 'alias' || receiver.type === 'atom' || isWord(receiver, '__MODULE__'))) return null;
+      let receiverStart = k - 2;
+      // Walk back over `__MODULE__.Sub` receivers
+      while (receiver.type === 'alias' && isOp(tokens[receiverStart - 1], '.') && isWord(tokens[receiverStart - 2], '__MODULE__')) receiverStart -= 2;
+      const call = readCall(k, receiverStart);
+      if (call) {
+        arity = call.args.length + (call.doBlock ? 1 : 0);
+      } else if (isOp(tokens[k + 1], '/') && tokens[k + 2] && tokens[k + 2].type === 'number' && isOp(tokens[receiverStart - 1], '&')) {
+        arity = parseInt(tokens[k + 2].value, 10); // &Mod.fun/2
+      } else {
+        arity = 0;
+      }
+      if (isOp(prevToken(tokens, receiverStart), '|>')) arity++;
+      const moduleName = receiver.type === 'atom' ? receiver.value : text(receiverStart, k - 1);
+      return `${moduleName}.${t.value}/${arity}`;
+    }
+
+    if (prev && (prev.type === 'op' && (prev.value === '&' || prev.value === '@' || prev.value === ':'))) return null;
+    if (t.value.startsWith('__') || !/^[a-z_][a-zA-Z0-9_]*[?!]?$/.test(t.value)) return null;
+    const call = readCall(k);
+    if (!call) return null;
+    arity = call.args.length + (call.doBlock ? 1 : 0);
+    if (isOp(prevToken(tokens, k), '|>')) arity++;
+    if (NOT_CALLS.has(t.value)) return null;
+    if (KERNEL_PATH_ACCESS.has(t.value)) return arity === 2 ? null : `Kernel.${t.value}/${arity}`;
+    if (KERNEL_FUNCTIONS.has(t.value)) return `Kernel.${t.value}/${arity}`;
+    return `${t.value}/${arity}`;
+  }
+
+  function extractCalls(from, to) {
+    const calls = new Set();
+    for (let k = from; k < to; k++) {
+      const mfa = callAt(k);
+      if (mfa) calls.add(mfa);
+    }
+    return [...calls];
+  }
+
+  // Atoms, alias segments, variable and remote function names, identifier-like strings
+  function extractBodyKeywords(from, to, limit) {
+    const keywords = new Set();
+    for (let k = from; k < to && keywords.size < limit; k++) {
+      const t = tokens[k];
+      if (t.type === 'atom' || t.type === 'kw') {
+        if (!['nil', 'true', 'false'].includes(t.value)) keywords.add(String(t.value));
+      } else if (t.type === 'alias') {
+        for (const segment of t.value.split('.')) keywords.add(segment);
+      } else if (t.type === 'id' && !RESERVED.has(t.value)) {
+        if (isOp(tokens[k - 1], '.')) keywords.add(t.value);
+        else if (!readCall(k) && !KEYWORD_STOPWORDS.has(t.value) && !t.value.startsWith('_')) keywords.add(t.value);
+      } else if (t.type === 'string' && t.value.length > 3 && t.value.length < 50 && /^[a-zA-Z_][a-zA-Z0-9_]*$/.test(t.value)) {
+        keywords.add(t.value);
+      }
+    }
+    return [...keywords].slice(0, limit);
+  }
+
+  // Value of a @doc/@moduledoc attribute: the string, false, or null when not a literal
+  function docValue(k) {
+    const t = tokens[k];
+    if (!t) return null;
+    if (t.type === 'string') return t.value;
+    if (t.type === 'sigil' && /^[sS]$/.test(t.value.letter)) return t.value.content;
+    if (isWord(t, 'false')) return false;
+    return null;
+  }
+
+  return { tokens, match, text, flatText, expressionEnd, splitArgs, readCall, readModuleRef, lastLine, extractCalls, extractBodyKeywords, docValue };
+}
+
+function makeId(moduleName, name, arity, file) {
+  return crypto.createHash('sha256').update(`${moduleName}|${name}|${arity}|${file}`).digest('hex');
+}
+
+function entry(fields) {
+  return { ...fields, spec: fields.spec || null, doc: fields.doc === undefined ? null : fields.doc, calls: fields.calls || [] };
+}
+
+function macroKeywords(macro, args, argText, keywordValue) {
+  const bare = (v) => String(v || '').replace(/^:/, '');
+  switch (macro) {
+    case 'defevent':
+      return `defevent ${bare(argText(0))} from ${bare(keywordValue('from'))} to ${bare(keywordValue('to'))} workflow fsm state_machine`;
+    case 'field':
+      return `field ${bare(argText(0))} ${argText(1)} schema ecto`;
+    case 'belongs_to':
+    case 'has_many':
+    case 'has_one':
+      return `${macro} ${bare(argText(0))} association ecto`;
+    case 'embeds_one':
+    case 'embeds_many':
+      return `${macro} ${bare(argText(0))} embedded ecto`;
+    case 'plug':
+      return `plug ${bare(argText(0))} pipeline phoenix`;
+    default:
+      return macro;
+  }
+}
+
+/**
+ * Index entries for one Elixir source file, in the export.exs JSONL shape.
+ * Multi-clause functions are merged (earliest start line, last end line, union of calls).
+ * @param {string} file - Path as stored in the index (also part of every id)
+ * @param {string} source - File content
+ * @returns {Array<Object>}
+ */
+function parseElixirSource(file, source) {
+  const w = createWalker(source);
+  const { tokens, match } = w;
+  const records = [];
+  const modules = [];
+  const skip = new Set(); // def name tokens, which are not calls
+
+  function finishModule(mod) {
+    const docText = typeof mod.moduledoc === 'string' ? mod.moduledoc.slice(0, 200) : '';
+    records.push(entry({
+      id: makeId(mod.name, 'defmodule', 0, file),
+      module: mod.name,
+      name: 'defmodule',
+      arity: 0,
+      kind: 'module',
+      path: file,
+      start_line: mod.line,
+      end_line: mod.endLine,
+      signature: `defmodule ${mod.name}`,
+      doc: docText,
+      lexical_text: [mod.name, mod.uses.join(' '), mod.behaviours.join(' '), docText].filter(Boolean).join(' '),
+      struct_text: `defmodule ${mod.name}`
+    }));
+  }
+
+  function handleAttribute(mod, k) {
+    const name = tokens[k + 1] && tokens[k + 1].type === 'id' ? tokens[k + 1].value : null;
+    if (name === 'moduledoc') {
+      const doc = w.docValue(k + 2);
+      if (typeof doc === 'string') mod.moduledoc = doc;
+    } else if (name === 'doc') {
+      mod.attrs.doc = w.docValue(k + 2);
+    } else if (name === 'spec') {
+      mod.attrs.spec = `spec(${w.flatText(k + 2, w.expressionEnd(k + 2, false))})`;
+    } else if (name === 'behaviour') {
+      const ref = w.readModuleRef(k + 2, mod.name);
+      if (ref) mod.behaviours.push(ref.name);
+    }
+  }
+
+  /**
+   * Operator head `def left OP right`: the operands are a variable or a pattern
+   * ({a, b}, [h | t], <<x>>, %Struct{}), the right one running up to a guard or the body
+   * @returns {{name: string, args: Array, after: number}|null}
+   */
+  function operatorHead(k) {
+    let leftEnd = -1;
+    const first = tokens[k + 1];
+    if (first && first.type === 'id' && !RESERVED.has(first.value)) {
+      leftEnd = k + 2;
+    } else if (first && first.type === 'op' && OPENERS[first.value] && match[k + 1] > k + 1) {
+      leftEnd = match[k + 1] + 1;
+    } else if (isOp(first, '%')) {
+      const brace = tokens[k + 2] && tokens[k + 2].type === 'alias' ? k + 3 : k + 2;
+      if (isOp(tokens[brace], '{') && match[brace] > brace) leftEnd = match[brace] + 1;
+    }
+    const op = tokens[leftEnd];
+    if (leftEnd === -1 || !op || op.type !== 'op' || !DEFINABLE_OPERATORS.has(op.value)) return null;
+
+    let rightEnd = leftEnd + 1;
+    for (; rightEnd < tokens.length; rightEnd++) {
+      const t = tokens[rightEnd];
+      if (isWord(t, 'when') || isBlockWord(tokens, rightEnd, 'do') || isOp(t, ',') || t.type === 'eol') break;
+      if (t.type === 'op' && OPENERS[t.value] && match[rightEnd] > rightEnd) rightEnd = match[rightEnd];
+    }
+    if (rightEnd === leftEnd + 1) return null;
+    return { name: op.value, args: [[k + 1, leftEnd], [leftEnd + 1, rightEnd]], after: rightEnd };
+  }
+
+  function handleDef(mod, k, kind) {
+    const nameToken = tokens[k + 1];
+    if (isWord(nameToken, 'unquote')) {
+      // The name is computed at compile time; only the mix exporter sees it.
+      // Its @doc/@spec must not carry over to the next def.
+      mod.attrs = {};
+      return;
+    }
+
+    let name;
+    let args = [];
+    let after = k + 2;
+    const operator = operatorHead(k);
+    if (operator) {
+      ({ name, args, after } = operator);
+    } else {
+      if (!nameToken || nameToken.type !== 'id' || RESERVED.has(nameToken.value)) return;
+      skip.add(k + 1);
+      name = nameToken.value;
+      if (isOp(tokens[k + 2], '(') && !tokens[k + 2].spaced && match[k + 2] !== -1) {
+        args = w.splitArgs(k + 3, match[k + 2]);
+        after = match[k + 2] + 1;
+      }
+    }
+
+    // Past any guard to the body; a head without one (default arguments) is not an entry
+    let body = null;
+    for (let m = after; m < tokens.length; m++) {
+      const t = tokens[m];
+      if (isBlockWord(tokens, m, 'do')) {
+        const end = match[m] === -1 ? tokens.length - 1 : match[m];
+        body = { start: m + 1, end, last: end };
+        break;
+      }
+      if (t.type === 'kw' && t.value === 'do') {
+        const end = w.expressionEnd(m + 1, false);
+        body = { start: m + 1, end, last: end - 1 };
+        break;
+      }
+      if ((t.type === 'op' && OPENERS[t.value]) || isBlockWord(tokens, m, 'fn')) {
+        if (match[m] > m) m = match[m];
+        continue;
+      }
+      if ((t.type === 'op' && CLOSERS.has(t.value)) || isBlockWord(tokens, m, 'end') || isOp(t, ';')) break;
+      if (t.type === 'eol' && !continuesLine(tokens, m)) break;
+    }
+    if (!body) return;
+
+    const signature = `${name}(${args.map(([s, e]) => w.flatText(s, e)).join(', ')})`;
+    const doc = mod.attrs.doc === undefined ? null : mod.attrs.doc;
+    const spec = mod.attrs.spec || null;
+    mod.attrs = {};
+
+    records.push(entry({
+      id: makeId(mod.name, name, args.length, file),
+      module: mod.name,
+      name,
+      arity: args.length,
+      kind,
+      path: file,
+      start_line: tokens[k].line,
+      end_line: Math.max(tokens[k].line, w.lastLine(body.start, body.last + 1)),
+      signature,
+      spec,
+      doc,
+      lexical_text: [`${mod.name}.${signature}`, typeof doc === 'string' ? doc : null, spec, w.extractBodyKeywords(body.start, body.end, 30).join(' ')]
+        .filter(part => part !== null).join(' '),
+      struct_text: w.text(k, body.last + 1),
+      calls: w.extractCalls(body.start, body.end)
+    }));
+  }
+
+  // use/alias/import; directive entries carry the fully-qualified target for call resolution
+  function handleDirective(mod, k, kind) {
+    const end = w.expressionEnd(k + 1, false);
+    const statement = w.flatText(k, end);
+    const line = tokens[k].line;
+    const ref = w.readModuleRef(isOp(tokens[k + 1], '(') ? k + 2 : k + 1, mod.name);
+    if (!ref) return;
+
+    if (kind === 'use') {
+      mod.uses.push(ref.name);
+      records.push(entry({
+        id: makeId(mod.name, `use_${ref.name}`, 0, file),
+        module: mod.name,
+        name: `use ${ref.name}`,
+        arity: 0,
+        kind: 'use',
+        path: file,
+        start_line: line,
+        end_line: line,
+        signature: `use ${ref.name}`,
+        lexical_text: `${mod.name} use ${ref.name}`,
+        struct_text: statement
+      }));
+      return;
+    }
+
+    // alias A.{B, C} expands to A.B and A.C
+    let targets = [ref.name];
+    if (isOp(tokens[ref.next], '.') && isOp(tokens[ref.next + 1], '{') && match[ref.next + 1] !== -1) {
+      targets = w.splitArgs(ref.next + 2, match[ref.next + 1])
+        .map(([s]) => w.readModuleRef(s, mod.name))
+        .filter(Boolean)
+        .map(child => `${ref.name}.${child.name}`);
+    }
+
+    let as = null;
+    for (let m = ref.next; m < end; m++) {
+      if (tokens[m].type === 'kw' && tokens[m].value === 'as') {
+        const asRef = w.readModuleRef(m + 1, mod.name);
+        if (asRef) as = asRef.name;
+      }
+    }
+
+    for (const target of targets) {
+      const targetAs = kind === 'alias' ? as || target.split('.').pop() : null;
+      records.push(entry({
+        id: makeId(mod.name, `${kind}_${target}`, 0, file),
+        module: mod.name,
+        name: `${kind} ${target}`,
+        arity: 0,
+        kind,
+        path: file,
+        start_line: line,
+        end_line: line,
+        signature: targetAs ? `${kind} ${target}, as: ${targetAs}` : `${kind} ${target}`,
+        lexical_text: `${mod.name} ${kind} ${target}`,
+        struct_text: statement,
+        target,
+        as: targetAs
+      }));
+    }
+  }
+
+  function handleMacroCall(mod, k, macro) {
+    const call = w.readCall(k);
+    if (!call) return;
+    const { args, doBlock } = call;
+    const line = tokens[k].line;
+    const endLine = doBlock ? tokens[doBlock[1]].line : line;
+    const argText = (n) => (args[n] ? w.flatText(args[n][0], args[n][1]) : '');
+
+    if (macro === 'schema') {
+      const first = args[0] && tokens[args[0][0]];
+      if (!first || first.type !== 'string' || args[0][1] - args[0][0] !== 1) return;
+      records.push(entry({
+        id: makeId(mod.name, 'schema', 0, file),
+        module: mod.name,
+        name: 'schema',
+        arity: 0,
+        kind: 'schema',
+        path: file,
+        start_line: line,
+        end_line: endLine,
+        signature: `schema "${first.value}"`,
+        lexical_text: `${mod.name} schema ${first.value} ecto`,
+        struct_text: `schema "${first.value}"`
+      }));
+      return;
+    }
+
+    const first = args[0] && args[0][1] - args[0][0] === 1 ? tokens[args[0][0]] : null;
+    let label;
+    if (first && first.type === 'atom') label = `${macro} :${first.value}`;
+    else if (first && first.type === 'string') label = `${macro} "${first.value}"`;
+    else label = `${macro} ${args[0] ? argText(0) : '""'}`;
+
+    const keywordValue = (key) => {
+      const last = args[args.length - 1];
+      if (!last) return '';
+      for (let m = last[0]; m < last[1]; m++) {
+        if (tokens[m].type === 'kw' && tokens[m].value === key && tokens[m + 1]) return tokens[m + 1].value;
+      }
+      return '';
+    };
+
+    records.push(entry({
+      id: makeId(mod.name, `${macro}_${label}`, 0, file),
+      module: mod.name,
+      name: macro,
+      arity: args.length + (doBlock ? 1 : 0),
+      kind: 'macro_call',
+      path: file,
+      start_line: line,
+      end_line: endLine,
+      signature: label,
+      lexical_text: `${mod.name} ${label} ${macroKeywords(macro, args, argText, keywordValue)}`,
+      struct_text: label
+    }));
+  }
+
+  for (let k = 0; k < tokens.length; k++) {
+    while (modules.length && k > modules[modules.length - 1].endIdx) finishModule(modules.pop());
+    const t = tokens[k];
+    const mod = modules[modules.length - 1];
+
+    if (isOp(t, '@')) {
+      if (mod) handleAttribute(mod, k);
+      continue;
+    }
+    if (t.type !== 'id' || skip.has(k) || ['.', '&', '@'].some(op => isOp(tokens[k - 1], op))) continue;
+
+    if (t.value === 'defmodule') {
+      const ref = w.readModuleRef(k + 1, mod && mod.name);
+      if (ref && isBlockWord(tokens, ref.next, 'do')) {
+        const endIdx = match[ref.next] === -1 ? tokens.length - 1 : match[ref.next];
+        modules.push({
+          name: ref.name,
+          line: t.line,
+          endIdx,
+          endLine: tokens[endIdx].line,
+          uses: [],
+          behaviours: [],
+          moduledoc: null,
+          attrs: {}
+        });
+      }
+      continue;
+    }
+    if (!mod) continue;
+
+    if (DEF_KINDS[t.value]) handleDef(mod, k, DEF_KINDS[t.value]);
+    else if (t.value === 'use' || t.value === 'alias' || t.value === 'import') handleDirective(mod, k, t.value);
+    else if (t.value === 'schema' || INDEXED_MACROS.has(t.value)) handleMacroCall(mod, k, t.value);
+  }
+  while (modules.length) finishModule(modules.pop());
+
+  return mergeClauses(records);
+}
+
+// One entry per module/name/arity/kind, like export.exs
+function mergeClauses(records) {
+  const groups = new Map();
+  for (const record of records) {
+    const key = `${record.module}|${record.name}|${record.arity}|${record.kind}`;
+    const group = groups.get(key);
+    if (!group) {
+      groups.set(key, { ...record });
+      continue;
+    }
+    const primary = record.start_line < group.start_line ? { ...record } : group;
+    primary.end_line = Math.max(group.end_line, record.end_line);
+    primary.calls = [...new Set([...group.calls, ...record.calls])];
+    groups.set(key, primary);
+  }
+  return [...groups.values()];
+}
+
+module.exports = { tokenize, parseElixirSource, DEFINABLE_OPERATORS };
+
+// CLI usage
+if (require.main === module) {
+  const filePath = process.argv[2];
+
+  if (!filePath) {
+    console.error('Usage: node parse-elixir.js <ex_or_exs_file>');
+    process.exit(1);
+  }
+
+  for (const record of parseElixirSource(filePath, fs.readFileSync(filePath, 'utf8'))) {
+    console.log(JSON.stringify(record));
+  }
+}
@@ -1,20 +1,476 @@
 #!/usr/bin/env node
 
 const fs = require('fs');
+const path = require('path');
 const crypto = require('crypto');
+const { liveviewRef } = require('./parse-liveview');
+
+// Entry kinds besides the per-file/per-sigil `template` entry
+const ELEMENT_KINDS = {
+  component: 'heex_component', // <.modal>, <MyAppWeb.CoreComponents.button>
+  slot: 'heex_slot',           // <:actions>, <:col :let={user}>
+  block: 'heex_block',         // any tag with :for or :if
+  event: 'heex_event'          // phx-click="save", phx-submit={JS.push("save")}
+};
+
+// phx-* attributes whose value names an event sent to the LiveView (or a JS command)
+const EVENT_BINDINGS = new Set([
+  'phx-click', 'phx-click-away', 'phx-capture-click', 'phx-submit', 'phx-change',
+  'phx-blur', 'phx-focus', 'phx-window-blur', 'phx-window-focus',
+  'phx-keydown', 'phx-keyup', 'phx-window-keydown', 'phx-window-keyup',
+  'phx-viewport-top', 'phx-viewport-bottom', 'phx-mounted', 'phx-remove'
+]);
+
+const VOID_TAGS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'
+]);
+
+// Raw text elements: their content is not markup
+const RAW_TAGS = new Set(['script', 'style']);
+
+const TAG_NAME = /[A-Za-z0-9_.:-]/;
+const PREVIEW_CHARS = 500;
+const SIGNATURE_CHARS = 200;
+
+/**
+ * Tokenize HEEx markup into opening and closing tags. Text, comments,
+ * <% %> EEx tags and {...} interpolation are skipped, as are the contents of
+ * <script> and <style>. Unterminated constructs end the scan instead of throwing.
+ * @param {string} source
+ * @returns {Array<Object>} {type: 'open'|'close', name, start, end, attrs?, selfClosing?}; end is exclusive
+ */
+function tokenizeHeex(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const ch = source[i];
+
+    if (ch === '{') {
+      i = skipBraces(source, i);
+      continue;
+    }
+    if (ch !== '<') {
+      i++;
+      continue;
+    }
+    if (source.startsWith('<%!--', i)) {
+      i = skipPast(source, i, '--%>');
+    } else if (source.startsWith('<!--', i)) {
+      i = skipPast(source, i, '-->');
+    } else if (source.startsWith('<%', i)) {
+      i = skipPast(source, i, '%>');
+    } else if (source[i + 1] === '/') {
+      let j = i + 2;
+      while (j < source.length && TAG_NAME.test(source[j])) j++;
+      const name = source.slice(i + 2, j);
+      const end = skipPast(source, j, '>');
+      if (name) tokens.push({ type: 'close', name, start: i, end });
+      i = end;
+    } else if (TAG_NAME.test(source[i + 1] || '')) {
+      const tag = readTag(source, i);
+      tokens.push(tag);
+      i = tag.end;
+      if (RAW_TAGS.has(tag.name) && !tag.selfClosing) {
+        const close = source.indexOf(`</${tag.name}`, i);
+        i = close === -1 ? source.length : close;
+      }
+    } else {
+      i++;
+    }
+  }
+  return tokens;
+}
+
+function readTag(source, start) {
+  let i = start + 1;
+  while (i < source.length && TAG_NAME.test(source[i])) i++;
+  const tag = { type: 'open', name: source.slice(start + 1, i), start, end: source.length, attrs: [], selfClosing: false };
+
+  while (i < source.length) {
+    const ch = source[i];
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (ch === '>') {
+      tag.end = i + 1;
+      return tag;
+    } else if (ch === '/' && source[i + 1] === '>') {
+      tag.selfClosing = true;
+      tag.end = i + 2;
+      return tag;
+    } else if (ch === '{') {
+      // Dynamic attributes: <div {@rest}>
+      const end = skipBraces(source, i);
+      tag.attrs.push({ name: null, value: source.slice(i + 1, end - 1).trim(), type: 'expr', start: i, end });
+      i = end;
+    } else {
+      const attrStart = i;
+      while (i < source.length && !/[\s=>{]/.test(source[i]) && !(source[i] === '/' && source[i + 1] === '>')) i++;
+      const name = source.slice(attrStart, i);
+      if (!name) {
+        i++;
+        continue;
+      }
+      let j = i;
+      while (/\s/.test(source[j] || '')) j++;
+      if (source[j] !== '=') {
+        tag.attrs.push({ name, value: null, type: 'bare', start: attrStart, end: i });
+        continue;
+      }
+      j++;
+      while (/\s/.test(source[j] || '')) j++;
+      const quote = source[j];
+      if (quote === '"' || quote === "'") {
+        const close = source.indexOf(quote, j + 1);
+        const end = close === -1 ? source.length : close + 1;
+        tag.attrs.push({ name, value: source.slice(j + 1, end - 1), type: 'string', start: attrStart, end });
+        i = end;
+      } else if (quote === '{') {
+        const end = skipBraces(source, j);
+        tag.attrs.push({ name, value: source.slice(j + 1, end - 1).trim(), type: 'expr', start: attrStart, end });
+        i = end;
+      } else {
+        // Unquoted HTML value
+        let end = j;
+        while (end < source.length && !/[\s>]/.test(source[end])) end++;
+        tag.attrs.push({ name, value: source.slice(j, end), type: 'string', start: attrStart, end });
+        i = end;
+      }
+    }
+  }
+  return tag;
+}
+
+// Index just past the brace matching source[start], skipping Elixir strings and charlists
+function skipBraces(source, start) {
+  let depth = 0;
+  let i = start;
+  while (i < source.length) {
+    const ch = source[i];
+    if (ch === '"' || ch === "'") {
+      i = skipString(source, i);
+      continue;
+    }
+    if (ch === '{') depth++;
+    else if (ch === '}' && --depth === 0) return i + 1;
+    i++;
+  }
+  return source.length;
+}
+
+function skipString(source, start) {
+  const quote = source[start];
+  let i = start + 1;
+  while (i < source.length && source[i] !== quote) {
+    if (source[i] === '\\') i++;
+    i++;
+  }
+  return i + 1;
+}
+
+function skipPast(source, from, terminator) {
+  const at = source.indexOf(terminator, from);
+  return at === -1 ? source.length : at + terminator.length;
+}
+
+/**
+ * Pair opening and closing tags into elements
+ * @returns {Array<Object>} {name, tag, end, parent}; end covers the closing tag when there is one
+ */
+function buildElements(tokens) {
+  const elements = [];
+  const stack = [];
+
+  for (const token of tokens) {
+    if (token.type === 'open') {
+      const element = { name: token.name, tag: token, end: token.end, parent: stack[stack.length - 1] || null };
+      elements.push(element);
+      if (!token.selfClosing && !VOID_TAGS.has(token.name.toLowerCase())) stack.push(element);
+      continue;
+    }
+    // Close the innermost open element with this name; unclosed ones inside it end at their own tag
+    const at = stack.map(e => e.name).lastIndexOf(token.name);
+    if (at === -1) continue;
+    stack[at].end = token.end;
+    stack.length = at;
+  }
+  return elements;
+}
+
+function elementType(name) {
+  if (name.startsWith(':')) return 'slot';
+  if (name.startsWith('.') || /^[A-Z]/.test(name)) return 'component';
+  return 'html';
+}
+
+// Event name of a binding: the string, or the first JS.push/literal string in an expression (null when dynamic)
+function eventName(attr) {
+  if (attr.type === 'string') return attr.value;
+  if (attr.type !== 'expr' || !attr.value) return null;
+  const push = attr.value.match(/JS\.push\(\s*(?:%JS\{[^}]*\}\s*,\s*)?"([^"]+)"/);
+  if (push) return push[1];
+  const literal = attr.value.match(/^"([^"]+)"$/);
+  return literal ? literal[1] : null;
+}
+
+// @user, and @streams.users as a read of the users stream
+const ASSIGN_READ = /(?<![\w@])@([a-z_][a-zA-Z0-9_]*[?!]?)(?:\.([a-z_][a-zA-Z0-9_]*))?/g;
+
+function createLineIndex(source, baseLine) {
+  const starts = [0];
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === '\n') starts.push(i + 1);
+  }
+  return (offset) => {
+    let lo = 0;
+    let hi = starts.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (starts[mid] <= offset) lo = mid;
+      else hi = mid - 1;
+    }
+    return baseLine + lo;
+  };
+}
+
+function collapse(text, max) {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  return flat.length > max ? flat.slice(0, max - 3) + '...' : flat;
+}
+
+function attrText(attr) {
+  if (!attr.name) return `{${attr.value}}`;
+  if (attr.type === 'bare') return attr.name;
+  return attr.type === 'expr' ? `${attr.name}={${attr.value}}` : `${attr.name}="${attr.value}"`;
+}
+
+/**
+ * One entry per component invocation, slot, :for/:if block and phx-* event binding,
+ * plus liveview_ref records for literal event bindings and @assign reads
+ * @param {Object} options
+ * @param {string} options.moduleName
+ * @param {string} options.filePath
+ * @param {string} options.content - Template markup
+ * @param {number} options.baseLine - File line of the markup's first line
+ * @param {string} options.context - Where the markup lives, e.g. "~H in render"
+ * @returns {{records: Array, elements: Array}}
+ */
+function elementRecords({ moduleName, filePath, content, baseLine, context }) {
+  const elements = buildElements(tokenizeHeex(content));
+  const lineAt = createLineIndex(content, baseLine);
+  const records = [];
+
+  const push = (kind, name, start, end, element, fields) => {
+    const startLine = lineAt(start);
+    const id = crypto.createHash('sha256').update(`${moduleName}|${kind}|${name}|${startLine}:${start}|${filePath}`).digest('hex');
+    const openTag = content.slice(element.tag.start, element.tag.end);
+    records.push({
+      id,
+      module: moduleName,
+      name,
+      arity: 0,
+      kind,
+      path: filePath,
+      start_line: startLine,
+      end_line: Math.max(startLine, lineAt(Math.max(start, end - 1))),
+      signature: collapse(openTag, SIGNATURE_CHARS),
+      spec: null,
+      doc: fields.doc,
+      lexical_text: [moduleName, 'heex', ...fields.keywords, collapse(openTag, PREVIEW_CHARS)].join(' '),
+      struct_text: content.slice(element.tag.start, element.end).slice(0, PREVIEW_CHARS),
+      calls: [],
+      components: fields.components || []
+    });
+  };
+
+  for (const element of elements) {
+    const { tag } = element;
+    const type = elementType(element.name);
+    const attrNames = tag.attrs.filter(a => a.name).map(a => a.name);
+    const enclosing = nearestComponent(element.parent);
+
+    if (type === 'component') {
+      push(ELEMENT_KINDS.component, element.name, tag.start, element.end, element, {
+        doc: `Component <${element.name}> in ${context}` + (attrNames.length ? ` with ${attrNames.join(', ')}` : ''),
+        keywords: ['component', element.name.replace(/^\./, ''), ...attrNames],
+        components: [componentMfa(element.name)]
+      });
+    } else if (type === 'slot') {
+      const owner = enclosing ? ` of <${enclosing.name}>` : '';
+      push(ELEMENT_KINDS.slot, element.name, tag.start, element.end, element, {
+        doc: `Slot <${element.name}>${owner} in ${context}` + (attrNames.length ? ` with ${attrNames.join(', ')}` : ''),
+        keywords: ['slot', element.name.slice(1), ...(enclosing ? [enclosing.name.replace(/^\./, '')] : []), ...attrNames]
+      });
+    }
+
+    for (const attr of tag.attrs) {
+      if (attr.name === ':for' || attr.name === ':if') {
+        push(ELEMENT_KINDS.block, attr.name, tag.start, element.end, element, {
+          doc: `${attr.name}={${attr.value}} on <${element.name}> in ${context}`,
+          keywords: [attr.name.slice(1), element.name, attr.value || '']
+        });
+      } else if (attr.name && EVENT_BINDINGS.has(attr.name)) {
+        const literal = eventName(attr);
+        const event = literal || attr.value || attr.name;
+        const values = attrNames.filter(n => n.startsWith('phx-value-'));
+        const target = tag.attrs.find(a => a.name === 'phx-target');
+        push(ELEMENT_KINDS.event, event, attr.start, attr.end, element, {
+          doc: `${attrText(attr)} on <${element.name}> in ${context}` +
+            (values.length ? `, values: ${values.map(n => n.slice('phx-value-'.length)).join(', ')}` : '') +
+            (target ? `, target: ${target.value}` : ''),
+          keywords: ['event', attr.name, event, element.name, ...values]
+        });
+        if (literal) {
+          records.push(liveviewRef({ module: moduleName, ref: 'event', name: literal, role: 'binding', path: filePath, line: lineAt(attr.start), detail: attr.name }));
+        }
+      }
+    }
+  }
+
+  const reads = new Set();
+  let match;
+  ASSIGN_READ.lastIndex = 0;
+  while ((match = ASSIGN_READ.exec(content)) !== null) {
+    const name = match[1] === 'streams' && match[2] ? match[2] : match[1];
+    const line = lineAt(match.index);
+    if (reads.has(`${name}:${line}`)) continue;
+    reads.add(`${name}:${line}`);
+    records.push(liveviewRef({ module: moduleName, ref: 'assign', name, role: 'read', path: filePath, line }));
+  }
+
+  return { records, elements };
+}
+
+// Function component rendered by a tag: <.modal> → "modal/1", <Nav.bar> → "Nav.bar/1"
+function componentMfa(name) {
+  return `${name.replace(/^\./, '')}/1`;
+}
+
+function nearestComponent(element) {
+  let current = element;
+  while (current && elementType(current.name) !== 'component') current = current.parent;
+  return current;
+}
+
+/**
+ * Module a .heex file belongs to: the first defmodule of the colocated
+ * LiveView/component (live/user_live/index.ex for index.html.heex), of the
+ * embed_templates module (controllers/page_html.ex for page_html/home.html.heex,
+ * components/layouts.ex for layouts/app.html.heex) or of the Phoenix.View
+ * module (views/page_view.ex for templates/page/index.html.heex). Falls back
+ * to a name derived from the path.
+ * @param {string} projectRoot
+ * @param {string} filePath - Project-relative path of the template
+ */
+function templateModule(projectRoot, filePath) {
+  const dir = path.posix.dirname(filePath);
+  const base = path.posix.basename(filePath).replace(/(\.\w+)?\.heex$/, '');
+  const candidates = [`${dir}/${base}.ex`, `${dir}.ex`];
+  const legacy = filePath.match(/^(.*)\/templates\/(.+)\/[^/]+$/);
+  if (legacy) candidates.push(`${legacy[1]}/views/${legacy[2]}_view.ex`);
+
+  for (const candidate of candidates) {
+    let source;
+    try {
+      source = fs.readFileSync(path.resolve(projectRoot, candidate), 'utf8');
+    } catch (err) {
+      continue;
+    }
+    const match = source.match(/defmodule\s+([A-Z][\w.]*)/);
+    if (match) return match[1];
+  }
+  return extractModuleName(filePath);
+}
 
 /**
  * Parse .heex template files and extract searchable content
  * Returns JSONL format compatible with ingest.js
+ * @param {string} filePath
+ * @param {string} content
+ * @param {string} [projectRoot] - Enables owner lookup through neighbouring .ex files (see templateModule)
+ */
+function parseHeexFile(filePath, content, projectRoot) {
+  const moduleName = projectRoot ? templateModule(projectRoot, filePath) : extractModuleName(filePath);
+  const id = crypto.createHash('sha256').update(`${moduleName}|template|0|${filePath}`).digest('hex');
+  const { records, elements } = elementRecords({ moduleName, filePath, content, baseLine: 1, context: filePath });
+
+  return [buildTemplateRecord({
+    id,
+    moduleName,
+    filePath,
+    startLine: 1,
+    endLine: content.split('\n').length,
+    signature: 'template',
+    label: 'Phoenix template file',
+    content,
+    elements
+  }), ...records];
+}
+
+// ~H"""...""", ~H'''...''' and single-line ~H"..."
+const SIGIL_REGEX = /~H("""|''')([\s\S]*?)\1|~H"((?:[^"\\\n]|\\.)*)"/g;
+
+/**
+ * Extract one template entry per ~H sigil in an Elixir source file, followed
+ * by the sigil's element entries
+ * @param {string} filePath - Path as stored in the index
+ * @param {string} content - .ex file content
+ * @returns {Array} Records in the same format as parseHeexFile
  */
-function parseHeexFile(filePath, content) {
+function parseHeexSigils(filePath, content) {
   const results = [];
+  let match;
 
-  // Extract module name from file path (e.g., lib/mobus_web/live/company_live/index.html.heex -> MobusWeb.CompanyLive.Index)
-  const moduleName = extractModuleName(filePath);
+  SIGIL_REGEX.lastIndex = 0;
+  while ((match = SIGIL_REGEX.exec(content)) !== null) {
+    const before = content.slice(0, match.index);
+    const body = match[2] !== undefined ? match[2] : match[3];
+    const startLine = before.split('\n').length;
+    const endLine = startLine + match[0].split('\n').length - 1;
 
-  // Extract components like <.modal>, <.form>, <.live_component>
-  const components = extractComponents(content);
+    // Innermost module and function defined before the sigil
+    const moduleName = lastMatch(before, /defmodule\s+([A-Z][\w.]*)/g) || extractModuleName(filePath);
+    const functionName = lastMatch(before, /\bdefp?\s+([a-z_][a-zA-Z0-9_]*[?!]?)/g);
+    const signature = functionName ? `~H in ${functionName}` : '~H';
+    const { records, elements } = elementRecords({ moduleName, filePath, content: body, baseLine: startLine, context: signature });
+
+    const id = crypto.createHash('sha256').update(`${moduleName}|~H|${startLine}|${filePath}`).digest('hex');
+    results.push(buildTemplateRecord({
+      id,
+      moduleName,
+      filePath,
+      startLine,
+      endLine,
+      signature,
+      label: 'Inline ~H template',
+      content: body,
+      elements
+    }), ...records);
+  }
+
+  return results;
+}
+
+/**
+ * Template entries for any indexed source file: the whole file for .heex,
+ * one per ~H sigil for .ex (none for other files)
+ */
+function templateRecords(filePath, content, projectRoot) {
+  if (filePath.endsWith('.heex')) return parseHeexFile(filePath, content, projectRoot);
+  if (filePath.endsWith('.ex') && content.includes('~H')) return parseHeexSigils(filePath, content);
+  return [];
+}
+
+function lastMatch(text, regex) {
+  let last = null;
+  let match;
+  while ((match = regex.exec(text)) !== null) last = match[1];
+  return last;
+}
+
+function buildTemplateRecord({ id, moduleName, filePath, startLine, endLine, signature, label, content, elements }) {
+  // Components like <.modal>, <.form>, <.live_component>, <MyAppWeb.Nav.bar>
+  const components = [...new Set(elements.filter(e => elementType(e.name) === 'component').map(e => e.name.replace(/^\./, '')))];
 
   // Extract assigns like @user, @socket, @company
   const assigns = extractAssigns(content);
@@ -27,62 +483,44 @@ function parseHeexFile(filePath, content) {
     moduleName,
     'template',
     'heex',
-    ...components.map(c => c.name),
+    ...components,
     ...assigns,
     ...functionCalls
   ];
 
-  const lexicalText = lexicalParts.join(' ');
-
-  // Create a pseudo-function entry for the template
-  const id = crypto.createHash('sha256').update(`${moduleName}|template|0|${filePath}`).digest('hex');
-
-  results.push({
+  return {
     id: id,
     module: moduleName,
     name: 'template',
     arity: 0,
+    kind: 'template',
     path: filePath,
-    start_line: 1,
-    end_line: content.split('\n').length,
-    signature: 'template',
+    start_line: startLine,
+    end_line: endLine,
+    signature: signature,
     spec: null,
-    doc: `Phoenix template file with components: ${components.map(c => c.name).join(', ')}`,
-    lexical_text: lexicalText,
+    doc: `${label} with components: ${components.join(', ')}`,
+    lexical_text: lexicalParts.join(' '),
     struct_text: content.slice(0, 500), // First 500 chars for preview
     calls: functionCalls
-  });
-
-  return results;
+  };
 }
 
+// Directories Phoenix leaves out of module names (lib/app_web/live/user_live → AppWeb.UserLive)
+const UNNAMED_DIRS = new Set(['live', 'controllers', 'components', 'templates', 'views']);
+
 function extractModuleName(filePath) {
   // Convert path like lib/mobus_web/live/company_live/index.html.heex
   // to MobusWeb.CompanyLive.Index
-  const match = filePath.match(/lib\/([^\/]+)\/(.+)\.html\.heex$/);
-  if (!match) return 'Template';
+  const relative = filePath.replace(/^(.*\/)?lib\//, '').replace(/(\.\w+)?\.(heex|exs?)$/, '');
+  const parts = relative.split('/').filter(p => p && !UNNAMED_DIRS.has(p));
+  if (parts.length === 0) return 'Template';
 
-  const parts = [match[1], ...match[2].split('/')];
   return parts
     .map(p => p.split('_').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(''))
     .join('.');
 }
 
-function extractComponents(content) {
-  const components = [];
-  const regex = /<\.([a-z_][a-z0-9_]*)/g;
-  let match;
-
-  while ((match = regex.exec(content)) !== null) {
-    components.push({
-      name: match[1],
-      line: content.slice(0, match.index).split('\n').length
-    });
-  }
-
-  return components;
-}
-
 function extractAssigns(content) {
   const assigns = new Set();
   const regex = /@([a-z_][a-z0-9_]*)/g;
@@ -117,19 +555,19 @@ function extractFunctionCalls(content) {
   return Array.from(new Set(calls));
 }
 
-module.exports = { parseHeexFile };
+module.exports = { ELEMENT_KINDS, tokenizeHeex, parseHeexFile, parseHeexSigils, templateRecords };
 
 // CLI usage
 if (require.main === module) {
   const filePath = process.argv[2];
 
   if (!filePath) {
-    console.error('Usage: node parse-heex.js <heex_file>');
+    console.error('Usage: node parse-heex.js <heex_or_ex_file>');
     process.exit(1);
   }
 
   const content = fs.readFileSync(filePath, 'utf8');
-  const results = parseHeexFile(filePath, content);
+  const results = templateRecords(filePath, content, process.cwd());
 
   for (const result of results) {
     console.log(JSON.stringify(result));
@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+
+// LiveView event and assign references in Elixir code, stored in the
+// liveview_refs table: handle_event/3 clauses for a literal event name,
+// assigns set through assign/assign_new/assign_async/update/stream* and read
+// as assigns.name or assigns[:name]. Template-side references (phx-* bindings,
+// @name reads) come from parse-heex.js. Dynamic names are skipped.
+
+const fs = require('fs');
+const { tokenize, parseElixirSource } = require('./parse-elixir');
+
+const SETTERS = new Set(['assign', 'assign_new', 'assign_async', 'update', 'stream', 'stream_insert', 'stream_delete']);
+
+// Files without any of these are not tokenized
+const CANDIDATE = /handle_event|assign|update|stream/;
+
+/**
+ * JSONL line for the liveview_refs table (see records.js)
+ * @param {Object} fields - module, ref ("event"|"assign"), name, role, path, line, detail
+ */
+function liveviewRef({ module, ref, name, role, path, line, detail = null }) {
+  return { kind: 'liveview_ref', module, ref, name, role, path, line, detail };
+}
+
+// Top-level arguments of the call whose "(" is tokens[open]
+function callArgs(tokens, open) {
+  const args = [[]];
+  let depth = 0;
+  for (let i = open + 1; i < tokens.length; i++) {
+    const t = tokens[i];
+    if (t.type === 'op' && ['(', '[', '{', '<<'].includes(t.value)) depth++;
+    if (t.type === 'op' && [')', ']', '}', '>>'].includes(t.value)) {
+      if (depth === 0) break;
+      depth--;
+    }
+    if (t.type === 'id' && (t.value === 'do' || t.value === 'fn')) depth++;
+    if (t.type === 'id' && t.value === 'end') depth--;
+    if (depth === 0 && t.type === 'op' && t.value === ',') args.push([]);
+    else args[args.length - 1].push(t);
+  }
+  return args.filter(arg => arg.length > 0);
+}
+
+// Keys named by an assign argument: :user, user: ..., [:a, :b], [a: 1], %{a: 1}
+function assignKeys(arg) {
+  const first = arg[0];
+  if (first.type === 'atom' && arg.length === 1) return [first.value];
+  const open = first.value === '%' ? 1 : 0;
+  if (!arg[open] || arg[open].type !== 'op' || !['[', '{'].includes(arg[open].value)) return [];
+
+  const keys = [];
+  let depth = 0;
+  for (let i = open; i < arg.length; i++) {
+    const t = arg[i];
+    if (t.type === 'op' && ['(', '[', '{'].includes(t.value)) depth++;
+    else if (t.type === 'op' && [')', ']', '}'].includes(t.value)) depth--;
+    else if (depth === 1 && (t.type === 'atom' || t.type === 'kw')) {
+      const prev = arg[i - 1];
+      if (prev.type === 'op' && (prev.value === ',' || i - 1 === open)) keys.push(t.value);
+    }
+  }
+  return keys;
+}
+
+/**
+ * References in one Elixir source file, attributed to the innermost module
+ * @param {string} filePath - Path as stored in the index
+ * @param {string} source
+ * @returns {Array} liveview_ref records
+ */
+function parseLiveViewRefs(filePath, source) {
+  if (!CANDIDATE.test(source)) return [];
+
+  const modules = parseElixirSource(filePath, source).filter(r => r.kind === 'module');
+  const moduleAt = (line) => {
+    let best = null;
+    for (const m of modules) {
+      if (m.start_line <= line && line <= m.end_line && (!best || m.start_line >= best.start_line)) best = m;
+    }
+    return best && best.module;
+  };
+
+  const tokens = tokenize(source).filter(t => t.type !== 'eol');
+  const refs = new Map();
+  const add = (fields) => {
+    const module = moduleAt(fields.line);
+    if (!module || fields.name.startsWith('__')) return;
+    const key = `${module}|${fields.ref}|${fields.name}|${fields.role}|${fields.line}`;
+    if (!refs.has(key)) refs.set(key, liveviewRef({ module, path: filePath, ...fields }));
+  };
+  const isOp = (t, value) => t && t.type === 'op' && t.value === value;
+
+  for (let i = 0; i < tokens.length; i++) {
+    const t = tokens[i];
+    if (t.type !== 'id') continue;
+    const prev = tokens[i - 1];
+    const next = tokens[i + 1];
+
+    // def handle_event("save", params, socket)
+    if (t.value === 'handle_event' && prev && prev.type === 'id' && prev.value === 'def' &&
+        isOp(next, '(') && tokens[i + 2] && tokens[i + 2].type === 'string') {
+      add({ ref: 'event', name: tokens[i + 2].value, role: 'handler', line: t.line, detail: 'handle_event/3' });
+      continue;
+    }
+
+    // assign(socket, :user, user), socket |> assign(user: user), assign_async(socket, [:a, :b], fun)
+    if (SETTERS.has(t.value) && isOp(next, '(') && !next.spaced && !isOp(prev, '.') &&
+        !(prev && prev.type === 'id' && /^def/.test(prev.value))) {
+      const args = callArgs(tokens, i + 1);
+      const keyIndex = isOp(prev, '|>') ? 0 : 1;
+      const keyArg = args[keyIndex];
+      if (!keyArg) continue;
+      const names = keyArg[0].type === 'kw'
+        ? args.slice(keyIndex).filter(arg => arg[0].type === 'kw').map(arg => arg[0].value)
+        : assignKeys(keyArg);
+      for (const name of names) add({ ref: 'assign', name, role: 'set', line: t.line, detail: t.value });
+      continue;
+    }
+
+    // assigns.user, socket.assigns.user, assigns[:user]
+    if (t.value === 'assigns') {
+      const key = tokens[i + 2];
+      if (isOp(next, '.') && key && key.type === 'id') {
+        add({ ref: 'assign', name: key.value, role: 'read', line: key.line, detail: null });
+      } else if (isOp(next, '[') && key && key.type === 'atom') {
+        add({ ref: 'assign', name: key.value, role: 'read', line: key.line, detail: null });
+      }
+    }
+  }
+
+  return [...refs.values()];
+}
+
+module.exports = { liveviewRef, parseLiveViewRefs };
+
+// CLI usage: node parse-liveview.js <ex_file>
+if (require.main === module) {
+  const filePath = process.argv[2];
+  if (!filePath) {
+    console.error('Usage: node parse-liveview.js <ex_file>');
+    process.exit(1);
+  }
+  for (const ref of parseLiveViewRefs(filePath, fs.readFileSync(filePath, 'utf8'))) {
+    console.log(JSON.stringify(ref));
+  }
+}
@@ -0,0 +1,265 @@
+#!/usr/bin/env node
+
+// Phoenix router reconstruction for the routes table. Walks router source the
+// way Phoenix.Router expands it: scope paths and aliases nest, pipe_through
+// adds pipelines to the routes defined after it in the same scope, resources
+// expand to their REST actions (with only:/except:, singleton: and nesting),
+// and live, forward, match and live_dashboard become routes of their own.
+// Routes built by other macros or with dynamic paths are skipped.
+
+const fs = require('fs');
+const { tokenize } = require('./parse-elixir');
+
+const VERBS = new Set(['get', 'post', 'put', 'patch', 'delete', 'options', 'head', 'connect', 'trace']);
+
+// Only files mentioning one of these are tokenized
+const ROUTER_HINT = /Phoenix\.Router|:router\b/;
+
+const RESOURCE_ACTIONS = [
+  { action: 'index', verb: 'GET', suffix: '', member: false },
+  { action: 'edit', verb: 'GET', suffix: '/edit', member: true },
+  { action: 'new', verb: 'GET', suffix: '/new', member: false },
+  { action: 'show', verb: 'GET', suffix: '', member: true },
+  { action: 'create', verb: 'POST', suffix: '', member: false },
+  { action: 'update', verb: 'PATCH', suffix: '', member: true },
+  { action: 'update', verb: 'PUT', suffix: '', member: true },
+  { action: 'delete', verb: 'DELETE', suffix: '', member: true }
+];
+
+const isOp = (t, value) => t && t.type === 'op' && t.value === value;
+const isId = (t, value) => t && t.type === 'id' && t.value === value;
+
+/**
+ * Join a scope prefix and a route path the way Phoenix does ("/" + "/" is "/")
+ */
+function joinPath(prefix, path) {
+  const joined = `${prefix.replace(/\/+$/, '')}/${path.replace(/^\/+/, '')}`;
+  return joined.length > 1 ? joined.replace(/\/+$/, '') : '/';
+}
+
+// Index of the `end` closing the block opened at tokens[open] (a do or fn)
+function matchEnd(tokens, open) {
+  let depth = 0;
+  for (let i = open; i < tokens.length; i++) {
+    if (isId(tokens[i], 'do') || isId(tokens[i], 'fn')) depth++;
+    else if (isId(tokens[i], 'end') && --depth === 0) return i;
+  }
+  return tokens.length;
+}
+
+/**
+ * Arguments of the statement headed by tokens[head]: parenthesized or up to
+ * the end of the line (continued after a trailing comma), and its do-block
+ * @returns {{args: Array<Array>, doAt: number, next: number}} doAt is -1 without a block
+ */
+function readStatement(tokens, head, limit) {
+  const args = [[]];
+  let depth = 0;
+  let i = head + 1;
+  const parens = isOp(tokens[i], '(') && !tokens[i].spaced;
+  if (parens) i++;
+
+  for (; i < limit; i++) {
+    const t = tokens[i];
+    if (t.type === 'op' && ['(', '[', '{', '<<'].includes(t.value)) depth++;
+    else if (t.type === 'op' && [')', ']', '}', '>>'].includes(t.value)) {
+      if (depth === 0 && parens) {
+        i++;
+        break;
+      }
+      depth--;
+    } else if (depth === 0 && isId(t, 'do')) {
+      break;
+    } else if (depth === 0 && !parens && t.type === 'eol') {
+      const last = args[args.length - 1];
+      if (!(last.length === 0 && args.length > 1)) break;
+      continue;
+    } else if (isId(t, 'fn')) {
+      // Skip anonymous functions whole
+      const end = matchEnd(tokens, i);
+      args[args.length - 1].push(...tokens.slice(i, end + 1));
+      i = end;
+      continue;
+    }
+    if (t.type === 'eol') continue;
+    if (depth === 0 && isOp(t, ',')) args.push([]);
+    else args[args.length - 1].push(t);
+  }
+
+  const doAt = isId(tokens[i], 'do') ? i : -1;
+  const next = doAt === -1 ? i : matchEnd(tokens, doAt) + 1;
+  return { args: args.filter(arg => arg.length > 0), doAt, next };
+}
+
+// Literal value of an argument: string, module alias, atom, boolean, or a list of those
+function literal(arg) {
+  if (arg.length === 1) {
+    const [t] = arg;
+    if (t.type === 'string' || t.type === 'alias' || t.type === 'atom') return t.value;
+    if (isId(t, 'true')) return true;
+    if (isId(t, 'false')) return false;
+    return undefined;
+  }
+  if (isOp(arg[0], '[') && isOp(arg[arg.length - 1], ']')) {
+    return arg.slice(1, -1).filter(t => !isOp(t, ',')).map(t => t.value);
+  }
+  return undefined;
+}
+
+// Positional arguments and trailing keyword options
+function splitArgs(args) {
+  const positional = [];
+  const opts = {};
+  for (const arg of args) {
+    if (arg[0].type === 'kw') opts[arg[0].value] = literal(arg.slice(1));
+    else positional.push(literal(arg));
+  }
+  return { positional, opts };
+}
+
+function expandAlias(ctx, module) {
+  return ctx.alias ? `${ctx.alias}.${module}` : module;
+}
+
+function underscore(name) {
+  return name.replace(/([a-z\d])([A-Z])/g, '$1_$2').toLowerCase();
+}
+
+/**
+ * Routes defined in one source file
+ * @param {string} filePath - Path as stored in the index
+ * @param {string} source
+ * @returns {Array} route records (see records.js)
+ */
+function parseRoutes(filePath, source) {
+  if (!ROUTER_HINT.test(source)) return [];
+
+  const tokens = tokenize(source);
+  const routes = [];
+
+  const addRoute = (ctx, fields, line) => {
+    if (!ctx.router) return;
+    routes.push({
+      kind: 'route',
+      module: ctx.router,
+      verb: fields.verb,
+      route: fields.route,
+      handler: fields.handler,
+      action: fields.action || null,
+      type: fields.type,
+      pipelines: [...ctx.pipelines],
+      path: filePath,
+      line,
+      seq: routes.length
+    });
+  };
+
+  function resources(ctx, positional, opts, line) {
+    const [path, controller] = positional;
+    if (typeof path !== 'string' || typeof controller !== 'string') return null;
+    const base = joinPath(ctx.prefix, path);
+    const param = typeof opts.param === 'string' ? opts.param : 'id';
+    const name = typeof opts.as === 'string' ? opts.as : underscore(controller.split('.').pop().replace(/Controller$/, ''));
+    const only = Array.isArray(opts.only) ? opts.only : null;
+    const except = Array.isArray(opts.except) ? opts.except : [];
+
+    for (const spec of RESOURCE_ACTIONS) {
+      if (opts.singleton === true && spec.action === 'index') continue;
+      if ((only && !only.includes(spec.action)) || except.includes(spec.action)) continue;
+      const member = spec.member && opts.singleton !== true ? `/:${param}` : '';
+      addRoute(ctx, {
+        verb: spec.verb,
+        route: joinPath(base, `${member}${spec.suffix}`),
+        handler: expandAlias(ctx, controller),
+        action: spec.action,
+        type: 'controller'
+      }, line);
+    }
+    // Nested resources live under the member path: /users/:user_id/posts
+    return opts.singleton === true ? base : joinPath(base, `:${name}_${param}`);
+  }
+
+  function walk(from, to, ctx) {
+    let i = from;
+    while (i < to) {
+      const t = tokens[i];
+      if (t.type === 'eol' || isOp(t, ';') || t.type !== 'id' && t.type !== 'alias') {
+        i++;
+        continue;
+      }
+      const { args, doAt, next } = readStatement(tokens, i, to);
+      const { positional, opts } = splitArgs(args);
+      const blockEnd = next - 1;
+      let inner = null;
+
+      if (t.value === 'defmodule' && typeof positional[0] === 'string') {
+        inner = { router: positional[0], prefix: '', alias: null, pipelines: [] };
+      } else if (t.value === 'scope') {
+        const path = typeof positional[0] === 'string' ? positional[0] : (typeof opts.path === 'string' ? opts.path : '');
+        const scopeAlias = positional.find((p, n) => n > 0 || typeof positional[0] !== 'string') ||
+          (typeof opts.alias === 'string' ? opts.alias : null);
+        inner = {
+          ...ctx,
+          prefix: joinPath(ctx.prefix, path),
+          alias: opts.alias === false ? null : (typeof scopeAlias === 'string' ? expandAlias(ctx, scopeAlias) : ctx.alias),
+          pipelines: [...ctx.pipelines]
+        };
+      } else if (t.value === 'pipe_through') {
+        const pipes = Array.isArray(positional[0]) ? positional[0] : [positional[0]];
+        ctx.pipelines.push(...pipes.filter(p => typeof p === 'string'));
+      } else if (t.value === 'pipeline') {
+        // Plugs only; nothing routable inside
+        i = next;
+        continue;
+      } else if (VERBS.has(t.value) || t.value === 'match' || t.value === 'live' || t.value === 'forward') {
+        const verbArgs = t.value === 'match' ? positional.slice(1) : positional;
+        const [path, handler, action] = verbArgs;
+        if (typeof path === 'string' && typeof handler === 'string') {
+          const verb = t.value === 'match' ? (positional[0] === '*' ? '*' : String(positional[0]).toUpperCase())
+            : t.value === 'live' ? 'GET'
+            : t.value === 'forward' ? '*'
+            : t.value.toUpperCase();
+          addRoute(ctx, {
+            verb,
+            route: t.value === 'forward' ? joinPath(joinPath(ctx.prefix, path), '*path') : joinPath(ctx.prefix, path),
+            handler: expandAlias(ctx, handler),
+            action: t.value === 'forward' ? null : (typeof action === 'string' ? action : null),
+            type: t.value === 'live' ? 'live' : t.value === 'forward' ? 'forward' : 'controller'
+          }, t.line);
+        }
+      } else if (t.value === 'live_dashboard' && typeof positional[0] === 'string') {
+        addRoute(ctx, {
+          verb: 'GET',
+          route: joinPath(ctx.prefix, positional[0]),
+          handler: 'Phoenix.LiveDashboard.PageLive',
+          action: 'home',
+          type: 'live'
+        }, t.line);
+      } else if (t.value === 'resources') {
+        const nested = resources(ctx, positional, opts, t.line);
+        if (nested) inner = { ...ctx, prefix: nested, pipelines: [...ctx.pipelines] };
+      }
+
+      // Other blocks (live_session, if, ...) keep the surrounding scope
+      if (doAt !== -1) walk(doAt + 1, blockEnd, inner || { ...ctx, pipelines: [...ctx.pipelines] });
+      i = next;
+    }
+  }
+
+  walk(0, tokens.length, { router: null, prefix: '', alias: null, pipelines: [] });
+  return routes;
+}
+
+module.exports = { joinPath, readStatement, parseRoutes };
+
+// CLI usage: node parse-router.js <router.ex>
+if (require.main === module) {
+  const filePath = process.argv[2];
+  if (!filePath) {
+    console.error('Usage: node parse-router.js <router_file>');
+    process.exit(1);
+  }
+  for (const route of parseRoutes(filePath, fs.readFileSync(filePath, 'utf8'))) {
+    console.log(JSON.stringify(route));
+  }
+}
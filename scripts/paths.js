@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+
+// Path normalization shared by ingest, watch, refresh, repair and search output.
+//
+// The index stores project-relative POSIX paths ("apps/billing/lib/billing.ex"),
+// whatever form the exporter, watcher or caller used. Files outside the project
+// keep an absolute POSIX path.
+
+const path = require('path');
+
+function toPosix(p) {
+  return p.split(path.sep).join('/');
+}
+
+/**
+ * Canonical stored form of a path
+ * @param {string} projectRoot - Relative paths are resolved against it; when empty only separators are normalized
+ * @param {string} filePath - Absolute or relative, any separator
+ * @returns {string} Project-relative POSIX path (absolute POSIX when outside the project)
+ */
+function normalizePath(projectRoot, filePath) {
+  if (!filePath) return filePath;
+  if (!projectRoot) return path.posix.normalize(toPosix(String(filePath)));
+
+  const root = path.resolve(projectRoot);
+  const absolute = path.resolve(root, String(filePath));
+  const relative = path.relative(root, absolute);
+  if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) return toPosix(absolute);
+  return toPosix(relative);
+}
+
+/**
+ * Umbrella app a normalized path belongs to ("apps/<app>/..."), or null
+ */
+function appForPath(relPath) {
+  const match = (relPath || '').match(/^apps\/([^\/]+)\//);
+  return match ? match[1] : null;
+}
+
+/**
+ * Absolute and project-relative forms of a path, for matching rows stored
+ * either way by indexes that predate normalization (see repair.js)
+ */
+function pathVariants(projectRoot, filePath) {
+  const absolute = path.resolve(projectRoot, filePath);
+  return [toPosix(absolute), normalizePath(projectRoot, absolute)];
+}
+
+module.exports = { normalizePath, appForPath, pathVariants };
@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+
+// Compiles user/agent search input into valid FTS5 MATCH syntax.
+//
+// Every term becomes a quoted FTS5 string, which the tokenizer splits the same
+// way it split the indexed text, so Elixir-shaped input just works:
+//   Accounts.get_user/1   → "Accounts.get_user"        (arity dropped)
+//   foo-bar               → "foo-bar"
+//   get_us*               → "get_us"*                  (prefix)
+//   "update user" OR del  → "update user" OR "del"
+//   "unbalanced           → "unbalanced"
+
+const OPERATORS = new Set(['AND', 'OR', 'NOT']);
+
+function quote(text) {
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+function hasTokenChars(text) {
+  return /[\p{L}\p{N}]/u.test(text);
+}
+
+/**
+ * Split input into quoted phrases, bare words and operators
+ */
+function lex(input) {
+  const items = [];
+  let i = 0;
+  while (i < input.length) {
+    const c = input[i];
+    if (/\s/.test(c)) { i++; continue; }
+    if (c === '"') {
+      const end = input.indexOf('"', i + 1);
+      const body = end === -1 ? input.slice(i + 1) : input.slice(i + 1, end);
+      i = end === -1 ? input.length : end + 1;
+      const prefix = input[i] === '*';
+      if (prefix) i++;
+      items.push({ type: 'term', text: body, prefix });
+      continue;
+    }
+    let j = i;
+    while (j < input.length && !/\s/.test(input[j]) && input[j] !== '"') j++;
+    const word = input.slice(i, j);
+    i = j;
+    if (OPERATORS.has(word)) {
+      items.push({ type: 'op', text: word });
+      continue;
+    }
+    const prefix = word.endsWith('*');
+    // Drop trailing arity from MFA-shaped words ("get_user/1")
+    const text = word.replace(/\*+$/, '').replace(/\/\d+$/, '');
+    items.push({ type: 'term', text, prefix });
+  }
+  return items;
+}
+
+/**
+ * Compile search input to an FTS5 expression
+ * @param {string} input - Raw query text
+ * @param {Object} opts - { raw: true } passes the input through untouched
+ * @returns {string|null} FTS5 expression, or null when nothing searchable remains
+ */
+function compileQuery(input, opts = {}) {
+  if (opts.raw) return input;
+  const items = lex(String(input || '')).filter(item => item.type === 'op' || hasTokenChars(item.text));
+
+  // Operators are binary in FTS5: keep only those sitting between two terms
+  const out = [];
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i];
+    if (item.type === 'op') {
+      const prev = out[out.length - 1];
+      const next = items[i + 1];
+      if (prev && prev.type === 'term' && next && next.type === 'term') out.push(item);
+      continue;
+    }
+    out.push(item);
+  }
+
+  if (out.length === 0) return null;
+  return out
+    .map(item => item.type === 'op' ? item.text : quote(item.text) + (item.prefix ? '*' : ''))
+    .join(' ');
+}
+
+/**
+ * Run an FTS statement, turning FTS5 syntax errors (only possible with raw input)
+ * into a readable error
+ */
+function runMatch(statement, ftsQuery, ...params) {
+  try {
+    return statement.all(ftsQuery, ...params);
+  } catch (err) {
+    if (err.code === 'SQLITE_ERROR') {
+      throw new Error(`Invalid FTS5 query ${JSON.stringify(ftsQuery)}: ${err.message}`);
+    }
+    throw err;
+  }
+}
+
+module.exports = { compileQuery, runMatch };
@@ -1,12 +1,21 @@
 #!/usr/bin/env node
 
 const Database = require('better-sqlite3');
+const { packRows } = require('./pack');
+const { parseFilters, buildFilterClause } = require('./filters');
+const { compileQuery, runMatch } = require('./query-parser');
+const { BM25 } = require('./fts');
+const { createAnchorContext, rankWithAnchor } = require('./anchor');
+const { ensureSchema, readMeta } = require('./schema');
 
 const args = process.argv.slice(2);
 let query = '';
 let k = 10;
 let pack = false;
 let anchorPath = null;
+let maxTokens = null;
+let rawFts = false;
+const filterArgs = {};
 
 for (let i = 0; i < args.length; i++) {
   if (args[i] === '--q' && i + 1 < args.length) {
@@ -15,8 +24,30 @@ for (let i = 0; i < args.length; i++) {
   } else if (args[i] === '--k' && i + 1 < args.length) {
     k = parseInt(args[i + 1]);
     i++;
+  } else if (args[i] === '--raw') {
+    rawFts = true;
   } else if (args[i] === '--pack') {
     pack = true;
+  } else if (args[i] === '--max-tokens' && i + 1 < args.length) {
+    maxTokens = parseInt(args[i + 1]);
+    i++;
+  } else if (args[i] === '--kinds' && i + 1 < args.length) {
+    filterArgs.kinds = args[i + 1];
+    i++;
+  } else if (args[i] === '--module-prefix' && i + 1 < args.length) {
+    filterArgs.module_prefix = args[i + 1];
+    i++;
+  } else if (args[i] === '--path-glob' && i + 1 < args.length) {
+    filterArgs.path_glob = args[i + 1];
+    i++;
+  } else if (args[i] === '--arity' && i + 1 < args.length) {
+    filterArgs.arity = args[i + 1];
+    i++;
+  } else if (args[i] === '--exclude-tests') {
+    filterArgs.exclude_tests = true;
+  } else if (args[i] === '--visibility' && i + 1 < args.length) {
+    filterArgs.visibility = args[i + 1];
+    i++;
   } else if (args[i] === '--path' && i + 1 < args.length) {
     anchorPath = args[i + 1];
     i++;
@@ -24,7 +55,16 @@ for (let i = 0; i < args.length; i++) {
 }
 
 if (!query) {
-  console.error('Usage: elixir-context query --q "query" [--k 10] [--pack] [--path anchor.ex]');
+  console.error('Usage: elixir-context query --q "query" [--k 10] [--pack [--max-tokens 8000]] [--path anchor.ex] [--raw]');
+  console.error('  Filters: [--kinds function,macro] [--module-prefix MyApp.Billing] [--path-glob "lib/**"] [--arity 2] [--exclude-tests] [--visibility public|private]');
+  process.exit(1);
+}
+
+let filterClause;
+try {
+  filterClause = buildFilterClause(parseFilters(filterArgs));
+} catch (err) {
+  console.error(err.message);
   process.exit(1);
 }
 
@@ -37,55 +77,50 @@ function resolveDb() {
 }
 
 const dbFile = resolveDb();
-const db = new Database(dbFile);
+let db;
+try {
+  db = new Database(dbFile, { fileMustExist: true });
+  db.pragma('busy_timeout = 5000');
+  // Indexes from older releases lack columns queried below; upgrade them like the server does
+  const schema = ensureSchema(db);
+  if (schema.migrated.length > 0) {
+    console.error(`Migrated index schema v${schema.from} → v${schema.version}: ${schema.migrated.join('; ')}`);
+  }
+} catch (err) {
+  console.error(db ? err.message : `Cannot open index ${dbFile}: ${err.message}. Run elixir-context build first.`);
+  process.exit(1);
+}
+
+// Relative anchor paths are taken against the project the index was built from
+const anchorCtx = createAnchorContext(db, anchorPath ? { path: anchorPath } : null, readMeta(db).project_root || process.cwd());
+// With an anchor, over-fetch so nearby results outside the lexical top-k can be promoted
+const candidateLimit = anchorCtx ? k * 3 : k;
 
 // FTS query
 const ftsQuery = db.prepare(`
-  SELECT f.id, f.module, f.name, f.arity, f.path, f.start_line, f.end_line, f.signature, f.spec, f.doc, f.lexical_text, f.struct_text,
-         bm25(functions_fts) as score
+  SELECT f.id, f.module, f.name, f.arity, f.kind, f.path, f.app, f.start_line, f.end_line, f.signature, f.spec, f.doc, f.lexical_text, f.struct_text,
+         ${BM25} as score
   FROM functions_fts
   JOIN functions f ON functions_fts.id = f.id
-  WHERE functions_fts MATCH ?
+  WHERE functions_fts MATCH ?${filterClause.sql}
   ORDER BY score
   LIMIT ?
 `);
 
-const results = ftsQuery.all(query, k);
+const matchExpr = compileQuery(query, { raw: rawFts });
+let results = [];
+try {
+  results = matchExpr ? runMatch(ftsQuery, matchExpr, ...filterClause.params, candidateLimit) : [];
+  results = rankWithAnchor(results, anchorCtx).slice(0, k);
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
 
 if (pack) {
-  // Pack mode: return token-efficient bundle
-  let text = '';
-  const sources = [];
-
-  for (const row of results) {
-    text += `### ${row.module}.${row.name}/${row.arity}\n`;
-    text += `Path: ${row.path}:${row.start_line}\n`;
-    if (row.spec) text += `Spec: ${row.spec}\n`;
-    if (row.doc) text += `Doc: ${row.doc}\n`;
-    text += `Definition: ${row.struct_text}\n\n`;
-
-    sources.push({ path: row.path, start_line: row.start_line, end_line: row.end_line || row.start_line });
-
-    // Add 1-hop neighbors
-    const neighborsQuery = db.prepare(`
-      SELECT f.module, f.name, f.arity, f.path, f.start_line, f.struct_text
-      FROM edges e
-      JOIN functions f ON (e.src_id = f.id OR e.dst_mfa = ?)
-      WHERE e.src_id = ? OR e.dst_mfa = ?
-      LIMIT 5
-    `);
-    const mfa = `${row.module}.${row.name}/${row.arity}`;
-    const neighbors = neighborsQuery.all(mfa, row.id, mfa);
-    for (const n of neighbors) {
-      if (n.module !== row.module || n.name !== row.name || n.arity !== row.arity) {
-        text += `Neighbor: ${n.module}.${n.name}/${n.arity} at ${n.path}:${n.start_line}\n`;
-        text += `${n.struct_text}\n\n`;
-        sources.push({ path: n.path, start_line: n.start_line, end_line: n.start_line });
-      }
-    }
-  }
-
-  console.log(JSON.stringify({ text, sources }));
+  // Pack mode: token-budgeted bundle with 1-hop neighbors
+  const bundle = packRows(db, results, { max_tokens: maxTokens, expand: ['callees', 'callers'] });
+  console.log(JSON.stringify(bundle));
 } else {
   // JSON mode
   const output = results.map(row => ({
@@ -96,7 +131,8 @@ if (pack) {
     path: row.path,
     start_line: row.start_line,
     end_line: row.end_line,
-    score: row.score
+    score: row.score,
+    ...(row.anchor ? { anchor: row.anchor } : {})
   }));
   console.log(JSON.stringify(output, null, 2));
 }
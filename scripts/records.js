@@ -0,0 +1,210 @@
+#!/usr/bin/env node
+
+// JSONL record format shared by export.exs, source-records.js and ingest.js.
+//
+// One JSON object per line. The first line may be a header
+// `{"kind": "meta", "exporter_version": "..."}`; every other line is an index
+// entry with the fields below (`?` = optional, may also be null), a LiveView
+// reference, a route, an Ecto schema or a source file (see LIVEVIEW_REF, ROUTE,
+// ECTO_SCHEMA and FILE below).
+//
+//   id            string   unique entry id (sha256 of module|name|arity|path)
+//   module        string   owning module, e.g. "MyApp.Accounts"
+//   name          string   function/macro name, or a label for other kinds
+//   arity         integer  >= 0
+//   path          string   source file
+//   kind?         string   function, function_private, macro, ..., template, heex_* (default: function)
+//   start_line?   integer  >= 1
+//   end_line?     integer  >= start_line
+//   signature?    string
+//   spec?, doc?   any      strings are stored as-is, other values as JSON
+//   lexical_text? string   searchable keywords
+//   struct_text?  string   source preview
+//   calls?        string[] called MFAs, e.g. "Repo.get/2"
+//   components?   string[] function components rendered by a template entry, e.g. "modal/1"
+//   target?, as?  string   alias/import directives only
+//
+// LIVEVIEW_REF lines (parse-heex.js, parse-liveview.js) go to the liveview_refs table:
+//
+//   kind          "liveview_ref"
+//   module        string   LiveView/component/view module the reference belongs to
+//   ref           string   "event" or "assign"
+//   name          string   event or assign name, e.g. "save", "user"
+//   role          string   event: binding | handler; assign: set | read
+//   path          string   source file
+//   line          integer  >= 1
+//   detail?       string   binding attribute (phx-click), handler (handle_event/3) or setter (assign_new)
+//
+// ROUTE lines (parse-router.js) go to the routes table:
+//
+//   kind          "route"
+//   module        string   router module
+//   verb          string   GET, POST, ... or * (match :*, forward)
+//   route         string   full path with scope prefixes, e.g. "/admin/users/:id"
+//   handler       string   controller, LiveView or plug module (scope alias applied)
+//   action?       string   controller action or live action
+//   type          string   controller | live | forward
+//   pipelines     string[] pipe_through pipelines in effect, outermost first
+//   path          string   router source file
+//   line          integer  >= 1
+//   seq           integer  definition order within the file (Phoenix matches the first route)
+//
+// ECTO_SCHEMA lines (parse-ecto.js) go to the ecto_schemas table, their fields to ecto_fields:
+//
+//   kind          "ecto_schema"
+//   module        string   schema module (inline embeds: Parent.Name)
+//   source?       string   table name; null for embedded schemas
+//   embedded      boolean  embedded_schema or inline embeds_one/embeds_many block
+//   path          string   source file
+//   start_line    integer  schema block
+//   end_line      integer
+//   fields        object[] in definition order:
+//     name        string   field, column or association name
+//     category    string   primary_key | field | foreign_key | timestamps | belongs_to | has_one
+//                          | has_many | many_to_many | embeds_one | embeds_many
+//     type?       string   Ecto type as written (":string" is "string", "{:array, :string}")
+//     related?    string   associated or embedded schema module (aliases expanded)
+//     options     object   keyword options (foreign_key:, through:, join_through:, default:, ...)
+//     line        integer  >= 1
+//
+// FILE lines (changes.js fileRecords) snapshot a source file as it was exported.
+// Incremental ingests purge the file's old rows when they see one, whether or not
+// the export produced anything for it; the hash goes to the `files` table:
+//
+//   kind          "file"
+//   path          string   source file
+//   deleted?      boolean  the file is gone: purge it and forget its hash
+//   size, mtime   integer  (not deleted)
+//   hash?         string   sha256 of the content; null when it changed while being read
+
+const REQUIRED_STRINGS = ['id', 'module', 'name', 'path'];
+const OPTIONAL_STRINGS = ['kind', 'signature', 'lexical_text', 'struct_text', 'target', 'as'];
+
+function isPresent(value) {
+  return value !== undefined && value !== null;
+}
+
+function isLine(value) {
+  return Number.isInteger(value) && value >= 1;
+}
+
+const LIVEVIEW_ROLES = { event: ['binding', 'handler'], assign: ['set', 'read'] };
+
+const ROUTE_TYPES = ['controller', 'live', 'forward'];
+
+const ECTO_CATEGORIES = ['primary_key', 'field', 'foreign_key', 'timestamps', 'belongs_to', 'has_one',
+  'has_many', 'many_to_many', 'embeds_one', 'embeds_many'];
+
+function validateFile(record) {
+  const errors = [];
+  if (typeof record.path !== 'string' || record.path === '') errors.push('path must be a non-empty string');
+  if (record.deleted === true) return errors;
+  for (const field of ['size', 'mtime']) {
+    if (!Number.isInteger(record[field]) || record[field] < 0) errors.push(`${field} must be a non-negative integer`);
+  }
+  if (isPresent(record.hash) && typeof record.hash !== 'string') errors.push('hash must be a string');
+  return errors;
+}
+
+function validateEctoSchema(record) {
+  const errors = [];
+  for (const field of ['module', 'path']) {
+    if (typeof record[field] !== 'string' || record[field] === '') {
+      errors.push(`${field} must be a non-empty string`);
+    }
+  }
+  if (isPresent(record.source) && typeof record.source !== 'string') errors.push('source must be a string');
+  if (typeof record.embedded !== 'boolean') errors.push('embedded must be a boolean');
+  if (!isLine(record.start_line) || !isLine(record.end_line)) errors.push('start_line and end_line must be positive integers');
+  if (!Array.isArray(record.fields)) return [...errors, 'fields must be an array'];
+  record.fields.forEach((field, i) => {
+    if (!field || typeof field.name !== 'string' || field.name === '') errors.push(`fields[${i}].name must be a non-empty string`);
+    else if (!ECTO_CATEGORIES.includes(field.category)) errors.push(`fields[${i}].category must be one of ${ECTO_CATEGORIES.join(', ')}`);
+    else if (!isLine(field.line)) errors.push(`fields[${i}].line must be a positive integer`);
+    for (const key of ['type', 'related']) {
+      if (field && isPresent(field[key]) && typeof field[key] !== 'string') errors.push(`fields[${i}].${key} must be a string`);
+    }
+  });
+  return errors;
+}
+
+function validateRoute(record) {
+  const errors = [];
+  for (const field of ['module', 'verb', 'route', 'handler', 'path']) {
+    if (typeof record[field] !== 'string' || record[field] === '') {
+      errors.push(`${field} must be a non-empty string`);
+    }
+  }
+  if (isPresent(record.action) && typeof record.action !== 'string') errors.push('action must be a string');
+  if (!ROUTE_TYPES.includes(record.type)) errors.push(`type must be one of ${ROUTE_TYPES.join(', ')}`);
+  if (!Array.isArray(record.pipelines) || record.pipelines.some(p => typeof p !== 'string')) {
+    errors.push('pipelines must be an array of strings');
+  }
+  if (!isLine(record.line)) errors.push('line must be a positive integer');
+  if (!Number.isInteger(record.seq) || record.seq < 0) errors.push('seq must be a non-negative integer');
+  return errors;
+}
+
+function validateLiveViewRef(record) {
+  const errors = [];
+  for (const field of ['module', 'name', 'path']) {
+    if (typeof record[field] !== 'string' || record[field] === '') {
+      errors.push(`${field} must be a non-empty string`);
+    }
+  }
+  const roles = LIVEVIEW_ROLES[record.ref];
+  if (!roles) errors.push('ref must be "event" or "assign"');
+  else if (!roles.includes(record.role)) errors.push(`role must be one of ${roles.join(', ')}`);
+  if (!isLine(record.line)) errors.push('line must be a positive integer');
+  if (isPresent(record.detail) && typeof record.detail !== 'string') errors.push('detail must be a string');
+  return errors;
+}
+
+/**
+ * Problems with one parsed record
+ * @param {*} record - Parsed JSON value
+ * @returns {Array<string>} Empty when the record is valid
+ */
+function validateRecord(record) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return ['record is not a JSON object'];
+  }
+  if (record.kind === 'liveview_ref') return validateLiveViewRef(record);
+  if (record.kind === 'route') return validateRoute(record);
+  if (record.kind === 'ecto_schema') return validateEctoSchema(record);
+  if (record.kind === 'file') return validateFile(record);
+
+  const errors = [];
+  for (const field of REQUIRED_STRINGS) {
+    if (typeof record[field] !== 'string' || record[field] === '') {
+      errors.push(`${field} must be a non-empty string`);
+    }
+  }
+  for (const field of OPTIONAL_STRINGS) {
+    if (isPresent(record[field]) && typeof record[field] !== 'string') {
+      errors.push(`${field} must be a string`);
+    }
+  }
+  if (!Number.isInteger(record.arity) || record.arity < 0) {
+    errors.push('arity must be a non-negative integer');
+  }
+  if (isPresent(record.start_line) && !isLine(record.start_line)) {
+    errors.push('start_line must be a positive integer');
+  }
+  if (isPresent(record.end_line)) {
+    if (!isLine(record.end_line)) {
+      errors.push('end_line must be a positive integer');
+    } else if (isLine(record.start_line) && record.end_line < record.start_line) {
+      errors.push('end_line is before start_line');
+    }
+  }
+  for (const field of ['calls', 'components']) {
+    if (isPresent(record[field]) &&
+        (!Array.isArray(record[field]) || record[field].some(c => typeof c !== 'string'))) {
+      errors.push(`${field} must be an array of strings`);
+    }
+  }
+  return errors;
+}
+
+module.exports = { validateRecord };
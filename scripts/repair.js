@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+
+// Rewrite an existing index to project-relative POSIX paths and fill in `app`.
+//
+// Indexes built before path normalization can hold the same file under an
+// absolute and a relative path (full scan vs watcher). Rows of every table with
+// a `path` column are renamed in place; when both forms exist the non-canonical rows are dropped and the file
+// is marked for re-export by the next `build --changed-only`.
+//
+// Usage: node repair.js --db <db_file> [--root <project_root>] [--dry-run]
+// Prints a JSON summary on stdout.
+
+const Database = require('better-sqlite3');
+const { ensureSchema, readMeta, setMeta } = require('./schema');
+const { createPurger } = require('./changes');
+const { resolveEdges } = require('./resolve-edges');
+const { normalizePath, appForPath } = require('./paths');
+const { resolveDbPath } = require('./utils');
+
+function getArg(flag, fallback) {
+  const i = process.argv.indexOf(flag);
+  if (i !== -1 && process.argv[i + 1]) return process.argv[i + 1];
+  return fallback;
+}
+
+const dbFile = resolveDbPath();
+const dryRun = process.argv.includes('--dry-run');
+const db = new Database(dbFile, { fileMustExist: true });
+db.pragma('busy_timeout = 5000');
+
+// One transaction from the schema upgrade on, so --dry-run leaves the file untouched
+db.exec('BEGIN IMMEDIATE');
+
+let schema;
+try {
+  schema = ensureSchema(db);
+} catch (err) {
+  db.exec('ROLLBACK');
+  console.error(err.message);
+  process.exit(1);
+}
+
+const projectRoot = getArg('--root', readMeta(db).project_root || process.env.PROJECT_ROOT);
+if (!projectRoot) {
+  db.exec('ROLLBACK');
+  console.error('Usage: node repair.js --db <db_file> --root <project_root> [--dry-run] (no project root recorded in the index)');
+  process.exit(1);
+}
+
+const summary = {
+  db: dbFile,
+  project_root: projectRoot,
+  dry_run: dryRun,
+  migrated: schema.migrated,
+  paths_checked: 0,
+  rewritten: 0,
+  duplicates_removed: 0,
+  marked_for_reexport: [],
+  edges: null
+};
+
+// Every table holding source paths; `files` is keyed by path and handled on its own
+const pathTables = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name != 'files' ORDER BY name").all()
+  .map(r => r.name)
+  .filter(name => db.prepare(`PRAGMA table_info(${name})`).all().some(c => c.name === 'path'));
+
+const purgeFile = createPurger(db);
+const hasRows = pathTables.map(t => db.prepare(`SELECT 1 FROM ${t} WHERE path = ? LIMIT 1`));
+const renames = pathTables.map(t => db.prepare(`UPDATE ${t} SET path = ? WHERE path = ?`));
+const forgetFile = db.prepare('DELETE FROM files WHERE path = ?');
+const renameFile = db.prepare('UPDATE OR REPLACE files SET path = ? WHERE path = ?');
+const setApp = db.prepare('UPDATE functions SET app = ? WHERE path = ?');
+
+try {
+  const stored = db.prepare(pathTables.map(t => `SELECT path FROM ${t}`).join(' UNION ')).all()
+    .map(r => r.path)
+    .filter(Boolean);
+
+  for (const p of stored) {
+    summary.paths_checked++;
+    const canonical = normalizePath(projectRoot, p);
+    if (canonical === p) continue;
+
+    if (hasRows.some(stmt => stmt.get(canonical))) {
+      // Same file indexed twice; which copy is current is unknown, so re-export it
+      purgeFile(p);
+      forgetFile.run(canonical);
+      summary.duplicates_removed++;
+      summary.marked_for_reexport.push(canonical);
+    } else {
+      for (const rename of renames) rename.run(canonical, p);
+      summary.rewritten++;
+    }
+  }
+
+  for (const { path: p } of db.prepare('SELECT path FROM files').all()) {
+    const canonical = normalizePath(projectRoot, p);
+    if (canonical !== p) renameFile.run(canonical, p);
+  }
+
+  for (const { path: p } of db.prepare('SELECT DISTINCT path FROM functions').all()) {
+    setApp.run(appForPath(p), p);
+  }
+
+  summary.edges = resolveEdges(db);
+  setMeta(db, { project_root: projectRoot, repaired_at: new Date().toISOString() });
+  db.exec(dryRun ? 'ROLLBACK' : 'COMMIT');
+} catch (err) {
+  if (db.inTransaction) db.exec('ROLLBACK');
+  console.error(`Repair failed: ${err.message}`);
+  process.exit(1);
+}
+
+db.close();
+console.log(JSON.stringify(summary, null, 2));
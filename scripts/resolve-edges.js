@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+
+// Ingest-time edge resolution: rewrites raw call MFAs emitted by the exporter
+// (e.g. "Accounts.get/1" under `alias MyApp.Accounts`, or "get/1" from an import)
+// to fully-qualified MFAs and links them to the `functions` row they call.
+// Component edges ("modal/1" from a template's <.modal>) resolve the same way,
+// but also see the aliases and imports of `use`d modules: function components
+// usually arrive through `use MyAppWeb, :live_view`, which imports CoreComponents.
+
+const { parseMfa } = require('./callgraph');
+
+const DEFINITION_KINDS = ['function', 'function_private', 'macro', 'macro_private'];
+
+// edges.resolved: 1 linked to dst_id; 0 pending (new, or its target was purged);
+// -1 attempted without an indexed target (deps, stdlib, dynamic calls)
+const LINKED = 1;
+const PENDING = 0;
+const UNRESOLVED = -1;
+
+// Aliases, imports and `use`d modules of a module, loaded on first use
+function createScopes(db) {
+  const directives = db.prepare('SELECT kind, alias, target FROM module_directives WHERE module = ?');
+  // `use` entries are named "use MyAppWeb"
+  const uses = db.prepare("SELECT name FROM functions WHERE module = ? AND kind = 'use'");
+  const scopes = new Map();
+  return (module) => {
+    if (!scopes.has(module)) {
+      const scope = { aliases: new Map(), imports: [], uses: [] };
+      for (const row of directives.all(module)) {
+        if (row.kind === 'alias' && row.alias) scope.aliases.set(row.alias, row.target);
+        if (row.kind === 'import') scope.imports.push(row.target);
+      }
+      for (const row of uses.all(module)) scope.uses.push(row.name.replace(/^use /, ''));
+      scopes.set(module, scope);
+    }
+    return scopes.get(module);
+  };
+}
+
+// Scope for component edges: own aliases/imports first, then those of each used module
+function componentScope(scope, scopeOf) {
+  const used = scope.uses.map(scopeOf);
+  return {
+    aliases: new Map([...used.flatMap(u => [...u.aliases]), ...scope.aliases]),
+    imports: [...scope.imports, ...used.flatMap(u => u.imports)],
+    uses: scope.uses
+  };
+}
+
+// Definition ids keyed by fully-qualified MFA, looked up on first use
+function createDefinitions(db) {
+  const placeholders = DEFINITION_KINDS.map(() => '?').join(',');
+  const find = db.prepare(`SELECT id FROM functions WHERE module = ? AND name = ? AND arity = ? AND kind IN (${placeholders}) LIMIT 1`);
+  const ids = new Map();
+  const get = (key) => {
+    if (!ids.has(key)) {
+      const mfa = parseMfa(key);
+      const row = mfa && mfa.module && mfa.arity !== null ? find.get(mfa.module, mfa.name, mfa.arity, ...DEFINITION_KINDS) : null;
+      ids.set(key, row ? row.id : null);
+    }
+    return ids.get(key);
+  };
+  return { get, has: (key) => !!get(key) };
+}
+
+/**
+ * Put back into pending the attempted edges a batch may change: calls to a name
+ * its modules define (qualified, or local/imported calls that stayed raw), edges
+ * from those modules (their aliases and imports may differ), and component edges
+ * from modules that `use` them
+ */
+function reopenEdges(db, modules) {
+  const placeholders = DEFINITION_KINDS.map(() => '?').join(',');
+  const definitions = db.prepare(`SELECT DISTINCT name, arity FROM functions WHERE module = ? AND kind IN (${placeholders})`);
+  const reopenCalls = db.prepare(`UPDATE edges SET resolved = ${PENDING} WHERE resolved = ${UNRESOLVED} AND dst_mfa IN (?, ?)`);
+  const reopenFrom = db.prepare(`
+    UPDATE edges SET resolved = ${PENDING}
+    WHERE resolved != ${PENDING} AND src_id IN (SELECT id FROM functions WHERE module = ?)
+  `);
+  const reopenUsers = db.prepare(`
+    UPDATE edges SET resolved = ${PENDING}
+    WHERE resolved != ${PENDING} AND kind = 'component'
+      AND src_id IN (SELECT id FROM functions WHERE module IN (SELECT module FROM functions WHERE kind = 'use' AND name = ?))
+  `);
+  for (const module of modules) {
+    for (const def of definitions.all(module, ...DEFINITION_KINDS)) {
+      reopenCalls.run(`${module}.${def.name}/${def.arity}`, `${def.name}/${def.arity}`);
+    }
+    reopenFrom.run(module);
+    reopenUsers.run(`use ${module}`);
+  }
+}
+
+/**
+ * Qualify a raw MFA relative to the calling module
+ * @param {string} raw - MFA as emitted by the exporter
+ * @param {string} srcModule - Module of the calling function
+ * @param {{aliases: Map, imports: Array}} scope - Aliases/imports of srcModule
+ * @param {{has: Function}} defs - Known definitions keyed by fully-qualified MFA
+ * @returns {string} Fully-qualified MFA, or raw when it cannot be qualified
+ */
+function qualifyMfa(raw, srcModule, scope, defs) {
+  const mfa = parseMfa(raw);
+  if (!mfa || mfa.arity === null) return raw;
+
+  if (!mfa.module) {
+    // Local call: own module first, then imported modules in declaration order
+    const candidates = [srcModule, ...scope.imports];
+    for (const module of candidates) {
+      const key = `${module}.${mfa.name}/${mfa.arity}`;
+      if (defs.has(key)) return key;
+    }
+    return raw;
+  }
+
+  const [head, ...rest] = mfa.module.split('.');
+  let module = mfa.module;
+  if (head === '__MODULE__') {
+    module = [srcModule, ...rest].join('.');
+  } else if (scope.aliases.has(head)) {
+    module = [scope.aliases.get(head), ...rest].join('.');
+  }
+  return `${module}.${mfa.name}/${mfa.arity}`;
+}
+
+/**
+ * Resolve pending edges: new ones and those whose target was purged (resolved = 0).
+ * Must run after all functions and module_directives for the batch are written.
+ * @param {Database} db - better-sqlite3 connection
+ * @param {Object} [opts]
+ * @param {Iterable<string>} [opts.modules] - Modules an incremental batch wrote or purged;
+ *   edges it may have changed are retried (see reopenEdges)
+ * @returns {{checked: number, resolved: number}}
+ */
+function resolveEdges(db, opts = {}) {
+  if (opts.modules) reopenEdges(db, opts.modules);
+  const scopeOf = createScopes(db);
+  const defs = createDefinitions(db);
+
+  const pending = db.prepare(`
+    SELECT e.rowid AS rowid, e.raw_mfa, e.kind, s.module
+    FROM edges e
+    JOIN functions s ON s.id = e.src_id
+    WHERE e.resolved = ${PENDING}
+  `).all();
+
+  // OR REPLACE: two raw spellings of the same call collapse into one edge
+  const update = db.prepare('UPDATE OR REPLACE edges SET dst_mfa = ?, dst_id = ?, resolved = ? WHERE rowid = ?');
+
+  let resolved = 0;
+  for (const edge of pending) {
+    let scope = scopeOf(edge.module);
+    if (edge.kind === 'component') scope = componentScope(scope, scopeOf);
+    const qualified = qualifyMfa(edge.raw_mfa, edge.module, scope, defs);
+    const dstId = defs.get(qualified) || null;
+    if (dstId) resolved++;
+    update.run(qualified, dstId, dstId ? LINKED : UNRESOLVED, edge.rowid);
+  }
+
+  return { checked: pending.length, resolved };
+}
+
+module.exports = { resolveEdges, qualifyMfa };
@@ -3,15 +3,17 @@
 const { spawn } = require('child_process');
 const path = require('path');
 const rgPath = require('@vscode/ripgrep').rgPath;
+const { normalizePath, appForPath } = require('./paths');
 
 /**
  * Fallback search using ripgrep for full-text code search
  * @param {string} query - Search query
  * @param {string} rootPath - Project root path
  * @param {number} limit - Max results to return
+ * @param {Object} opts - { timeoutMs } kills ripgrep and rejects after this long
  * @returns {Promise<Array>} Array of search results
  */
-function ripgrepSearch(query, rootPath, limit = 10) {
+function ripgrepSearch(query, rootPath, limit = 10, opts = {}) {
   return new Promise((resolve, reject) => {
     const args = [
       '--json',
@@ -25,6 +27,17 @@ function ripgrepSearch(query, rootPath, limit = 10) {
     const rg = spawn(rgPath, args);
     let output = '';
     let errorOutput = '';
+    let timedOut = false;
+
+    const timer = opts.timeoutMs ? setTimeout(() => {
+      timedOut = true;
+      rg.kill();
+    }, opts.timeoutMs) : null;
+
+    rg.on('error', (err) => {
+      clearTimeout(timer);
+      reject(new Error(`ripgrep failed to start: ${err.message}`));
+    });
 
     rg.stdout.on('data', (data) => {
       output += data.toString();
@@ -35,6 +48,12 @@ function ripgrepSearch(query, rootPath, limit = 10) {
     });
 
     rg.on('close', (code) => {
+      clearTimeout(timer);
+      if (timedOut) {
+        reject(new Error(`ripgrep timed out after ${opts.timeoutMs}ms`));
+        return;
+      }
+
       // ripgrep returns 0 for matches found, 1 for no matches, 2+ for errors
       if (code === 1) {
         resolve([]);
@@ -47,7 +66,7 @@ function ripgrepSearch(query, rootPath, limit = 10) {
       }
 
       try {
-        const results = parseRipgrepOutput(output, limit);
+        const results = parseRipgrepOutput(output, limit, rootPath);
         resolve(results);
       } catch (err) {
         reject(err);
@@ -57,9 +76,9 @@ function ripgrepSearch(query, rootPath, limit = 10) {
 }
 
 /**
- * Parse ripgrep JSON output into structured results
+ * Parse ripgrep JSON output into structured results (paths relative to rootPath, like indexed rows)
  */
-function parseRipgrepOutput(output, limit) {
+function parseRipgrepOutput(output, limit, rootPath) {
   const lines = output.trim().split('\n').filter(Boolean);
   const matches = [];
 
@@ -69,8 +88,10 @@ function parseRipgrepOutput(output, limit) {
 
       if (json.type === 'match') {
         const match = json.data;
+        const filePath = normalizePath(rootPath, match.path.text);
         matches.push({
-          path: match.path.text,
+          path: filePath,
+          app: appForPath(filePath),
           line_number: match.line_number,
           line_text: match.lines.text.trim(),
           score: calculateRelevanceScore(match),
@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+
+// Route listing and URL resolution over the routes table (see parse-router.js)
+
+const DEFAULT_LIMIT = 500;
+
+function toRoute(row) {
+  return {
+    verb: row.verb,
+    route: row.route,
+    handler: row.handler,
+    action: row.action,
+    type: row.type,
+    pipelines: JSON.parse(row.pipelines || '[]'),
+    router: row.router,
+    source: { path: row.path, line: row.line }
+  };
+}
+
+// Routes in definition order: Phoenix dispatches to the first match
+function allRows(db) {
+  return db.prepare('SELECT * FROM routes ORDER BY router, path, seq').all();
+}
+
+function decode(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (err) {
+    return segment;
+  }
+}
+
+function segments(path) {
+  return path.split('/').filter(Boolean);
+}
+
+/**
+ * Params captured when `url` matches a route pattern, or null
+ * ("/users/:id" + "/users/42" → {id: "42"}; "*rest" captures the remaining segments)
+ */
+function matchPattern(pattern, url) {
+  const want = segments(pattern);
+  const have = segments(url);
+  const params = {};
+  for (let i = 0; i < want.length; i++) {
+    const seg = want[i];
+    if (seg.startsWith('*')) {
+      params[seg.slice(1)] = have.slice(i);
+      return params;
+    }
+    if (i >= have.length) return null;
+    if (seg.startsWith(':')) params[seg.slice(1)] = decode(have[i]);
+    else if (seg !== have[i]) return null;
+  }
+  return want.length === have.length ? params : null;
+}
+
+function verbMatches(routeVerb, verb) {
+  return !verb || routeVerb === '*' || routeVerb === verb.toUpperCase();
+}
+
+/**
+ * Routes, optionally filtered
+ * @param {Database} db - better-sqlite3 connection
+ * @param {Object} [opts]
+ * @param {string} [opts.verb] - Only this verb (routes matching any verb are kept)
+ * @param {string} [opts.filter] - Case-insensitive substring of the path, handler or action
+ * @param {string} [opts.router] - Only this router module
+ * @param {number} [opts.limit=500]
+ */
+function listRoutes(db, opts = {}) {
+  const needle = opts.filter ? opts.filter.toLowerCase() : null;
+  const rows = allRows(db).filter(row =>
+    verbMatches(row.verb, opts.verb) &&
+    (!opts.router || row.router === opts.router) &&
+    (!needle || [row.route, row.handler, row.action || ''].some(v => v.toLowerCase().includes(needle)))
+  );
+  const limit = opts.limit || DEFAULT_LIMIT;
+  return { total: rows.length, routes: rows.slice(0, limit).map(toRoute), truncated: rows.length > limit };
+}
+
+/**
+ * Resolve a URL path to its handler: the first route matching it for each
+ * verb (and router), as Phoenix would dispatch
+ * @param {Database} db - better-sqlite3 connection
+ * @param {string} url - Path, query string and fragment allowed ("/users/42/edit?tab=1")
+ * @param {Object} [opts]
+ * @param {string} [opts.verb] - Only resolve for this verb
+ */
+function resolveUrl(db, url, opts = {}) {
+  const path = url.replace(/[?#].*$/, '').replace(/^[a-z]+:\/\/[^/]+/i, '') || '/';
+  const seen = new Set();
+  const matches = [];
+  for (const row of allRows(db)) {
+    if (!verbMatches(row.verb, opts.verb)) continue;
+    // A matching `match :*` or forward shadows every later route of its router
+    const key = `${row.router}|${row.verb}`;
+    if (seen.has(key) || seen.has(`${row.router}|*`)) continue;
+    const params = matchPattern(row.route, path);
+    if (!params) continue;
+    seen.add(key);
+    matches.push({ ...toRoute(row), params });
+  }
+  return { url, path, matches };
+}
+
+module.exports = { listRoutes, resolveUrl };
@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+
+// Print the Phoenix routes recorded in the index, or resolve a URL path.
+//
+// Usage: node routes.js [<url>] [--db <db_file>] [--verb GET] [--filter users] [--json]
+// Without a url, lists routes like `mix phx.routes` (verb, path, handler,
+// action, pipelines); with one, the route each verb dispatches to and its params.
+
+const Database = require('better-sqlite3');
+const { ensureSchema } = require('./schema');
+const { listRoutes, resolveUrl } = require('./route-table');
+const { resolveDbPath } = require('./utils');
+
+const VALUE_FLAGS = new Set(['--db', '--verb', '--filter']);
+
+function getArg(flag, fallback) {
+  const i = process.argv.indexOf(flag);
+  if (i !== -1 && process.argv[i + 1]) return process.argv[i + 1];
+  return fallback;
+}
+
+const positional = process.argv.slice(2).filter((arg, i, all) => !arg.startsWith('--') && !VALUE_FLAGS.has(all[i - 1]));
+const url = positional[0];
+const verb = getArg('--verb', null);
+const json = process.argv.includes('--json');
+
+const db = new Database(resolveDbPath(), { fileMustExist: true });
+try {
+  ensureSchema(db);
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+
+function printTable(routes) {
+  const rows = routes.map(r => [
+    r.verb,
+    r.route,
+    r.handler,
+    r.action ? `:${r.action}` : '',
+    r.pipelines.join(', '),
+    r.params ? JSON.stringify(r.params) : ''
+  ]);
+  const widths = rows.reduce((w, row) => row.map((cell, i) => Math.max(w[i] || 0, cell.length)), []);
+  for (const row of rows) {
+    console.log(row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd());
+  }
+}
+
+const result = url
+  ? resolveUrl(db, url, { verb })
+  : listRoutes(db, { verb, filter: getArg('--filter', null), limit: Infinity });
+db.close();
+
+if (json) {
+  console.log(JSON.stringify(result, null, 2));
+} else {
+  const routes = url ? result.matches : result.routes;
+  if (routes.length === 0) {
+    console.error(url ? `No route matches ${result.path}` : 'No routes indexed');
+    process.exit(1);
+  }
+  printTable(routes);
+}
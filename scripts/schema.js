@@ -0,0 +1,243 @@
+#!/usr/bin/env node
+
+// ec.sqlite schema, versioning and in-place migrations.
+//
+// The `meta` table records schema_version, exporter_version, project_root and
+// build timestamps. Indexes built before `meta` existed are recognised by their
+// shape and upgraded step by step; indexes from a newer release are refused.
+
+const { FTS_SCHEMA, FTS_COLUMNS, buildFtsRow } = require('./fts');
+const { EMBEDDING_MODEL, EMBEDDING_DIM, embedText, embeddingText, toBlob } = require('./embeddings');
+const { resolveEdges } = require('./resolve-edges');
+const { normalizePath, appForPath } = require('./paths');
+
+const SCHEMA_VERSION = 10;
+
+function tableExists(db, name) {
+  return !!db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?").get(name);
+}
+
+function columnNames(db, table) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+}
+
+const FILES_SCHEMA = 'CREATE TABLE files (path TEXT PRIMARY KEY, size INTEGER, mtime INTEGER, hash TEXT, indexed_at TEXT)';
+
+function createEdgeExtras(db) {
+  db.exec('CREATE TABLE module_directives (module TEXT, kind TEXT, alias TEXT, target TEXT, path TEXT)');
+  db.exec('CREATE INDEX idx_edges_dst_id ON edges(dst_id)');
+  db.exec('CREATE INDEX idx_edges_src ON edges(src_id)');
+  db.exec('CREATE INDEX idx_module_directives_module ON module_directives(module)');
+  db.exec('CREATE INDEX idx_module_directives_path ON module_directives(path)');
+}
+
+function createLiveViewRefs(db) {
+  db.exec('CREATE TABLE liveview_refs (module TEXT, ref TEXT, name TEXT, role TEXT, path TEXT, line INTEGER, detail TEXT)');
+  db.exec('CREATE INDEX idx_liveview_refs_module ON liveview_refs(module)');
+  db.exec('CREATE INDEX idx_liveview_refs_path ON liveview_refs(path)');
+}
+
+function createRoutes(db) {
+  db.exec('CREATE TABLE routes (router TEXT, verb TEXT, route TEXT, handler TEXT, action TEXT, type TEXT, pipelines TEXT, path TEXT, line INTEGER, seq INTEGER)');
+  db.exec('CREATE INDEX idx_routes_handler ON routes(handler)');
+  db.exec('CREATE INDEX idx_routes_path ON routes(path)');
+}
+
+function createEctoSchemas(db) {
+  db.exec('CREATE TABLE ecto_schemas (module TEXT, source TEXT, embedded INTEGER, path TEXT, start_line INTEGER, end_line INTEGER)');
+  db.exec('CREATE TABLE ecto_fields (module TEXT, name TEXT, category TEXT, type TEXT, related TEXT, options TEXT, path TEXT, line INTEGER, seq INTEGER)');
+  db.exec('CREATE INDEX idx_ecto_schemas_module ON ecto_schemas(module)');
+  db.exec('CREATE INDEX idx_ecto_schemas_path ON ecto_schemas(path)');
+  db.exec('CREATE INDEX idx_ecto_fields_module ON ecto_fields(module)');
+  db.exec('CREATE INDEX idx_ecto_fields_related ON ecto_fields(related)');
+  db.exec('CREATE INDEX idx_ecto_fields_path ON ecto_fields(path)');
+}
+
+function populateFts(db) {
+  const insert = db.prepare(`INSERT INTO functions_fts (${FTS_COLUMNS.join(', ')}) VALUES (${FTS_COLUMNS.map(() => '?').join(', ')})`);
+  for (const row of db.prepare('SELECT * FROM functions').all()) {
+    insert.run(...buildFtsRow(row, row.spec, row.doc));
+  }
+}
+
+function populateApps(db) {
+  const meta = readMeta(db);
+  const update = db.prepare('UPDATE functions SET app = ? WHERE path = ?');
+  for (const { path } of db.prepare('SELECT DISTINCT path FROM functions').all()) {
+    update.run(appForPath(normalizePath(meta.project_root, path)), path);
+  }
+}
+
+function populateEmbeddings(db) {
+  const insert = db.prepare('INSERT OR REPLACE INTO embeddings (id, model, dim, vector) VALUES (?, ?, ?, ?)');
+  for (const row of db.prepare('SELECT * FROM functions').all()) {
+    insert.run(row.id, EMBEDDING_MODEL, EMBEDDING_DIM, toBlob(embedText(embeddingText(row, row.spec, row.doc))));
+  }
+}
+
+// Each step upgrades an index at `version - 1` to `version`
+const MIGRATIONS = [
+  {
+    version: 2,
+    description: 'resolved call edges and alias/import directives',
+    up(db) {
+      db.exec('ALTER TABLE edges ADD COLUMN raw_mfa TEXT');
+      db.exec('ALTER TABLE edges ADD COLUMN dst_id TEXT');
+      db.exec('ALTER TABLE edges ADD COLUMN resolved INTEGER DEFAULT 0');
+      db.exec('UPDATE edges SET raw_mfa = dst_mfa');
+      createEdgeExtras(db);
+      // Aliases are only captured by a fresh export; resolve what can be resolved now
+      resolveEdges(db);
+    }
+  },
+  {
+    version: 3,
+    description: 'identifier-aware weighted FTS columns',
+    up(db) {
+      db.exec('DROP TABLE functions_fts');
+      db.exec(FTS_SCHEMA);
+      populateFts(db);
+    }
+  },
+  {
+    version: 4,
+    description: 'semantic embeddings',
+    up(db) {
+      db.exec('CREATE TABLE embeddings (id TEXT PRIMARY KEY, model TEXT, dim INTEGER, vector BLOB)');
+      populateEmbeddings(db);
+    }
+  },
+  {
+    version: 5,
+    description: 'meta table',
+    up(db) {
+      db.exec('CREATE TABLE meta (key TEXT PRIMARY KEY, value TEXT)');
+    }
+  },
+  {
+    version: 6,
+    description: 'source file hashes (the next --changed-only build re-exports every file once)',
+    up(db) {
+      db.exec(FILES_SCHEMA);
+    }
+  },
+  {
+    version: 7,
+    description: 'umbrella app column (run repair to normalize stored paths)',
+    up(db) {
+      db.exec('ALTER TABLE functions ADD COLUMN app TEXT');
+      db.exec('CREATE INDEX idx_functions_app ON functions(app)');
+      populateApps(db);
+    }
+  },
+  {
+    version: 8,
+    description: 'LiveView event/assign references (the next --changed-only build re-exports every file once)',
+    up(db) {
+      createLiveViewRefs(db);
+      // References only come from a fresh export; forget hashes so changed-only builds produce them
+      db.exec('DELETE FROM files');
+    }
+  },
+  {
+    version: 9,
+    description: 'router routes (the next --changed-only build re-exports every file once)',
+    up(db) {
+      createRoutes(db);
+      db.exec('DELETE FROM files');
+    }
+  },
+  {
+    version: 10,
+    description: 'Ecto schema model (the next --changed-only build re-exports every file once)',
+    up(db) {
+      createEctoSchemas(db);
+      db.exec('DELETE FROM files');
+    }
+  }
+];
+
+/**
+ * Create the current schema in an empty database (full rebuilds)
+ */
+function createSchema(db) {
+  db.exec('CREATE TABLE meta (key TEXT PRIMARY KEY, value TEXT)');
+  db.exec('CREATE TABLE functions (id TEXT PRIMARY KEY, module TEXT, name TEXT, arity INTEGER, kind TEXT DEFAULT \'function\', path TEXT, app TEXT, start_line INTEGER, end_line INTEGER, signature TEXT, spec TEXT, doc TEXT, lexical_text TEXT, struct_text TEXT)');
+  // dst_mfa is fully-qualified after resolution; raw_mfa keeps what the exporter emitted
+  db.exec('CREATE TABLE edges (src_id TEXT, dst_mfa TEXT, kind TEXT, raw_mfa TEXT, dst_id TEXT, resolved INTEGER DEFAULT 0, UNIQUE(src_id, dst_mfa, kind))');
+  db.exec('CREATE TABLE embeddings (id TEXT PRIMARY KEY, model TEXT, dim INTEGER, vector BLOB)');
+  db.exec(FILES_SCHEMA);
+  db.exec(FTS_SCHEMA);
+  db.exec('CREATE INDEX idx_functions_module_name_arity ON functions(module, name, arity)');
+  db.exec('CREATE INDEX idx_functions_path ON functions(path)');
+  db.exec('CREATE INDEX idx_functions_kind ON functions(kind)');
+  db.exec('CREATE INDEX idx_functions_app ON functions(app)');
+  db.exec('CREATE INDEX idx_edges_dst ON edges(dst_mfa)');
+  createEdgeExtras(db);
+  createLiveViewRefs(db);
+  createRoutes(db);
+  createEctoSchemas(db);
+  setMeta(db, { schema_version: SCHEMA_VERSION });
+}
+
+/**
+ * Schema version of an open database; 0 means no index at all.
+ * Pre-`meta` indexes are identified by which tables/columns they have.
+ */
+function detectVersion(db) {
+  if (tableExists(db, 'meta')) {
+    const row = db.prepare("SELECT value FROM meta WHERE key = 'schema_version'").get();
+    return row ? parseInt(row.value, 10) : 0;
+  }
+  if (!tableExists(db, 'functions')) return 0;
+  if (!columnNames(db, 'edges').includes('dst_id')) return 1;
+  if (!columnNames(db, 'functions_fts').includes('name_parts')) return 2;
+  if (!tableExists(db, 'embeddings')) return 3;
+  return 4;
+}
+
+/**
+ * Check the schema and upgrade old indexes in place.
+ * @param {Database} db - better-sqlite3 connection (writable)
+ * @returns {{version: number, from: number, migrated: Array<string>}}
+ * @throws When there is no index, or it was built by a newer release
+ */
+function ensureSchema(db) {
+  const from = detectVersion(db);
+  if (from === 0) {
+    throw new Error('Index schema missing. Run a full rebuild first (elixir-context build, or ingest without --incremental).');
+  }
+  if (from > SCHEMA_VERSION) {
+    throw new Error(`Index schema v${from} is newer than this elixir-context supports (v${SCHEMA_VERSION}). Upgrade elixir-context or rebuild the index.`);
+  }
+  if (from === SCHEMA_VERSION) return { version: from, from, migrated: [] };
+
+  const pending = MIGRATIONS.filter(m => m.version > from);
+  db.transaction(() => {
+    for (const migration of pending) migration.up(db);
+    setMeta(db, { schema_version: SCHEMA_VERSION, migrated_at: new Date().toISOString() });
+  })();
+  return { version: SCHEMA_VERSION, from, migrated: pending.map(m => `v${m.version}: ${m.description}`) };
+}
+
+/**
+ * Upsert meta keys (values stored as strings; null/undefined skipped)
+ */
+function setMeta(db, values) {
+  const upsert = db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value');
+  for (const [key, value] of Object.entries(values)) {
+    if (value !== undefined && value !== null) upsert.run(key, String(value));
+  }
+}
+
+/**
+ * All meta keys as an object ({} when the table is missing)
+ */
+function readMeta(db) {
+  if (!tableExists(db, 'meta')) return {};
+  const meta = {};
+  for (const { key, value } of db.prepare('SELECT key, value FROM meta').all()) meta[key] = value;
+  return meta;
+}
+
+module.exports = { SCHEMA_VERSION, createSchema, ensureSchema, detectVersion, setMeta, readMeta };
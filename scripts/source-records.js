@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+
+// Records the JS side adds to every export, whichever exporter produced it:
+// templates (parse-heex.js), LiveView event/assign references in code
+// (parse-liveview.js), router routes (parse-router.js) and Ecto schemas
+// (parse-ecto.js).
+
+const fs = require('fs');
+const path = require('path');
+const { templateRecords } = require('./parse-heex');
+const { parseLiveViewRefs } = require('./parse-liveview');
+const { parseRoutes } = require('./parse-router');
+const { parseEctoSchemas } = require('./parse-ecto');
+
+/**
+ * Records for project files read from disk; unreadable (e.g. just deleted) files are skipped
+ * @param {string} projectRoot
+ * @param {Array<string>} files - Project-relative paths, also used as the records' paths
+ * @returns {Array} JSONL records in the shape described in records.js
+ */
+function readSourceRecords(projectRoot, files) {
+  const records = [];
+  for (const file of files) {
+    if (!file.endsWith('.heex') && !file.endsWith('.ex')) continue;
+    let content;
+    try {
+      content = fs.readFileSync(path.join(projectRoot, file), 'utf8');
+    } catch (err) {
+      continue;
+    }
+    records.push(...templateRecords(file, content, projectRoot));
+    if (file.endsWith('.ex')) {
+      records.push(...parseLiveViewRefs(file, content), ...parseRoutes(file, content), ...parseEctoSchemas(file, content));
+    }
+  }
+  return records;
+}
+
+module.exports = { readSourceRecords };
@@ -18,14 +18,6 @@ if [ ! -f "$INDEX_DIR/ec.sqlite" ]; then
     npm run ec:build
 fi
 
-# Start watcher in background
-echo "Starting file watcher..."
-npm run ec:watch &
-WATCHER_PID=$!
-
-# Start MCP server in foreground
-echo "Starting MCP server..."
-npm run ec:serve
-
-# Cleanup on exit
-trap "kill $WATCHER_PID 2>/dev/null" EXIT
+# Start MCP server in foreground, with the file watcher running inside it
+echo "Starting MCP server with file watcher..."
+npm run ec:serve:watch
@@ -1,7 +1,5 @@
 #!/usr/bin/env node
 
-const path = require('path');
-
 function resolveDbPath(argv = process.argv.slice(2)) {
   const dbFlagIndex = argv.indexOf('--db');
   if (dbFlagIndex !== -1 && argv[dbFlagIndex + 1]) return argv[dbFlagIndex + 1];
@@ -31,17 +29,34 @@ function extractFunctionFromLine(line) {
 function dedupeResults(results) {
   const seen = new Set();
   return results.filter(r => {
-    const key = `${r.path}:${r.start_line}`;
+    // Indexed entries dedupe by id, so a ripgrep hit inside an FTS result collapses into it
+    const key = r.id || `${r.path}:${r.start_line}`;
     if (seen.has(key)) return false;
     seen.add(key);
     return true;
   });
 }
 
+// ingest.js prints its JSON summary as its last stdout line; build.js passes it
+// through followed by its own progress lines, so take the last line that parses
+function parseIngestSummary(stdout) {
+  const lines = String(stdout || '').trim().split('\n').reverse();
+  for (const line of lines) {
+    if (!line.startsWith('{')) continue;
+    try {
+      return JSON.parse(line);
+    } catch (err) {
+      // not JSON after all
+    }
+  }
+  return null;
+}
+
 module.exports = {
   resolveDbPath,
   resolveProjectRoot,
   extractModuleFromPath,
   extractFunctionFromLine,
-  dedupeResults
+  dedupeResults,
+  parseIngestSummary
 };
\ No newline at end of file
@@ -0,0 +1,336 @@
+#!/usr/bin/env node
+
+// File watcher that keeps an index current: debounced incremental rebuilds of
+// changed and deleted .ex/.exs/.heex files, and git catch-up (build.js --since)
+// at startup and whenever HEAD moves.
+//
+// Used by watch.js (standalone process, short-lived connections) and by
+// mcp-stdio.js --watch (in-process, sharing the server's connection).
+
+const chokidar = require('chokidar');
+const { spawn } = require('child_process');
+const Database = require('better-sqlite3');
+const path = require('path');
+const { logger } = require('./logger');
+const { readMeta } = require('./schema');
+const { parseIngestSummary } = require('./utils');
+const { changedPaths, fileRecords } = require('./changes');
+const { gitHead } = require('./git');
+const { normalizePath } = require('./paths');
+const { readSourceRecords } = require('./source-records');
+const { runExport, CHILD_TIMEOUT_MS } = require('./exporter');
+
+const ingestScript = path.resolve(__dirname, 'ingest.js');
+const buildScript = path.resolve(__dirname, 'build.js');
+
+/**
+ * @param {Object} options
+ * @param {string} options.root - Project root
+ * @param {string} options.dbFile - Index file (ingest and build.js children write to it)
+ * @param {string} [options.exporter] - export.exs to run with mix, or "js" (mix failures also fall back to export.js)
+ * @param {number} [options.debounceMs=5000]
+ * @param {Function} [options.withDb] - `fn => fn(db)`; defaults to a short-lived connection per call
+ * @param {Function} [options.onRebuild] - Called with {ok, kind, files, summary, error, duration_ms}
+ *   after each rebuild or catch-up
+ * @param {Function} [options.runRefresh] - `request => Promise<result>` for {mode: 'incremental', paths}
+ *   and {mode: 'since', since} requests; defaults to exporting and ingesting in child processes
+ * @returns {{start: Function, close: Function, state: Function}}
+ */
+function createWatcher(options) {
+  const root = options.root;
+  const dbFile = options.dbFile;
+  const exporter = options.exporter || path.resolve(__dirname, 'export.exs');
+  const debounceMs = options.debounceMs || 5000;
+  const onRebuild = options.onRebuild || (() => {});
+  // Standalone the watcher exports and ingests itself; the MCP server passes its
+  // refresh queue so watcher rebuilds never run alongside its own refreshes
+  const runRefresh = options.runRefresh || refreshLocally;
+  const withDb = options.withDb || ((fn) => {
+    const db = new Database(dbFile);
+    db.pragma('busy_timeout = 5000');
+    try {
+      return fn(db);
+    } finally {
+      db.close();
+    }
+  });
+
+  let watcher = null;
+  let indexedHead = null; // Commit the index was last fully synced with (meta.git_head)
+
+  // Batch: collect changed files, flush after debounce window
+  let pendingFiles = new Set();
+  let debounceTimer = null;
+  let rebuildInProgress = false;
+  let pendingWhileRebuilding = new Set();
+  let lastRebuild = null;
+  let lastError = null;
+
+  function finish(kind, started, files, result) {
+    const event = { ok: !result.error, kind, files: files.length, duration_ms: Date.now() - started, ...result };
+    const at = new Date().toISOString();
+    if (event.ok) lastRebuild = { at, ...event };
+    else lastError = { at, kind, message: event.error };
+    onRebuild(event);
+  }
+
+  function onFileChange(filePath) {
+    // Project-relative, as stored in the index and as the exporter is run from root
+    const relPath = normalizePath(root, filePath);
+
+    if (rebuildInProgress) {
+      // Queue for next batch — don't lose changes that arrive during rebuild
+      pendingWhileRebuilding.add(relPath);
+      return;
+    }
+
+    pendingFiles.add(relPath);
+
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(flushBatch, debounceMs);
+  }
+
+  /**
+   * Export the given files and ingest them incrementally, with their file
+   * records and template entries (.heex files, ~H sigils in .ex files)
+   * @returns {Promise<{summary: Object}>}
+   */
+  async function rebuildFiles(files) {
+    // Taken before exporting; the ingest purges every file of the batch (saved
+    // files may no longer define anything, deleted ones are gone) and stores
+    // these hashes in the same transaction
+    const records = fileRecords(root, files);
+    const existing = records.filter(r => !r.deleted).map(r => r.path);
+    const elixirFiles = existing.filter(f => !f.endsWith('.heex'));
+
+    // Export only changed files — uses spawn (no shell injection risk)
+    let jsonl = '';
+    if (elixirFiles.length > 0) {
+      let stderr = '';
+      try {
+        jsonl = (await runExport({ exporter, root, args: ['--files', '--quiet', ...elixirFiles], onStderr: (chunk) => { stderr += chunk; } })).stdout;
+      } catch (err) {
+        logger.error('Export failed', { err: err.message, stderr: stderr.slice(-500) });
+        throw err;
+      }
+    }
+
+    const extra = readSourceRecords(root, existing);
+    const input = [...records, ...extra].map(r => JSON.stringify(r) + '\n').join('') + jsonl;
+    const summary = await ingest(input);
+    logger.info('Incremental rebuild complete', { summary, source_records: extra.length });
+    return { summary };
+  }
+
+  // Incremental ingest of JSONL — uses spawn (no shell)
+  function ingest(input) {
+    return new Promise((resolve, reject) => {
+      const ingestProcess = spawn('node', [ingestScript, '-', dbFile, '--incremental', '--root', root], {
+        cwd: __dirname,
+        stdio: ['pipe', 'pipe', 'pipe']
+      });
+
+      let ingestOut = '';
+      let ingestErr = '';
+      ingestProcess.stdout.on('data', (d) => { ingestOut += d.toString(); });
+      ingestProcess.stderr.on('data', (d) => { ingestErr += d.toString(); });
+      let timedOut = false;
+      const timer = setTimeout(() => {
+        timedOut = true;
+        ingestProcess.kill();
+      }, CHILD_TIMEOUT_MS);
+
+      ingestProcess.stdin.write(input);
+      ingestProcess.stdin.end();
+
+      ingestProcess.on('exit', (ingestCode) => {
+        clearTimeout(timer);
+        const summary = parseIngestSummary(ingestOut);
+        if (timedOut) {
+          logger.error('Incremental ingest killed', { timeout_ms: CHILD_TIMEOUT_MS });
+          reject(new Error(`ingest timed out after ${CHILD_TIMEOUT_MS}ms`));
+        } else if (ingestCode !== 0) {
+          logger.error('Incremental ingest failed', { ingestCode, stderr: ingestErr.slice(0, 500) });
+          reject(new Error((summary && summary.error) || `ingest exited with code ${ingestCode}`));
+        } else {
+          resolve(summary);
+        }
+      });
+    });
+  }
+
+  /**
+   * build.js --since in a child process
+   * @returns {Promise<{output: string[]}>} Last lines of its output
+   */
+  function buildSince(since) {
+    return new Promise((resolve, reject) => {
+      const buildArgs = [buildScript, '--project', root, '--data', path.dirname(dbFile), '--db', dbFile, '--exporter', exporter, '--since', since];
+      const buildProcess = spawn('node', buildArgs, { stdio: ['ignore', 'pipe', 'pipe'] });
+      let buildOut = '';
+      let buildErr = '';
+      buildProcess.stdout.on('data', (d) => { buildOut += d.toString(); });
+      buildProcess.stderr.on('data', (d) => { buildErr += d.toString(); });
+      // build.js bounds its own export and ingest
+      let timedOut = false;
+      const timer = setTimeout(() => {
+        timedOut = true;
+        buildProcess.kill();
+      }, 2 * CHILD_TIMEOUT_MS);
+
+      buildProcess.on('exit', (code) => {
+        clearTimeout(timer);
+        if (timedOut) {
+          logger.error('build --since killed', { timeout_ms: 2 * CHILD_TIMEOUT_MS });
+          reject(new Error(`build --since timed out after ${2 * CHILD_TIMEOUT_MS}ms`));
+        } else if (code !== 0) {
+          logger.error('build --since failed', { code, stderr: buildErr.slice(0, 500) });
+          reject(new Error(`build --since exited with code ${code}`));
+        } else {
+          resolve({ output: buildOut.trim().split('\n').slice(-3) });
+        }
+      });
+    });
+  }
+
+  function refreshLocally(request) {
+    return request.mode === 'since' ? buildSince(request.since) : rebuildFiles(request.paths);
+  }
+
+  /**
+   * Apply what git reports between indexedHead and the working tree (build.js --since):
+   * covers edits made while the watcher was down and branch switches in one pass
+   */
+  function catchUpFromGit(reason) {
+    rebuildInProgress = true;
+    const started = Date.now();
+    logger.info('Git catch-up', { reason, since: indexedHead });
+
+    runRefresh({ mode: 'since', since: indexedHead })
+      .then((result) => {
+        try {
+          indexedHead = withDb(db => readMeta(db).git_head) || indexedHead;
+        } catch (err) {
+          logger.warn('Failed to read index meta', { err: err.message });
+        }
+        logger.info('Git catch-up complete', { head: indexedHead });
+        finish('catch_up', started, [], { ...result, reason, head: indexedHead });
+      })
+      .catch((err) => {
+        logger.error('Git catch-up failed', { err: err.message });
+        finish('catch_up', started, [], { reason, error: err.message });
+      })
+      .finally(() => {
+        rebuildInProgress = false;
+        drainPendingQueue();
+      });
+  }
+
+  function flushBatch() {
+    if (pendingFiles.size === 0) return;
+
+    // HEAD moved (checkout, pull, rebase): the batch is whatever subset chokidar
+    // reported so far, git knows the full set
+    const head = gitHead(root);
+    if (head && indexedHead && head !== indexedHead) {
+      pendingFiles = new Set();
+      catchUpFromGit('HEAD moved');
+      return;
+    }
+
+    const batch = [...pendingFiles];
+    pendingFiles = new Set();
+
+    // Saves and checkouts often rewrite files without changing them
+    let files = batch;
+    try {
+      files = withDb(db => changedPaths(db, root, batch));
+    } catch (err) {
+      logger.warn('Change detection failed, re-exporting all files in batch', { err: err.message });
+    }
+    if (files.length === 0) {
+      logger.info('No content changes, skipping rebuild', { files: batch });
+      drainPendingQueue();
+      return;
+    }
+    rebuildInProgress = true;
+    const started = Date.now();
+
+    logger.info(`Incremental rebuild: ${files.length} file(s)`, { files });
+
+    runRefresh({ mode: 'incremental', paths: files })
+      .then((result) => finish('incremental', started, files, { ...result, files: files.length }))
+      .catch((err) => finish('incremental', started, files, { error: err.message }))
+      .finally(() => {
+        rebuildInProgress = false;
+        drainPendingQueue();
+      });
+  }
+
+  function drainPendingQueue() {
+    // If files arrived during rebuild, schedule them
+    if (pendingWhileRebuilding.size > 0) {
+      for (const f of pendingWhileRebuilding) {
+        pendingFiles.add(f);
+      }
+      pendingWhileRebuilding = new Set();
+      debounceTimer = setTimeout(flushBatch, debounceMs);
+    }
+  }
+
+  function onFileDelete(filePath) {
+    // Deleted files go through the next batch: their `file` record purges them
+    logger.info('File deleted, queued for purge', { file: filePath });
+    onFileChange(filePath);
+  }
+
+  function start() {
+    try {
+      indexedHead = withDb(db => readMeta(db).git_head) || null;
+    } catch (err) {
+      logger.warn('Failed to read index meta', { err: err.message });
+    }
+
+    watcher = chokidar.watch(['**/*.ex', '**/*.exs', '**/*.heex'], {
+      cwd: root,
+      ignoreInitial: true,
+      ignored: ['**/deps/**', '**/_build/**', '**/node_modules/**', '**/.git/**', '**/.worktrees/**'],
+      awaitWriteFinish: { stabilityThreshold: 500, pollInterval: 100 }
+    });
+
+    // Pick up edits and checkouts made while no watcher was running
+    if (indexedHead && gitHead(root)) {
+      catchUpFromGit('startup');
+    } else {
+      logger.info('Git catch-up disabled: no recorded HEAD (not a git work tree, or index built before git tracking)');
+    }
+
+    watcher.on('change', onFileChange);
+    watcher.on('add', onFileChange);
+    watcher.on('unlink', onFileDelete);
+    watcher.on('ready', () => logger.info('Watcher ready', { root }));
+  }
+
+  function close() {
+    clearTimeout(debounceTimer);
+    if (watcher) watcher.close();
+    watcher = null;
+  }
+
+  function state() {
+    return {
+      running: !!watcher,
+      root,
+      debounce_ms: debounceMs,
+      rebuild_in_progress: rebuildInProgress,
+      pending_files: [...new Set([...pendingFiles, ...pendingWhileRebuilding])],
+      indexed_head: indexedHead,
+      last_rebuild: lastRebuild,
+      last_error: lastError
+    };
+  }
+
+  return { start, close, state };
+}
+
+module.exports = { createWatcher };
@@ -0,0 +1,94 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { parseElixirSource } from '../scripts/parse-elixir.js';
+import { resolveEdges } from '../scripts/resolve-edges.js';
+import { createCallGraph, parseMfa } from '../scripts/callgraph.js';
+import { createIndex, insertRecords, fn } from './helpers/index-db.js';
+
+const MATH = 'lib/demo/math.ex';
+const GRAPH = 'lib/demo/graph.ex';
+
+// a → b → c → a is a cycle; b also calls the ||| operator and Enum; fan calls five leaves
+const graphRecords = [
+  fn('Demo.Graph', 'a', 1, GRAPH, { calls: ['b/1'] }),
+  fn('Demo.Graph', 'b', 1, GRAPH, { calls: ['c/1', 'Demo.Math.|||/2', 'Enum.reverse/1'] }),
+  fn('Demo.Graph', 'c', 1, GRAPH, { calls: ['a/1', 'Demo.Math.double/1'] }),
+  fn('Demo.Graph', 'fan', 0, GRAPH, { calls: ['l1/0', 'l2/0', 'l3/0', 'l4/0', 'l5/0'] }),
+  ...[1, 2, 3, 4, 5].map(n => fn('Demo.Graph', `l${n}`, 0, GRAPH))
+];
+
+let graph;
+
+beforeAll(() => {
+  const db = createIndex();
+  insertRecords(db, parseElixirSource(MATH, fs.readFileSync(path.join(__dirname, 'fixtures/demo', MATH), 'utf8')));
+  insertRecords(db, graphRecords);
+  resolveEdges(db);
+  graph = createCallGraph(db);
+});
+
+const mfas = (nodes) => nodes.map(n => `${n.mfa}@${n.depth}`);
+
+describe('parseMfa', () => {
+  it('splits module, name and arity', () => {
+    expect(parseMfa('MyApp.Accounts.update_user/2')).toEqual({ module: 'MyApp.Accounts', name: 'update_user', arity: 2 });
+    expect(parseMfa('get_user!/1')).toEqual({ module: null, name: 'get_user!', arity: 1 });
+    expect(parseMfa('Accounts.get')).toEqual({ module: 'Accounts', name: 'get', arity: null });
+    expect(parseMfa('Demo.Accounts')).toBeNull();
+  });
+
+  it('accepts the operator names parse-elixir indexes defs under', () => {
+    expect(parseMfa('Demo.Math.|||/2')).toEqual({ module: 'Demo.Math', name: '|||', arity: 2 });
+    expect(parseMfa('Demo.Math.<~>')).toEqual({ module: 'Demo.Math', name: '<~>', arity: null });
+    expect(parseMfa('Kernel.//2')).toEqual({ module: 'Kernel', name: '/', arity: 2 });
+    expect(parseMfa('Range.../2')).toEqual({ module: 'Range', name: '..', arity: 2 });
+    expect(parseMfa('Demo.Math.a-b/2')).toBeNull();
+  });
+});
+
+describe('createCallGraph', () => {
+  it('resolves operator definitions by MFA', () => {
+    expect(graph.resolve('Demo.Math.|||/2').map(r => r.name)).toEqual(['|||']);
+    expect(graph.callers('Math.|||/2').callers.map(n => n.mfa)).toEqual(['Demo.Graph.b/1']);
+  });
+
+  it('reports an unknown reference', () => {
+    expect(() => graph.callers('Demo.Graph.nope/0')).toThrow('No function found for: Demo.Graph.nope/0');
+  });
+
+  it('stops at the requested depth', () => {
+    expect(mfas(graph.callees('Demo.Graph.a/1').callees)).toEqual(['Demo.Graph.b/1@1']);
+    expect(mfas(graph.callees('Demo.Graph.a/1', { depth: 2 }).callees)).toEqual([
+      'Demo.Graph.b/1@1', 'Demo.Graph.c/1@2', 'Demo.Math.|||/2@2'
+    ]);
+    expect(graph.callees('Demo.Graph.a/1', { depth: 99 }).depth).toBe(10);
+  });
+
+  it('visits each node of a cycle once, at its shallowest depth', () => {
+    const { callees } = graph.callees('Demo.Graph.a/1', { depth: 5 });
+    expect(mfas(callees)).toEqual(['Demo.Graph.b/1@1', 'Demo.Graph.c/1@2', 'Demo.Math.|||/2@2', 'Demo.Math.double/1@3']);
+    expect(mfas(graph.callers('Demo.Graph.a/1', { depth: 5 }).callers)).toEqual(['Demo.Graph.c/1@1', 'Demo.Graph.b/1@2']);
+  });
+
+  it('lists unresolved callees without expanding them', () => {
+    const { unresolved } = graph.callees('Demo.Graph.a/1', { depth: 3 });
+    expect(unresolved.map(u => [u.mfa, u.depth])).toEqual([['Enum.reverse/1', 2], ['Kernel.max/2', 3]]);
+  });
+
+  it('truncates at the limit', () => {
+    const capped = graph.callees('Demo.Graph.fan/0', { limit: 3 });
+    expect(capped.callees.map(n => n.name)).toEqual(['l1', 'l2', 'l3']);
+    expect(capped.truncated).toBe(true);
+    expect(graph.callees('Demo.Graph.fan/0', { limit: 5 }).truncated).toBe(false);
+  });
+
+  it('finds call paths without looping around cycles', () => {
+    const { paths, truncated } = graph.callPaths('Demo.Graph.a/1', 'Demo.Math.double/1');
+    expect(paths.map(p => p.nodes.map(n => n.name))).toEqual([['a', 'b', 'c', 'double']]);
+    expect(paths[0].length).toBe(3);
+    expect(truncated).toBe(false);
+    expect(graph.callPaths('Demo.Graph.a/1', 'Demo.Math.double/1', { max_depth: 2 }).paths).toEqual([]);
+    expect(graph.callPaths('Demo.Graph.b/1', 'Demo.Graph.a/1', { limit: 1 })).toMatchObject({ truncated: true });
+  });
+});
@@ -0,0 +1,122 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { isIndexedSource, scanSourceFiles, diffFiles, changedPaths, fileRecords, createFileRecorder } from '../scripts/changes.js';
+import { createIndex } from './helpers/index-db.js';
+
+const FIXTURE = path.join(__dirname, 'fixtures/demo');
+const MATH = 'lib/demo/math.ex';
+const TEMPLATE = 'lib/demo_web/live/counter_live.html.heex';
+
+let root;
+let db;
+
+const write = (file, text) => {
+  fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+  fs.writeFileSync(path.join(root, file), text);
+};
+
+// Record every scanned file in `files`, as a build does
+function recordAll() {
+  const record = createFileRecorder(db);
+  for (const r of fileRecords(root, scanSourceFiles(root).map(f => f.path))) record(r, r.path);
+}
+
+const paths = (entries) => entries.map(e => typeof e === 'string' ? e : e.path).sort();
+
+beforeEach(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'ec-changes-'));
+  fs.cpSync(FIXTURE, root, { recursive: true });
+  db = createIndex();
+});
+
+afterEach(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+describe('isIndexedSource', () => {
+  it('follows the exporter scan patterns', () => {
+    expect(isIndexedSource('lib/demo/math.ex')).toBe(true);
+    expect(isIndexedSource('mix.exs')).toBe(true);
+    expect(isIndexedSource(TEMPLATE)).toBe(true);
+    expect(isIndexedSource('apps/billing/lib/billing.ex')).toBe(true);
+    expect(isIndexedSource('deps/phoenix/lib/phoenix.ex')).toBe(false);
+    expect(isIndexedSource('lib/demo_web/templates/page/index.ex')).toBe(false);
+    expect(isIndexedSource('scripts/seed.exs')).toBe(false);
+    expect(isIndexedSource('lib/demo/readme.md')).toBe(false);
+  });
+});
+
+describe('scanSourceFiles', () => {
+  it('lists indexed sources with size and mtime, skipping dependency trees', () => {
+    write('deps/dep/lib/dep.ex', 'defmodule Dep do\nend\n');
+    write('_build/dev/lib/x.ex', '');
+    const files = scanSourceFiles(root);
+    expect(files.map(f => f.path)).toEqual([
+      'lib/demo_web/live/counter_live.ex', TEMPLATE, 'lib/demo_web/router.ex', 'lib/demo/accounts/user.ex', MATH
+    ]);
+    expect(files[4]).toEqual({ path: MATH, size: fs.statSync(path.join(root, MATH)).size, mtime: expect.any(Number) });
+  });
+});
+
+describe('diffFiles', () => {
+  it('treats everything as added before the first build', () => {
+    const diff = diffFiles(db, root);
+    expect(diff.added).toHaveLength(5);
+    expect(diff.added[0].hash).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  it('sorts files into added, modified, deleted and unchanged', () => {
+    recordAll();
+    write('lib/demo/new.ex', 'defmodule Demo.New do\nend\n');
+    fs.appendFileSync(path.join(root, MATH), '\n# edited\n');
+    fs.rmSync(path.join(root, 'lib/demo_web/router.ex'));
+
+    const diff = diffFiles(db, root);
+    expect(paths(diff.added)).toEqual(['lib/demo/new.ex']);
+    expect(paths(diff.modified)).toEqual([MATH]);
+    expect(diff.deleted).toEqual(['lib/demo_web/router.ex']);
+    expect(paths(diff.unchanged)).toEqual(['lib/demo/accounts/user.ex', 'lib/demo_web/live/counter_live.ex', TEMPLATE]);
+  });
+
+  it('does not count a touch without an edit as a change', () => {
+    recordAll();
+    const later = new Date(Date.now() + 60000);
+    fs.utimesSync(path.join(root, MATH), later, later);
+    const diff = diffFiles(db, root);
+    expect(diff.modified).toEqual([]);
+    expect(paths(diff.unchanged)).toContain(MATH);
+  });
+
+  it('counts files recorded while they were being rewritten as modified', () => {
+    recordAll();
+    db.prepare('UPDATE files SET hash = NULL WHERE path = ?').run(MATH);
+    expect(paths(diffFiles(db, root).modified)).toEqual([MATH]);
+    expect(changedPaths(db, root, [MATH])).toEqual([MATH]);
+  });
+});
+
+describe('changedPaths', () => {
+  it('keeps the given paths whose content differs from the index', () => {
+    recordAll();
+    fs.appendFileSync(path.join(root, TEMPLATE), '<p>new</p>\n');
+    fs.rmSync(path.join(root, 'lib/demo_web/router.ex'));
+    write('lib/demo/new.ex', '');
+    const given = [path.join(root, TEMPLATE), MATH, 'lib/demo_web/router.ex', 'lib/demo/new.ex'];
+    expect(changedPaths(db, root, given)).toEqual([path.join(root, TEMPLATE), 'lib/demo_web/router.ex', 'lib/demo/new.ex']);
+  });
+});
+
+describe('fileRecords', () => {
+  it('snapshots existing files and marks missing ones deleted', () => {
+    const [math, gone] = fileRecords(root, [path.join(root, MATH), 'lib/gone.ex']);
+    expect(math).toMatchObject({ kind: 'file', path: MATH, size: expect.any(Number), hash: expect.stringMatching(/^[0-9a-f]{64}$/) });
+    expect(gone).toEqual({ kind: 'file', path: 'lib/gone.ex', deleted: true });
+
+    const record = createFileRecorder(db);
+    record(math, MATH);
+    record({ kind: 'file', path: MATH, deleted: true }, MATH);
+    expect(db.prepare('SELECT COUNT(*) AS n FROM files').get().n).toBe(0);
+  });
+});
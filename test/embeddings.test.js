@@ -0,0 +1,60 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { EMBEDDING_DIM, embedText, embeddingText, createVectorIndex } from '../scripts/embeddings.js';
+import { createIndex, insertRecords, fn } from './helpers/index-db.js';
+
+const norm = (vec) => Math.sqrt(vec.reduce((sum, x) => sum + x * x, 0));
+
+describe('embedText', () => {
+  it('returns deterministic unit vectors', () => {
+    const vec = embedText('Fetch a user by email');
+    expect(vec).toHaveLength(EMBEDDING_DIM);
+    expect(norm(vec)).toBeCloseTo(1, 5);
+    expect([...embedText('Fetch a user by email')]).toEqual([...vec]);
+  });
+
+  it('returns a zero vector for text without words', () => {
+    expect(norm(embedText(''))).toBe(0);
+    expect(norm(embedText('|| a'))).toBe(0);
+  });
+});
+
+describe('embeddingText', () => {
+  it('weights the name and skips missing parts', () => {
+    expect(embeddingText({ name: 'get_user', module: 'Demo.Accounts', signature: 'get_user(id)' }, null, 'Fetch a user.'))
+      .toBe('get_user get_user Demo.Accounts get_user(id) Fetch a user.');
+  });
+});
+
+describe('createVectorIndex', () => {
+  let index;
+
+  beforeAll(() => {
+    const db = createIndex();
+    insertRecords(db, [
+      fn('Demo.Accounts', 'get_user', 1, 'lib/demo/accounts.ex', { doc: 'Fetch a user by id.' }),
+      fn('Demo.Accounts', 'delete_user', 1, 'lib/demo/accounts.ex', { doc: 'Remove a user account.' }),
+      fn('Demo.Billing', 'charge_card', 2, 'lib/demo/billing.ex', { doc: 'Charge a credit card.' }),
+      fn('Demo.Billing', 'refund', 1, 'lib/demo/billing.ex', { doc: 'Refund a payment.' })
+    ]);
+    // Vectors of another model or size are ignored
+    db.prepare("UPDATE embeddings SET model = 'other' WHERE id = (SELECT id FROM functions WHERE name = 'refund')").run();
+    index = createVectorIndex(db);
+  });
+
+  it('loads vectors of the current model only', () => {
+    expect(index.size).toBe(3);
+  });
+
+  it('ranks rows sharing vocabulary with the query first', () => {
+    const results = index.search('fetch user');
+    expect(results[0]).toMatchObject({ name: 'get_user', module: 'Demo.Accounts', arity: 1 });
+    expect(results[0].similarity).toBeGreaterThan(results[1] ? results[1].similarity : 0);
+    expect(index.search('credit card payment')[0].name).toBe('charge_card');
+  });
+
+  it('applies the filter, limit and similarity floor', () => {
+    expect(index.search('user', { filter: (row) => row.module === 'Demo.Billing' }).map(r => r.name)).not.toContain('get_user');
+    expect(index.search('user', { limit: 1 })).toHaveLength(1);
+    expect(index.search('user', { minSimilarity: 0.99 })).toEqual([]);
+  });
+});
@@ -0,0 +1,105 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { parseFilters, hasFilters, buildFilterClause, matchesFilters } from '../scripts/filters.js';
+import { createIndex, insertRecords, fn } from './helpers/index-db.js';
+
+const ROOT = '/srv/demo';
+
+const records = [
+  fn('Demo.Accounts', 'get_user', 1, 'lib/demo/accounts.ex'),
+  fn('Demo.Accounts', 'do_get', 1, 'lib/demo/accounts.ex', { kind: 'function_private' }),
+  fn('Demo.Accounts', 'defmodule', 0, 'lib/demo/accounts.ex', { kind: 'module' }),
+  fn('Demo.Accounts.User', 'changeset', 2, 'lib/demo/accounts/user.ex'),
+  fn('Demo.AccountsWeb', 'index', 2, 'lib/demo_web/accounts_web.ex'),
+  fn('Demo_X', 'run', 0, 'lib/demo_x.ex', { kind: 'macro' }),
+  fn('DemoAX.Y', 'run', 0, 'lib/demo_ax.ex'),
+  fn('Billing', 'charge', 2, 'apps/billing/lib/billing.ex', { kind: 'macro' }),
+  fn('BillingTest', 'test charge', 1, 'apps/billing/test/billing_test.exs'),
+  fn('DemoTest', 'helper', 1, 'test/support/demo_case.ex', { kind: 'function_private' }),
+  fn('Demo.Legacy', 'old', 0, `${ROOT}/lib/demo/legacy.ex`, { kind: 'macro_private' }),
+  fn('Shared', 'util', 1, '/opt/shared/lib/shared.ex'),
+  fn('Demo.Mix', 'config', 0, 'mix_test.exs')
+];
+
+const CASES = [
+  {},
+  { kinds: 'function,macro' },
+  { kinds: ['module'] },
+  { module_prefix: 'Demo.Accounts' },
+  { module_prefix: 'Demo.Accounts.' },
+  { module_prefix: 'Demo_X' },
+  { path_glob: 'lib/**/*.ex' },
+  { path_glob: 'lib/demo/*.ex' },
+  { path_glob: '**/user.ex' },
+  { path_glob: 'apps/*/lib/**' },
+  { path_glob: 'lib/demo_[aw]*' },
+  { path_glob: 'lib/demo/?ccounts.ex' },
+  { arity: 2 },
+  { arity: '0' },
+  { exclude_tests: true },
+  { visibility: 'public' },
+  { visibility: 'defp' },
+  { module_prefix: 'Demo', exclude_tests: true, visibility: 'private' },
+  { kinds: 'function', path_glob: 'lib/**', arity: 1 }
+];
+
+let db;
+
+beforeAll(() => {
+  db = createIndex();
+  insertRecords(db, records);
+});
+
+function sqlMatches(filters) {
+  const clause = buildFilterClause(filters);
+  return db.prepare(`SELECT f.id FROM functions f WHERE 1${clause.sql} ORDER BY f.id`).all(...clause.params).map(r => r.id);
+}
+
+const names = (ids) => records.filter(r => ids.includes(r.id)).map(r => `${r.module}.${r.name}`);
+
+describe('parseFilters', () => {
+  it('drops empty options and normalizes the rest', () => {
+    expect(parseFilters({ kinds: ' function, ,macro ', module_prefix: 'Demo.', arity: '', path_glob: '' })).toEqual({
+      kinds: ['function', 'macro'], module_prefix: 'Demo'
+    });
+    expect(hasFilters(parseFilters({}))).toBe(false);
+    expect(buildFilterClause({})).toEqual({ sql: '', params: [] });
+  });
+
+  it('rejects invalid arity and visibility', () => {
+    expect(() => parseFilters({ arity: 'two' })).toThrow('Invalid arity: two');
+    expect(() => parseFilters({ visibility: 'protected' })).toThrow('Unknown visibility: protected');
+  });
+});
+
+describe('buildFilterClause and matchesFilters', () => {
+  it.each(CASES.map(params => [JSON.stringify(params), params]))('agree on %s', (_, params) => {
+    const filters = parseFilters(params);
+    const viaSql = sqlMatches(filters);
+    const viaJs = records.filter(r => matchesFilters(r, filters, ROOT)).map(r => r.id).sort();
+    expect(names(viaJs)).toEqual(names(viaSql));
+  });
+
+  it('selects what each filter asks for', () => {
+    expect(names(sqlMatches(parseFilters({ module_prefix: 'Demo.Accounts' })))).toEqual([
+      'Demo.Accounts.get_user', 'Demo.Accounts.do_get', 'Demo.Accounts.defmodule', 'Demo.Accounts.User.changeset'
+    ]);
+    expect(names(sqlMatches(parseFilters({ module_prefix: 'Demo_X' })))).toEqual(['Demo_X.run']);
+    expect(names(sqlMatches(parseFilters({ path_glob: '**/user.ex' })))).toEqual(['Demo.Accounts.User.changeset']);
+    // Relative paths match from the project root; absolute ones (outside it) at any depth
+    expect(names(sqlMatches(parseFilters({ path_glob: 'lib/**/*.ex' })))).not.toContain('Billing.charge');
+    expect(names(sqlMatches(parseFilters({ path_glob: 'lib/**/*.ex' })))).toContain('Shared.util');
+    expect(names(sqlMatches(parseFilters({ exclude_tests: true })))).not.toContain('BillingTest.test charge');
+    expect(names(sqlMatches(parseFilters({ visibility: 'private' })))).toEqual(['Demo.Accounts.do_get', 'DemoTest.helper', 'Demo.Legacy.old']);
+  });
+
+  it('matches absolute paths inside the project from its root', () => {
+    const filters = parseFilters({ path_glob: 'lib/**' });
+    expect(matchesFilters({ path: `${ROOT}/lib/demo/accounts.ex` }, filters, ROOT)).toBe(true);
+    expect(matchesFilters({ path: `${ROOT}/apps/billing/lib/billing.ex` }, filters, ROOT)).toBe(false);
+  });
+
+  it('rejects rows without the filtered field', () => {
+    expect(matchesFilters({ path: 'lib/demo/accounts.ex', module: 'Demo.Accounts' }, parseFilters({ arity: 1 }), ROOT)).toBe(false);
+    expect(matchesFilters({ path: 'lib/demo/accounts.ex' }, parseFilters({ kinds: 'function' }), ROOT)).toBe(false);
+  });
+});
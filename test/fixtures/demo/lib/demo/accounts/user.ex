@@ -0,0 +1,43 @@
+defmodule Demo.Accounts.User do
+  use Ecto.Schema
+  import Ecto.Changeset
+
+  alias Demo.Accounts.{Org, Role}
+  alias Demo.Blog.Post
+
+  @primary_key {:id, :binary_id, autogenerate: true}
+  @foreign_key_type :binary_id
+  @timestamps_opts [type: :utc_datetime]
+
+  schema "users" do
+    field :email, :string
+    field :name
+    field :age, :integer, default: 0
+    field :tags, {:array, :string}
+    field :status, Ecto.Enum, values: [:active, :banned]
+
+    belongs_to :org, Org
+    belongs_to :inviter, __MODULE__, foreign_key: :invited_by_id
+    has_many :posts, Post
+    has_many :comments, through: [:posts, :comments]
+    many_to_many :roles, Role, join_through: "users_roles"
+
+    embeds_one :address, Address, primary_key: false do
+      field :city, :string
+    end
+
+    embeds_many :settings, Demo.Accounts.Setting
+
+    timestamps(updated_at: false)
+  end
+
+  def changeset(user, attrs), do: cast(user, attrs, [:email])
+end
+
+defmodule Demo.Accounts.Setting do
+  use Ecto.Schema
+
+  embedded_schema do
+    field :key, :string
+  end
+end
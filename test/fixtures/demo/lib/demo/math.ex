@@ -0,0 +1,51 @@
+defmodule Demo.Math do
+  @moduledoc """
+  Arithmetic helpers.
+  """
+
+  alias Demo.{Accounts, Repo}
+  alias Demo.Accounts.{User, Org}
+
+  @doc """
+  Adds numbers.
+
+  ## Examples
+
+      iex> Demo.Math.add(1, 2)
+      3
+  """
+  @spec add(number, number) :: number
+  def add(a, b) when is_integer(a) and is_integer(b), do: a + b
+
+  def add(a, b) when is_float(a) or is_float(b) do
+    Float.round(a + b, 2)
+  end
+
+  def add(a, b), do: Repo.sum(a, b)
+
+  def describe(%User{} = user) do
+    ~s"""
+    do not end #{user.name} here
+    """
+    |> String.trim()
+  end
+
+  def owner(id), do: id |> Accounts.get_user!() |> Org.owner()
+
+  def pattern, do: ~r/do|end/
+
+  def a ||| b, do: max(a, b)
+
+  def left <~> right when is_list(left) do
+    left ++ right
+  end
+
+  for name <- [:one, :two] do
+    @doc "Generated."
+    def unquote(name)(), do: unquote(name)
+  end
+
+  def after_generated, do: double(1)
+
+  defp double(x), do: x * 2
+end
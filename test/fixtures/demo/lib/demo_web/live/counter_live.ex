@@ -0,0 +1,19 @@
+defmodule DemoWeb.CounterLive do
+  use DemoWeb, :live_view
+
+  def mount(_params, _session, socket) do
+    {:ok, assign(socket, count: 0, items: [])}
+  end
+
+  def handle_event("inc", _params, socket) do
+    {:noreply, update(socket, :count, &(&1 + 1))}
+  end
+
+  def badge(assigns) do
+    ~H"""
+    <span class="badge" phx-click="reset">
+      <%= @count %>
+    </span>
+    """
+  end
+end
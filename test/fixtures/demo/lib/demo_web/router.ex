@@ -0,0 +1,45 @@
+defmodule DemoWeb.Router do
+  use DemoWeb, :router
+
+  pipeline :browser do
+    plug :accepts, ["html"]
+    get "/not-a-route", NotAController, :index
+  end
+
+  pipeline :api do
+    plug :accepts, ["json"]
+  end
+
+  scope "/", DemoWeb do
+    pipe_through :browser
+
+    get "/", PageController, :home
+
+    live_session :default do
+      live "/counter", CounterLive, :index
+    end
+
+    resources "/users", UserController, only: [:index, :show] do
+      resources "/posts", PostController, except: [:new, :edit, :delete]
+    end
+
+    resources "/profile", ProfileController, singleton: true, only: [:show]
+  end
+
+  scope "/api", DemoWeb.Api, as: :api do
+    pipe_through [:browser, :api]
+
+    scope "/v1" do
+      resources "/orgs", OrgController, param: "slug", only: [:show]
+    end
+
+    match :*, "/ping", HealthController, :ping
+  end
+
+  forward "/jobs", Demo.JobsPlug
+
+  scope "/dev" do
+    pipe_through :browser
+    live_dashboard "/dashboard"
+  end
+end
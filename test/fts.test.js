@@ -0,0 +1,70 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { parseElixirSource } from '../scripts/parse-elixir.js';
+import { FTS_COLUMNS, BM25, identifierParts, buildFtsRow } from '../scripts/fts.js';
+import { compileQuery } from '../scripts/query-parser.js';
+import { createIndex, insertRecords, fn } from './helpers/index-db.js';
+
+const MATH = 'lib/demo/math.ex';
+
+describe('identifierParts', () => {
+  it('splits snake_case, CamelCase and module segments', () => {
+    expect(identifierParts('get_user_by_email')).toEqual(['get_user_by_email', 'get', 'user', 'by', 'email']);
+    expect(identifierParts('MyApp.HTTPClient')).toEqual(['myapp', 'my', 'app', 'httpclient', 'http', 'client']);
+  });
+
+  it('strips ?/! and ignores operators', () => {
+    expect(identifierParts('valid?')).toEqual(['valid']);
+    expect(identifierParts('get_user!')).toEqual(['get_user', 'get', 'user']);
+    expect(identifierParts('|||')).toEqual([]);
+    expect(identifierParts(null)).toEqual([]);
+  });
+});
+
+describe('buildFtsRow', () => {
+  it('fills every column in FTS_COLUMNS order', () => {
+    const row = buildFtsRow(fn('MyApp.Accounts', 'get_user!', 1, 'lib/a.ex', { lexical_text: 'kw' }), 'spec(get_user!(id))', 'Gets a user.');
+    expect(Object.fromEntries(FTS_COLUMNS.map((c, i) => [c, row[i]]))).toMatchObject({
+      name: 'get_user!',
+      name_parts: 'get_user get user',
+      module: 'MyApp.Accounts',
+      module_parts: 'myapp my app accounts',
+      doc: 'Gets a user. spec(get_user!(id))',
+      body: 'kw'
+    });
+  });
+});
+
+describe('functions_fts ranking', () => {
+  let search;
+
+  beforeAll(() => {
+    const db = createIndex();
+    insertRecords(db, parseElixirSource(MATH, fs.readFileSync(path.join(__dirname, 'fixtures/demo', MATH), 'utf8')));
+    insertRecords(db, [
+      fn('Demo.Users', 'get_user_by_email', 1, 'lib/demo/users.ex'),
+      fn('Demo.Users', 'list', 0, 'lib/demo/users.ex', { doc: 'Lists every user, see get_user_by_email.' }),
+      fn('Demo.HTTPClient', 'request', 2, 'lib/demo/http_client.ex')
+    ]);
+    const statement = db.prepare(`
+      SELECT f.module, f.name FROM functions_fts JOIN functions f ON functions_fts.id = f.id
+      WHERE functions_fts MATCH ? ORDER BY ${BM25}
+    `);
+    search = (query) => statement.all(compileQuery(query)).map(r => `${r.module}.${r.name}`);
+  });
+
+  it('matches whole identifiers and their parts', () => {
+    expect(search('get_user_by_email')[0]).toBe('Demo.Users.get_user_by_email');
+    expect(search('email')).toContain('Demo.Users.get_user_by_email');
+    expect(search('client')).toEqual(['Demo.HTTPClient.request']);
+  });
+
+  it('ranks name matches above doc mentions', () => {
+    expect(search('get_user_by_email')).toEqual(['Demo.Users.get_user_by_email', 'Demo.Users.list']);
+  });
+
+  it('finds definitions by their qualified call', () => {
+    expect(search('Math.add')[0]).toBe('Demo.Math.add');
+  });
+});
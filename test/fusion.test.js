@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { fuseRrf, groupRipgrepHits, RRF_K } from '../scripts/fusion.js';
+
+const list = (source, keys) => ({ source, items: keys.map(key => ({ key, row: { id: key }, detail: { score: key } })) });
+
+describe('fuseRrf', () => {
+  it('sums reciprocal ranks across sources', () => {
+    const fused = fuseRrf([list('fts', ['a', 'b', 'c']), list('ripgrep', ['b', 'c'])]);
+    expect(fused.map(r => r.id)).toEqual(['b', 'c', 'a']);
+    expect(fused[0].rrf_score).toBe(Number((1 / (RRF_K + 2) + 1 / (RRF_K + 1)).toFixed(6)));
+    expect(fused[0].source).toBe('fts+ripgrep');
+    expect(fused[2].source).toBe('fts');
+  });
+
+  it('records the rank and detail each source gave', () => {
+    const [b] = fuseRrf([list('fts', ['a', 'b']), list('ripgrep', ['b'])]);
+    expect(b.provenance).toEqual([
+      { source: 'fts', rank: 2, score: 'b' },
+      { source: 'ripgrep', rank: 1, score: 'b' }
+    ]);
+  });
+
+  it('keeps first-seen order for equal scores', () => {
+    expect(fuseRrf([list('fts', ['a', 'b']), list('ripgrep', ['x', 'y'])]).map(r => r.id)).toEqual(['a', 'x', 'b', 'y']);
+    expect(fuseRrf([list('ripgrep', ['x']), list('fts', ['a'])]).map(r => r.id)).toEqual(['x', 'a']);
+  });
+
+  it('handles empty lists', () => {
+    expect(fuseRrf([list('fts', []), list('ripgrep', ['x'])]).map(r => r.source)).toEqual(['ripgrep']);
+    expect(fuseRrf([])).toEqual([]);
+  });
+});
+
+describe('groupRipgrepHits', () => {
+  // add/2 spans lines 10-20 of math.ex; nothing encloses line 3
+  const locator = {
+    enclosing: (file, line) => file === 'lib/math.ex' && line >= 10 && line <= 20 ? { id: 'add' } : null
+  };
+  const hit = (file, line) => ({ path: file, line_number: line });
+
+  it('folds hits inside one function into a group, keeping the first hit', () => {
+    const groups = groupRipgrepHits([hit('lib/math.ex', 12), hit('lib/math.ex', 3), hit('lib/math.ex', 18)], locator);
+    expect(groups.map(g => [g.key, g.lines])).toEqual([['add', [12, 18]], ['lib/math.ex:3', [3]]]);
+    expect(groups[0].hit.line_number).toBe(12);
+    expect(groups[1].row).toBeNull();
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { gitHead, gitChanges } from '../scripts/git.js';
+
+const FIXTURE = path.join(__dirname, 'fixtures/demo');
+
+let root;
+let base;
+
+const git = (...args) => execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], {
+  cwd: root, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe']
+}).trim();
+
+const write = (file, text) => {
+  fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+  fs.writeFileSync(path.join(root, file), text);
+};
+
+beforeEach(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'ec-git-'));
+  fs.cpSync(FIXTURE, root, { recursive: true });
+  write('lib/demo/notes.ex', 'defmodule Demo.Notes do\nend\n');
+  write('.gitignore', 'ignored/\n');
+  git('init', '-q');
+  git('add', '-A');
+  git('commit', '-q', '-m', 'base');
+  base = git('rev-parse', 'HEAD');
+});
+
+afterEach(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+describe('gitHead', () => {
+  it('returns the HEAD commit, or null outside a work tree', () => {
+    expect(gitHead(root)).toBe(base);
+    expect(gitHead(os.tmpdir())).toBeNull();
+  });
+});
+
+describe('gitChanges', () => {
+  it('reports committed and uncommitted changes since a commit', () => {
+    git('mv', 'lib/demo/math.ex', 'lib/demo/calc.ex');
+    git('commit', '-q', '-m', 'rename');
+    fs.rmSync(path.join(root, 'lib/demo_web/router.ex'));
+    fs.appendFileSync(path.join(root, 'lib/demo/accounts/user.ex'), '\n# edited\n');
+    write('lib/demo/new.ex', 'defmodule Demo.New do\nend\n');
+    write('ignored/skip.ex', '');
+    write('deps/dep/lib/dep.ex', '');
+
+    expect(gitChanges(root, base)).toEqual({
+      added: ['lib/demo/new.ex'],
+      modified: ['lib/demo/accounts/user.ex'],
+      deleted: ['lib/demo_web/router.ex'],
+      renamed: [{ from: 'lib/demo/math.ex', to: 'lib/demo/calc.ex' }]
+    });
+  });
+
+  it('turns renames out of or into indexed locations into a delete or an add', () => {
+    fs.mkdirSync(path.join(root, 'docs'));
+    git('mv', 'lib/demo/notes.ex', 'docs/notes.ex');
+    git('commit', '-q', '-m', 'move out');
+    expect(gitChanges(root, base)).toEqual({ added: [], modified: [], deleted: ['lib/demo/notes.ex'], renamed: [] });
+
+    git('mv', 'docs/notes.ex', 'lib/demo/notes2.ex');
+    git('commit', '-q', '-m', 'move back');
+    expect(gitChanges(root, 'HEAD~1')).toEqual({ added: ['lib/demo/notes2.ex'], modified: [], deleted: [], renamed: [] });
+  });
+
+  it('reports paths relative to a project in a subdirectory of the repository', () => {
+    write('backend/lib/app.ex', 'defmodule App do\nend\n');
+    git('add', '-A');
+    git('commit', '-q', '-m', 'backend');
+    fs.appendFileSync(path.join(root, 'backend/lib/app.ex'), '\n');
+    fs.appendFileSync(path.join(root, 'lib/demo_web/router.ex'), '\n');
+    expect(gitChanges(path.join(root, 'backend'), 'HEAD')).toEqual({ added: [], modified: ['lib/app.ex'], deleted: [], renamed: [] });
+  });
+
+  it('rejects refs that are not commits', () => {
+    expect(() => gitChanges(root, 'no-such-branch')).toThrow('Unknown git ref: no-such-branch');
+    expect(() => gitChanges(root, '--output=/tmp/x')).toThrow('Invalid git ref: --output=/tmp/x');
+    expect(() => gitChanges(root, '')).toThrow('Invalid git ref: ');
+  });
+});
@@ -0,0 +1,86 @@
+// In-memory index for tests: the current schema, with records stored the way
+// ingest.js stores them (functions, FTS rows, embeddings, call/component edges, directives)
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import Database from 'better-sqlite3';
+import { createSchema } from '../../scripts/schema.js';
+import { createPurger, scanSourceFiles, fileRecords } from '../../scripts/changes.js';
+import { parseElixirSource } from '../../scripts/parse-elixir.js';
+import { readSourceRecords } from '../../scripts/source-records.js';
+import { FTS_COLUMNS, buildFtsRow } from '../../scripts/fts.js';
+import { EMBEDDING_MODEL, EMBEDDING_DIM, embedText, embeddingText, toBlob } from '../../scripts/embeddings.js';
+
+const INGEST = path.join(__dirname, '../../scripts/ingest.js');
+
+// Same formula as export.exs
+export const recordId = (module, name, arity, file) =>
+  crypto.createHash('sha256').update(`${module}|${name}|${arity}|${file}`).digest('hex');
+
+/**
+ * Function record in the export shape; `calls` are raw MFAs as an exporter emits them
+ */
+export function fn(module, name, arity, file, { calls = [], kind = 'function', ...rest } = {}) {
+  return { id: recordId(module, name, arity, file), module, name, arity, kind, path: file, calls, ...rest };
+}
+
+export function createIndex() {
+  const db = new Database(':memory:');
+  createSchema(db);
+  return db;
+}
+
+export function insertRecords(db, records) {
+  const insertFunction = db.prepare(`
+    INSERT OR REPLACE INTO functions (id, module, name, arity, kind, path, start_line, end_line, signature, spec, doc, lexical_text, struct_text)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  const insertFts = db.prepare(`INSERT INTO functions_fts (${FTS_COLUMNS.join(', ')}) VALUES (${FTS_COLUMNS.map(() => '?').join(', ')})`);
+  const insertEmbedding = db.prepare('INSERT OR REPLACE INTO embeddings (id, model, dim, vector) VALUES (?, ?, ?, ?)');
+  const insertEdge = db.prepare('INSERT OR IGNORE INTO edges (src_id, dst_mfa, raw_mfa, kind) VALUES (?, ?, ?, ?)');
+  const insertDirective = db.prepare('INSERT INTO module_directives (module, kind, alias, target, path) VALUES (?, ?, ?, ?, ?)');
+
+  for (const r of records) {
+    if (!r.id) continue;
+    insertFunction.run(r.id, r.module, r.name, r.arity, r.kind || 'function', r.path, r.start_line || null, r.end_line || null,
+      r.signature || null, r.spec || null, r.doc || null, r.lexical_text || null, r.struct_text || null);
+    insertFts.run(...buildFtsRow(r, r.spec || null, r.doc || null));
+    insertEmbedding.run(r.id, EMBEDDING_MODEL, EMBEDDING_DIM, toBlob(embedText(embeddingText(r, r.spec || null, r.doc || null))));
+    for (const call of r.calls || []) insertEdge.run(r.id, call, call, 'call');
+    for (const component of r.components || []) insertEdge.run(r.id, component, component, 'component');
+    if ((r.kind === 'alias' || r.kind === 'import') && r.target) {
+      insertDirective.run(r.module, r.kind, r.as || null, r.target, r.path);
+    }
+  }
+}
+
+/**
+ * Drop a file's rows the way an incremental ingest does before re-inserting it
+ */
+export function purgeFile(db, file) {
+  createPurger(db)(file);
+}
+
+export const edgeStates = (db) =>
+  db.prepare('SELECT raw_mfa, dst_mfa, resolved FROM edges ORDER BY raw_mfa').all()
+    .map(e => `${e.raw_mfa} -> ${e.dst_mfa} (${e.resolved})`);
+
+/**
+ * Full ingest of a project copy into dbFile, with what export.js and the JS
+ * parsers produce for it (no mix needed); returns the ingest summary
+ */
+export function ingestProject(root, dbFile) {
+  const files = scanSourceFiles(root).map(f => f.path);
+  const records = [
+    ...fileRecords(root, files),
+    ...files.filter(f => f.endsWith('.ex')).flatMap(f => parseElixirSource(f, fs.readFileSync(path.join(root, f), 'utf8'))),
+    ...readSourceRecords(root, files)
+  ];
+  const result = spawnSync(process.execPath, [INGEST, '-', dbFile, '--root', root], {
+    input: records.map(r => JSON.stringify(r)).join('\n'), encoding: 'utf8', timeout: 60000
+  });
+  if (result.status !== 0) throw new Error(`ingest failed: ${result.stderr}`);
+  return JSON.parse(result.stdout);
+}
@@ -0,0 +1,99 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import Database from 'better-sqlite3';
+import { parseElixirSource } from '../scripts/parse-elixir.js';
+
+const INGEST = path.join(__dirname, '../scripts/ingest.js');
+const MATH = 'lib/demo/math.ex';
+const records = parseElixirSource(MATH, fs.readFileSync(path.join(__dirname, 'fixtures/demo', MATH), 'utf8'));
+
+let dir;
+let dbFile;
+
+function ingest(lines, ...flags) {
+  const input = path.join(dir, 'export.jsonl');
+  fs.writeFileSync(input, lines.map(l => typeof l === 'string' ? l : JSON.stringify(l)).join('\n') + '\n');
+  return spawnSync(process.execPath, [INGEST, input, dbFile, ...flags], { encoding: 'utf8', timeout: 60000 });
+}
+
+const count = (file) => {
+  const db = new Database(file, { readonly: true });
+  try {
+    return db.prepare("SELECT COUNT(*) AS n FROM functions WHERE kind = 'function'").get().n;
+  } finally {
+    db.close();
+  }
+};
+
+const leftovers = () => fs.readdirSync(dir).filter(f => f.includes('.building-'));
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ec-swap-'));
+  dbFile = path.join(dir, 'ec.sqlite');
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('full ingest', () => {
+  it('builds into a shadow file and renames it into place', () => {
+    const result = ingest(records);
+    expect(result.status).toBe(0);
+    expect(JSON.parse(result.stdout)).toMatchObject({ ok: true, mode: 'full', skipped: 0 });
+    expect(count(dbFile)).toBe(7);
+    expect(leftovers()).toEqual([]);
+  });
+
+  it('leaves the previous index intact when the build fails', () => {
+    ingest(records);
+    const result = ingest([records[4], '{"not json'], '--strict');
+    expect(result.status).toBe(1);
+    expect(JSON.parse(result.stdout)).toMatchObject({ ok: false, error: expect.stringMatching(/^Invalid record on line 2/) });
+    expect(count(dbFile)).toBe(7);
+    expect(leftovers()).toEqual([]);
+  });
+
+  it('does not let a reader replay the old index WAL over the new one', () => {
+    ingest(records);
+    const reader = new Database(dbFile);
+    try {
+      reader.pragma('journal_mode = WAL');
+      // Committed to the WAL only; the swap must checkpoint it into the old file
+      reader.pragma('wal_autocheckpoint = 0');
+      reader.prepare("INSERT INTO functions (id, module, name, arity, kind, path) VALUES ('stale', 'Demo.Stale', 'old', 0, 'function', 'lib/stale.ex')").run();
+
+      expect(ingest(records.slice(4, 6)).status).toBe(0);
+      expect(count(dbFile)).toBe(2);
+      // The old connection still reads the file it opened
+      expect(reader.prepare("SELECT COUNT(*) AS n FROM functions WHERE id = 'stale'").get().n).toBe(1);
+    } finally {
+      reader.close();
+    }
+    expect(count(dbFile)).toBe(2);
+    expect(fs.existsSync(`${dbFile}-wal`) ? fs.statSync(`${dbFile}-wal`).size : 0).toBe(0);
+  });
+
+  it('refuses to swap while another connection holds the old index busy', () => {
+    ingest(records);
+    const reader = new Database(dbFile);
+    try {
+      reader.pragma('journal_mode = WAL');
+      reader.prepare("INSERT INTO meta (key, value) VALUES ('pinned', '1')").run();
+      reader.exec('BEGIN');
+      reader.prepare('SELECT COUNT(*) FROM functions').get();
+
+      const result = ingest(records.slice(4, 6));
+      expect(result.status).toBe(1);
+      expect(result.stderr).toMatch(/Index busy/);
+      expect(leftovers()).toEqual([]);
+      reader.exec('COMMIT');
+    } finally {
+      reader.close();
+    }
+    expect(count(dbFile)).toBe(7);
+  });
+});
@@ -0,0 +1,103 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import Database from 'better-sqlite3';
+import { parseElixirSource } from '../scripts/parse-elixir.js';
+import { validateRecord } from '../scripts/records.js';
+
+const INGEST = path.join(__dirname, '../scripts/ingest.js');
+const MATH = 'lib/demo/math.ex';
+const records = parseElixirSource(MATH, fs.readFileSync(path.join(__dirname, 'fixtures/demo', MATH), 'utf8'));
+const [add] = records.filter(r => r.name === 'add');
+
+describe('validateRecord', () => {
+  it('accepts exporter records', () => {
+    for (const r of records) expect(validateRecord(r)).toEqual([]);
+  });
+
+  it('lists every problem with an entry', () => {
+    expect(validateRecord({ ...add, id: '', arity: -1, calls: ['a/1', 2] })).toEqual([
+      'id must be a non-empty string',
+      'arity must be a non-negative integer',
+      'calls must be an array of strings'
+    ]);
+    expect(validateRecord({ ...add, start_line: 10, end_line: 9 })).toEqual(['end_line is before start_line']);
+    expect(validateRecord({ ...add, signature: 1 })).toEqual(['signature must be a string']);
+    expect(validateRecord([add])).toEqual(['record is not a JSON object']);
+  });
+
+  it('checks the other record kinds by their own fields', () => {
+    expect(validateRecord({ kind: 'liveview_ref', module: 'M', ref: 'event', name: 'save', role: 'set', path: 'a.ex', line: 1 }))
+      .toEqual(['role must be one of binding, handler']);
+    expect(validateRecord({ kind: 'file', path: 'lib/a.ex', deleted: true })).toEqual([]);
+    expect(validateRecord({ kind: 'file', path: 'lib/a.ex', size: -1, mtime: 1 })).toEqual(['size must be a non-negative integer']);
+    expect(validateRecord({ kind: 'route', module: 'R', verb: 'GET', route: '/', handler: 'C', type: 'socket', pipelines: [], path: 'r.ex', line: 1, seq: 0 }))
+      .toEqual(['type must be one of controller, live, forward']);
+  });
+});
+
+describe('ingest.js validation', () => {
+  let dir;
+  let dbFile;
+
+  function ingest(lines, ...flags) {
+    const input = path.join(dir, 'export.jsonl');
+    fs.writeFileSync(input, lines.map(l => typeof l === 'string' ? l : JSON.stringify(l)).join('\n') + '\n');
+    const result = spawnSync(process.execPath, [INGEST, input, dbFile, ...flags], { encoding: 'utf8', timeout: 60000 });
+    return { ...result, summary: JSON.parse(result.stdout) };
+  }
+
+  const names = () => {
+    const db = new Database(dbFile, { readonly: true });
+    try {
+      return db.prepare("SELECT name FROM functions WHERE kind = 'function' ORDER BY name").all().map(r => r.name);
+    } finally {
+      db.close();
+    }
+  };
+
+  const bad = [{ ...add, id: 'bad', name: 'broken', arity: 'two' }, '{"truncated":'];
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ec-ingest-'));
+    dbFile = path.join(dir, 'ec.sqlite');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('skips invalid lines and reports them in the summary', () => {
+    const { status, summary, stderr } = ingest([{ kind: 'meta', exporter_version: '1.2.0' }, add, ...bad, '']);
+    expect(status).toBe(0);
+    expect(summary).toMatchObject({ ok: true, strict: false, lines: 5, inserted: 1, skipped: 2, exporter_version: '1.2.0' });
+    expect(summary.errors).toEqual([
+      { line: 3, error: 'arity must be a non-negative integer' },
+      { line: 4, error: expect.stringMatching(/^malformed JSON/) }
+    ]);
+    expect(stderr).toContain('Skipping line 3: arity must be a non-negative integer');
+    expect(names()).toEqual(['add']);
+  });
+
+  it('with --strict, aborts on the first invalid line and writes nothing', () => {
+    ingest(records);
+    const before = names();
+
+    const { status, summary } = ingest([{ ...add, doc: 'changed' }, ...bad], '--incremental', '--strict');
+    expect(status).toBe(1);
+    expect(summary).toMatchObject({ ok: false, strict: true, error: 'Invalid record on line 2: arity must be a non-negative integer' });
+
+    const db = new Database(dbFile, { readonly: true });
+    expect(db.prepare("SELECT doc FROM functions WHERE name = 'add'").get().doc).toBe(add.doc);
+    db.close();
+    expect(names()).toEqual(before);
+  });
+
+  it('refuses an incremental run without an index', () => {
+    const result = spawnSync(process.execPath, [INGEST, '-', dbFile, '--incremental'], { input: '', encoding: 'utf8', timeout: 60000 });
+    expect(result.status).toBe(1);
+    expect(result.stderr).toMatch(/^Index schema missing/);
+  });
+});
@@ -0,0 +1,142 @@
+import { describe, it, expect } from 'vitest';
+import { createJobQueue, mergeRefreshRequests } from '../scripts/jobs.js';
+
+/**
+ * Stub runner: every run stays in progress until `finish(value)` or
+ * `fail(message)` settles the oldest one; `runs` lists the requests it was given
+ */
+function stubRunner() {
+  const runs = [];
+  const pending = [];
+  const run = (request, onStderr) => {
+    runs.push(request);
+    return new Promise((resolve, reject) => pending.push({ resolve, reject, onStderr }));
+  };
+  const settled = () => new Promise(resolve => setTimeout(resolve, 0));
+  return {
+    run,
+    runs,
+    started: settled,
+    finish: async (value) => {
+      await settled();
+      pending.shift().resolve(value);
+      await settled();
+    },
+    fail: async (message, stderr = '') => {
+      await settled();
+      const job = pending.shift();
+      if (stderr) job.onStderr(stderr);
+      job.reject(new Error(message));
+      await settled();
+    }
+  };
+}
+
+describe('mergeRefreshRequests', () => {
+  it('folds any request into a full or changed_only refresh', () => {
+    expect(mergeRefreshRequests({ mode: 'incremental', paths: ['a.ex'] }, { mode: 'full' })).toEqual({ mode: 'full' });
+    expect(mergeRefreshRequests({ mode: 'full' }, { mode: 'changed_only' })).toEqual({ mode: 'full' });
+    expect(mergeRefreshRequests({ mode: 'since', since: 'main' }, { mode: 'changed_only' })).toEqual({ mode: 'changed_only' });
+  });
+
+  it('unions incremental paths and keeps identical since ranges', () => {
+    expect(mergeRefreshRequests({ mode: 'incremental', paths: ['a.ex', 'b.ex'] }, { mode: 'incremental', paths: ['b.ex', 'c.ex'] }))
+      .toEqual({ mode: 'incremental', paths: ['a.ex', 'b.ex', 'c.ex'] });
+    expect(mergeRefreshRequests({ mode: 'since', since: 'main' }, { mode: 'since', since: 'main' })).toEqual({ mode: 'since', since: 'main' });
+  });
+
+  it('keeps requests that one run cannot serve apart', () => {
+    expect(mergeRefreshRequests({ mode: 'since', since: 'main' }, { mode: 'since', since: 'v1' })).toBeNull();
+    expect(mergeRefreshRequests({ mode: 'incremental', paths: ['a.ex'] }, { mode: 'since', since: 'main' })).toBeNull();
+  });
+});
+
+describe('createJobQueue', () => {
+  it('runs one job at a time', async () => {
+    const runner = stubRunner();
+    const queue = createJobQueue({ run: runner.run, merge: () => null });
+    const first = queue.submit({ mode: 'full' });
+    const second = queue.submit({ mode: 'since', since: 'main' });
+    await runner.started();
+
+    expect(runner.runs).toEqual([{ mode: 'full' }]);
+    expect(queue.list()).toMatchObject({ running: { job_id: first.job.job_id }, queued: [{ job_id: second.job.job_id, status: 'queued' }] });
+
+    await runner.finish({ entries: 3 });
+    expect(runner.runs).toEqual([{ mode: 'full' }, { mode: 'since', since: 'main' }]);
+    expect(queue.get(first.job.job_id)).toMatchObject({ status: 'succeeded', result: { entries: 3 } });
+    expect(queue.get(second.job.job_id).status).toBe('running');
+    await runner.finish();
+    expect(queue.list()).toMatchObject({ running: null, queued: [] });
+  });
+
+  it('merges concurrent requests into the queued job, not the running one', async () => {
+    const runner = stubRunner();
+    const queue = createJobQueue({ run: runner.run, merge: mergeRefreshRequests });
+    const running = queue.submit({ mode: 'incremental', paths: ['a.ex'] });
+    await runner.started();
+    const queued = queue.submit({ mode: 'incremental', paths: ['b.ex'] });
+    const merged = queue.submit({ mode: 'incremental', paths: ['c.ex', 'b.ex'] });
+
+    expect(running.coalesced).toBe(false);
+    expect(queued.coalesced).toBe(false);
+    expect(merged).toMatchObject({ coalesced: true, job: { job_id: queued.job.job_id, merged_requests: 1 } });
+    expect(merged.job.request).toEqual({ mode: 'incremental', paths: ['b.ex', 'c.ex'] });
+
+    await runner.finish();
+    await runner.finish();
+    expect(runner.runs).toEqual([{ mode: 'incremental', paths: ['a.ex'] }, { mode: 'incremental', paths: ['b.ex', 'c.ex'] }]);
+  });
+
+  it('resolves wait with the finished snapshot', async () => {
+    const runner = stubRunner();
+    const queue = createJobQueue({ run: runner.run, merge: () => null });
+    const { job } = queue.submit({ mode: 'full' });
+    const done = queue.wait(job.job_id);
+    await runner.finish({ entries: 1 });
+    expect(await done).toMatchObject({ job_id: job.job_id, status: 'succeeded', result: { entries: 1 } });
+    expect((await done).duration_ms).toBeGreaterThanOrEqual(0);
+  });
+
+  it('resolves wait after its timeout with the job still in progress', async () => {
+    const runner = stubRunner();
+    const queue = createJobQueue({ run: runner.run, merge: () => null });
+    const { job } = queue.submit({ mode: 'full' });
+    expect(await queue.wait(job.job_id, { timeoutMs: 20 })).toMatchObject({ status: 'running', finished_at: null, duration_ms: null });
+
+    // A later wait still sees the job finish
+    const done = queue.wait(job.job_id);
+    await runner.finish();
+    expect((await done).status).toBe('succeeded');
+    await expect(queue.wait('refresh-99')).rejects.toThrow('Unknown job: refresh-99');
+  });
+
+  it('reports failures with their stderr tail and keeps going', async () => {
+    const runner = stubRunner();
+    const queue = createJobQueue({ run: runner.run, merge: () => null });
+    const failing = queue.submit({ mode: 'full' });
+    const next = queue.submit({ mode: 'changed_only' });
+    await runner.started();
+    await runner.fail('export exited with code 1', '** (CompileError) lib/demo/math.ex:3\n');
+
+    expect(queue.get(failing.job.job_id)).toMatchObject({
+      status: 'failed', error: 'export exited with code 1', result: null, stderr_tail: '** (CompileError) lib/demo/math.ex:3\n'
+    });
+    expect(queue.list().recent.map(j => [j.job_id, j.status])).toEqual([[failing.job.job_id, 'failed']]);
+    expect(queue.get(next.job.job_id).status).toBe('running');
+    await runner.finish();
+  });
+
+  it('keeps only the most recent finished jobs', async () => {
+    const runner = stubRunner();
+    const queue = createJobQueue({ run: runner.run, merge: () => null, keep: 2 });
+    const ids = [];
+    for (let n = 0; n < 3; n++) {
+      ids.push(queue.submit({ mode: 'full' }).job.job_id);
+      await runner.started();
+      await runner.finish();
+    }
+    expect(queue.list().recent.map(j => j.job_id)).toEqual([ids[2], ids[1]]);
+    expect(queue.get(ids[0])).toBeNull();
+  });
+});
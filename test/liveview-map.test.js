@@ -0,0 +1,81 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { liveviewMap } from '../scripts/liveview-map.js';
+import { ingestProject } from './helpers/index-db.js';
+
+const FIXTURE = path.join(__dirname, 'fixtures/demo');
+const TEMPLATE = 'lib/demo_web/live/counter_live.html.heex';
+const LIVEVIEW = 'lib/demo_web/live/counter_live.ex';
+
+const at = (file, line, detail = null) => ({ path: file, line, detail });
+
+let dir;
+let db;
+let map;
+
+beforeAll(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'liveview-map-'));
+  const dbFile = path.join(dir, 'index.db');
+  ingestProject(FIXTURE, dbFile);
+  db = new Database(dbFile);
+  map = liveviewMap(db, 'DemoWeb.CounterLive');
+});
+
+afterAll(() => {
+  db.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('liveviewMap', () => {
+  it('lists the module templates, .heex files and ~H sigils alike', () => {
+    expect(map.module).toBe('DemoWeb.CounterLive');
+    expect(map.templates.map(t => [t.path, t.start_line, t.signature])).toEqual([
+      [LIVEVIEW, 13, '~H in badge'],
+      [TEMPLATE, 1, 'template']
+    ]);
+  });
+
+  it('pairs event bindings with their handle_event clauses', () => {
+    expect(map.events).toEqual([
+      { name: 'inc', bindings: [at(TEMPLATE, 5, 'phx-click')], handlers: [at(LIVEVIEW, 8, 'handle_event/3')] },
+      { name: 'reset', bindings: [at(LIVEVIEW, 14, 'phx-click')], handlers: [] },
+      { name: 'save', bindings: [at(TEMPLATE, 17, 'phx-submit')], handlers: [] }
+    ]);
+    expect(map.unhandled_events).toEqual(['reset', 'save']);
+  });
+
+  it('lists where each assign is set and read', () => {
+    expect(map.assigns.find(a => a.name === 'count')).toEqual({
+      name: 'count',
+      set: [at(LIVEVIEW, 5, 'assign'), at(LIVEVIEW, 9, 'update')],
+      read: [at(LIVEVIEW, 15), at(TEMPLATE, 3)]
+    });
+    expect(map.assigns.map(a => a.name)).toEqual(['count', 'form', 'items']);
+    expect(map.unset_assigns).toEqual(['form']);
+  });
+
+  it('finds a module by a unique suffix', () => {
+    expect(liveviewMap(db, 'CounterLive').module).toBe('DemoWeb.CounterLive');
+    // Modules without LiveView references resolve through functions
+    expect(liveviewMap(db, 'Math')).toMatchObject({ module: 'Demo.Math', templates: [], events: [], assigns: [] });
+  });
+
+  it('matches suffixes on whole segments, with LIKE wildcards taken literally', () => {
+    expect(() => liveviewMap(db, 'Live')).toThrow('No module found for: Live');
+    expect(() => liveviewMap(db, 'Counter_ive')).toThrow('No module found for: Counter_ive');
+    expect(() => liveviewMap(db, '%')).toThrow('No module found for: %');
+  });
+
+  it('rejects a suffix shared by several modules', () => {
+    db.prepare("INSERT INTO liveview_refs (module, ref, name, role, path, line) VALUES ('AdminWeb.CounterLive', 'event', 'inc', 'binding', 'x.heex', 1)").run();
+    try {
+      expect(() => liveviewMap(db, 'CounterLive')).toThrow('Ambiguous module CounterLive: AdminWeb.CounterLive, DemoWeb.CounterLive');
+      expect(liveviewMap(db, 'DemoWeb.CounterLive').module).toBe('DemoWeb.CounterLive');
+    } finally {
+      db.prepare("DELETE FROM liveview_refs WHERE module = 'AdminWeb.CounterLive'").run();
+    }
+  });
+});
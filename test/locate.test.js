@@ -0,0 +1,60 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { parseElixirSource } from '../scripts/parse-elixir.js';
+import { createLocator } from '../scripts/locate.js';
+import { ripgrepSearch } from '../scripts/ripgrep-search.js';
+import { groupRipgrepHits } from '../scripts/fusion.js';
+import { createIndex, insertRecords } from './helpers/index-db.js';
+
+const ROOT = path.join(__dirname, 'fixtures/demo');
+const MATH = 'lib/demo/math.ex';
+
+let locator;
+
+beforeAll(() => {
+  const db = createIndex();
+  insertRecords(db, parseElixirSource(MATH, fs.readFileSync(path.join(ROOT, MATH), 'utf8')));
+  locator = createLocator(db, ROOT);
+});
+
+const at = (file, line) => {
+  const row = locator.enclosing(file, line);
+  return row && `${row.kind} ${row.name}/${row.arity}`;
+};
+
+describe('createLocator', () => {
+  it('finds the function enclosing a line, across all its clauses', () => {
+    expect(at(MATH, 18)).toBe('function add/2');
+    expect(at(MATH, 21)).toBe('function add/2');
+    expect(at(MATH, 50)).toBe('function_private double/1');
+    expect(locator.enclosing(MATH, 21)).toMatchObject({ module: 'Demo.Math', signature: 'add(a, b)', start_line: 18, end_line: 24 });
+  });
+
+  it('falls back to the module outside any function', () => {
+    expect(at(MATH, 3)).toBe('module defmodule/0');
+    expect(at(MATH, 45)).toBe('module defmodule/0');
+  });
+
+  it('accepts absolute paths for relative stored ones', () => {
+    expect(at(path.join(ROOT, MATH), 33)).toBe('function owner/1');
+  });
+
+  it('knows nothing about files that are not indexed', () => {
+    expect(locator.enclosing('lib/demo/other.ex', 1)).toBeNull();
+    expect(locator.fileModule('lib/demo/other.ex')).toBeNull();
+    expect(locator.fileModule(MATH)).toBe('Demo.Math');
+  });
+});
+
+describe('ripgrep hits', () => {
+  it('resolve to the indexed function they are in', async () => {
+    const hits = await ripgrepSearch('Float.round|Repo.sum|max\\(a', ROOT, 10);
+    expect(hits.every(h => h.path === MATH)).toBe(true);
+    const groups = groupRipgrepHits(hits, locator);
+    expect(groups.map(g => [g.row && g.row.name, g.lines.sort((a, b) => a - b)])).toEqual(
+      expect.arrayContaining([['add', [21, 24]], ['|||', [37]]])
+    );
+    expect(groups).toHaveLength(2);
+  });
+});
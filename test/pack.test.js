@@ -0,0 +1,96 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { parseElixirSource } from '../scripts/parse-elixir.js';
+import { resolveEdges } from '../scripts/resolve-edges.js';
+import { packRows, estimateTokens, truncateBody } from '../scripts/pack.js';
+import { createIndex, insertRecords, fn } from './helpers/index-db.js';
+
+const MATH = 'lib/demo/math.ex';
+const BIG = 'lib/demo/big.ex';
+
+// 200 lines of ~40 characters: ~2000 tokens
+const bigBody = Array.from({ length: 200 }, (_, n) => `    value_${String(n).padStart(3, '0')} = compute(value, ${n})`).join('\n');
+
+let db;
+const row = (module, name) => db.prepare('SELECT * FROM functions WHERE module = ? AND name = ?').get(module, name);
+
+beforeAll(() => {
+  db = createIndex();
+  insertRecords(db, parseElixirSource(MATH, fs.readFileSync(path.join(__dirname, 'fixtures/demo', MATH), 'utf8')));
+  insertRecords(db, [fn('Demo.Big', 'big', 0, BIG, { start_line: 1, end_line: 202, struct_text: `def big do\n${bigBody}\nend`, calls: ['Demo.Math.add/2'] })]);
+  resolveEdges(db);
+});
+
+describe('truncateBody', () => {
+  it('keeps bodies within budget as they are', () => {
+    expect(truncateBody('def a, do: 1', 100)).toBe('def a, do: 1');
+  });
+
+  it('cuts on line boundaries and says how much is missing', () => {
+    const cut = truncateBody(bigBody, 100);
+    const kept = cut.split('\n').slice(0, -1);
+    expect(kept.every(line => bigBody.split('\n').includes(line))).toBe(true);
+    expect(cut).toMatch(new RegExp(`… \\[truncated: ${200 - kept.length} more line\\(s\\), see source\\]$`));
+    expect(estimateTokens(cut)).toBeLessThanOrEqual(100);
+  });
+
+  it('slices a single oversized line', () => {
+    const cut = truncateBody('x'.repeat(1000), 50);
+    expect(cut).toBe(`${'x'.repeat(152)}\n… [truncated: 0 more line(s), see source]`);
+    expect(estimateTokens(cut)).toBeLessThanOrEqual(50);
+  });
+});
+
+describe('packRows', () => {
+  it('includes seeds in rank order within the budget', () => {
+    const seeds = [row('Demo.Math', 'add'), row('Demo.Math', 'describe')];
+    const pack = packRows(db, seeds, { max_tokens: 2000 });
+    expect(pack.included.map(e => e.mfa)).toEqual(['Demo.Math.add/2', 'Demo.Math.describe/1']);
+    expect(pack.included.every(e => e.reason === 'match' && !e.truncated)).toBe(true);
+    expect(pack.text.indexOf('### Demo.Math.add/2')).toBeLessThan(pack.text.indexOf('### Demo.Math.describe/1'));
+    expect(pack.sources[0]).toEqual({ path: MATH, start_line: 18, end_line: 24 });
+    expect(pack.tokens.used).toBe(estimateTokens(pack.text));
+  });
+
+  it('truncates entries larger than the per-entry cap', () => {
+    const pack = packRows(db, [row('Demo.Big', 'big')], { max_tokens: 600 });
+    expect(pack.included).toHaveLength(1);
+    expect(pack.included[0].truncated).toBe(true);
+    expect(pack.included[0].tokens).toBeLessThanOrEqual(200);
+    expect(pack.text).toContain('… [truncated:');
+  });
+
+  it('drops what no longer fits once the budget is spent', () => {
+    const seeds = [row('Demo.Big', 'big'), row('Demo.Math', 'add'), row('Demo.Math', 'pattern')];
+    const pack = packRows(db, seeds, { max_tokens: 200, max_entry_tokens: 190 });
+    expect(pack.tokens.used).toBeLessThanOrEqual(200);
+    // add/2 is too long for what is left, the one-line pattern/0 still fits
+    expect(pack.included.map(e => e.mfa)).toEqual(['Demo.Big.big/0', 'Demo.Math.pattern/0']);
+    expect(pack.dropped.map(e => [e.mfa, e.why])).toEqual([['Demo.Math.add/2', 'budget']]);
+  });
+
+  it('expands to callees and callers with a lower score and a reason', () => {
+    const pack = packRows(db, [row('Demo.Big', 'big')], { max_tokens: 4000, expand: ['callees'] });
+    expect(pack.included.map(e => [e.mfa, e.reason])).toEqual([
+      ['Demo.Big.big/0', 'match'],
+      ['Demo.Math.add/2', 'called by Demo.Big.big/0']
+    ]);
+    expect(pack.included[1].score).toBeLessThan(pack.included[0].score);
+    expect(pack.text).toContain('Related: called by Demo.Big.big/0');
+
+    const callers = packRows(db, [row('Demo.Math', 'add')], { expand: 'callers' });
+    expect(callers.included.map(e => e.reason)).toEqual(['match', 'calls Demo.Math.add/2']);
+  });
+
+  it('lists the public API of the module as spec-only entries', () => {
+    const pack = packRows(db, [row('Demo.Math', 'add')], { expand: ['specs'] });
+    const specs = pack.included.filter(e => e.spec_only);
+    expect(specs.map(e => e.mfa)).not.toContain('Demo.Math.double/1');
+    expect(specs.length).toBeGreaterThan(0);
+  });
+
+  it('rejects unknown expand options', () => {
+    expect(() => packRows(db, [], { expand: ['siblings'] })).toThrow('Unknown expand option: siblings');
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { parseEctoSchemas } from '../scripts/parse-ecto.js';
+
+const FILE = 'lib/demo/accounts/user.ex';
+const schemas = parseEctoSchemas(FILE, fs.readFileSync(path.join(__dirname, 'fixtures/demo', FILE), 'utf8'));
+
+const schema = (module) => schemas.find(s => s.module === module);
+const field = (module, name) => schema(module).fields.find(f => f.name === name);
+
+describe('parseEctoSchemas', () => {
+  it('emits one record per schema block, inline embeds included', () => {
+    expect(schemas.map(s => [s.module, s.source, s.embedded, s.start_line, s.end_line])).toEqual([
+      ['Demo.Accounts.User', 'users', false, 12, 32],
+      ['Demo.Accounts.User.Address', null, true, 25, 27],
+      ['Demo.Accounts.Setting', null, true, 40, 42]
+    ]);
+    expect(schemas[0]).toMatchObject({ kind: 'ecto_schema', path: FILE });
+    expect(Object.keys(schemas[0].fields[0]).sort()).toEqual(['category', 'line', 'name', 'options', 'related', 'type']);
+  });
+
+  it('lists fields in definition order', () => {
+    expect(schema('Demo.Accounts.User').fields.map(f => `${f.category} ${f.name}`)).toEqual([
+      'primary_key id',
+      'field email',
+      'field name',
+      'field age',
+      'field tags',
+      'field status',
+      'belongs_to org',
+      'foreign_key org_id',
+      'belongs_to inviter',
+      'foreign_key invited_by_id',
+      'has_many posts',
+      'has_many comments',
+      'many_to_many roles',
+      'embeds_one address',
+      'embeds_many settings',
+      'timestamps inserted_at'
+    ]);
+  });
+
+  it('reads field types and literal options', () => {
+    expect(field('Demo.Accounts.User', 'email')).toMatchObject({ type: 'string', options: {}, line: 13 });
+    expect(field('Demo.Accounts.User', 'name').type).toBe('string');
+    expect(field('Demo.Accounts.User', 'age')).toMatchObject({ type: 'integer', options: { default: 0 } });
+    expect(field('Demo.Accounts.User', 'tags').type).toBe('{:array, :string}');
+    expect(field('Demo.Accounts.User', 'status')).toMatchObject({ type: 'Ecto.Enum', options: { values: ['active', 'banned'] } });
+  });
+
+  it('applies @primary_key, @foreign_key_type and @timestamps_opts', () => {
+    expect(field('Demo.Accounts.User', 'id')).toMatchObject({ category: 'primary_key', type: 'binary_id' });
+    expect(field('Demo.Accounts.User', 'org_id')).toMatchObject({ type: 'binary_id', related: 'Demo.Accounts.Org', options: { association: 'org' } });
+    expect(field('Demo.Accounts.User', 'inserted_at').type).toBe('utc_datetime');
+    expect(field('Demo.Accounts.User', 'updated_at')).toBeUndefined();
+  });
+
+  it('expands association targets through aliases and __MODULE__', () => {
+    expect(field('Demo.Accounts.User', 'org').related).toBe('Demo.Accounts.Org');
+    expect(field('Demo.Accounts.User', 'inviter')).toMatchObject({ related: 'Demo.Accounts.User', options: { foreign_key: 'invited_by_id' } });
+    expect(field('Demo.Accounts.User', 'posts').related).toBe('Demo.Blog.Post');
+    expect(field('Demo.Accounts.User', 'comments')).toMatchObject({ related: null, options: { through: ['posts', 'comments'] } });
+    expect(field('Demo.Accounts.User', 'roles')).toMatchObject({ related: 'Demo.Accounts.Role', options: { join_through: 'users_roles' } });
+  });
+
+  it('turns inline embeds into schemas of their own', () => {
+    expect(field('Demo.Accounts.User', 'address')).toMatchObject({
+      category: 'embeds_one', related: 'Demo.Accounts.User.Address', options: { primary_key: false, inline: true }
+    });
+    expect(schema('Demo.Accounts.User.Address').fields.map(f => f.name)).toEqual(['city']);
+    expect(field('Demo.Accounts.User', 'settings').related).toBe('Demo.Accounts.Setting');
+    expect(field('Demo.Accounts.Setting', 'id')).toMatchObject({ category: 'primary_key', type: 'binary_id' });
+  });
+
+  it('skips files without a schema block', () => {
+    expect(parseEctoSchemas('lib/demo/math.ex', 'defmodule Demo.Math do\n  def add(a, b), do: a + b\nend\n')).toEqual([]);
+  });
+});
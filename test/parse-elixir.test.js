@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { parseElixirSource } from '../scripts/parse-elixir.js';
+
+const FIXTURE = path.join(__dirname, 'fixtures/demo');
+const FILE = 'lib/demo/math.ex';
+
+const records = parseElixirSource(FILE, fs.readFileSync(path.join(FIXTURE, FILE), 'utf8'));
+const byName = (name) => records.filter(r => r.name === name);
+
+// Same formula as export.exs, so both exporters produce the same ids
+const exporterId = (module, name, arity) =>
+  crypto.createHash('sha256').update(`${module}|${name}|${arity}|${FILE}`).digest('hex');
+
+describe('parseElixirSource', () => {
+  it('emits records in the export.exs shape', () => {
+    const [add] = byName('add');
+    expect(Object.keys(add).sort()).toEqual([
+      'arity', 'calls', 'doc', 'end_line', 'id', 'kind', 'lexical_text', 'module',
+      'name', 'path', 'signature', 'spec', 'start_line', 'struct_text'
+    ]);
+    expect(add).toMatchObject({ module: 'Demo.Math', name: 'add', arity: 2, kind: 'function', path: FILE });
+    expect(add.id).toBe('8b7f30abe8e7cae917ea93c402c26a592d94725550fefd512cea5278e8667bf6');
+    for (const r of records.filter(r => r.kind.startsWith('function'))) expect(r.id).toBe(exporterId(r.module, r.name, r.arity));
+  });
+
+  it('merges the clauses of a multi-clause function, guards included', () => {
+    const clauses = byName('add');
+    expect(clauses).toHaveLength(1);
+    expect(clauses[0]).toMatchObject({ start_line: 18, end_line: 24, signature: 'add(a, b)' });
+    expect(clauses[0].calls).toEqual(['Float.round/2', 'Repo.sum/2']);
+    expect(clauses[0].spec).toBe('spec(add(number, number) :: number)');
+    expect(clauses[0].doc).toMatch(/^Adds numbers\.\n\n## Examples\n\n {4}iex> Demo\.Math\.add\(1, 2\)/);
+  });
+
+  it('does not end a body at do/end inside heredocs and sigils', () => {
+    expect(byName('describe')[0]).toMatchObject({ start_line: 26, end_line: 31, calls: ['String.trim/1'] });
+    expect(byName('pattern')[0]).toMatchObject({ start_line: 35, end_line: 35, calls: [] });
+    expect(byName('owner')[0]).toMatchObject({ start_line: 33, calls: ['Accounts.get_user!/1', 'Org.owner/1'] });
+  });
+
+  it('expands multi-alias braces into one alias per module', () => {
+    const aliases = records.filter(r => r.kind === 'alias').map(r => [r.start_line, r.as, r.target]);
+    expect(aliases).toEqual([
+      [6, 'Accounts', 'Demo.Accounts'],
+      [6, 'Repo', 'Demo.Repo'],
+      [7, 'User', 'Demo.Accounts.User'],
+      [7, 'Org', 'Demo.Accounts.Org']
+    ]);
+  });
+
+  it('names operator definitions after the operator', () => {
+    expect(byName('|||')[0]).toMatchObject({ arity: 2, signature: '|||(a, b)', start_line: 37, end_line: 37 });
+    expect(byName('<~>')[0]).toMatchObject({ arity: 2, signature: '<~>(left, right)', start_line: 39, end_line: 41 });
+    expect(byName('a')).toEqual([]);
+    expect(byName('left')).toEqual([]);
+  });
+
+  it('skips unquote-named defs without passing their @doc on', () => {
+    expect(records.some(r => r.name === 'unquote')).toBe(false);
+    expect(byName('after_generated')[0]).toMatchObject({ doc: null, calls: ['double/1'] });
+    expect(byName('double')[0].kind).toBe('function_private');
+  });
+
+  it('spans the module from defmodule to its end', () => {
+    const [mod] = records.filter(r => r.kind === 'module');
+    expect(mod).toMatchObject({ module: 'Demo.Math', start_line: 1, end_line: 51, doc: 'Arithmetic helpers.' });
+  });
+});
@@ -0,0 +1,123 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { tokenizeHeex, parseHeexFile, parseHeexSigils } from '../scripts/parse-heex.js';
+
+const ROOT = path.join(__dirname, 'fixtures/demo');
+const TEMPLATE = 'lib/demo_web/live/counter_live.html.heex';
+const LIVEVIEW = 'lib/demo_web/live/counter_live.ex';
+const read = (file) => fs.readFileSync(path.join(ROOT, file), 'utf8');
+
+const ranges = (records, kind) => records.filter(r => r.kind === kind).map(r => [r.name, r.start_line, r.end_line]);
+
+describe('tokenizeHeex', () => {
+  it('skips comments, interpolation and <script> contents', () => {
+    const tags = tokenizeHeex(read(TEMPLATE)).map(t => `${t.type === 'close' ? '/' : ''}${t.name}`);
+    expect(tags).toEqual([
+      '.header', ':actions', '.button', '/.button', '/:actions', '/.header',
+      'ul', 'li', '/li', '/ul', '.form', 'input', '/.form', 'script', '/script'
+    ]);
+  });
+
+  it('reads attributes with nested braces and multi-line tags', () => {
+    const tokens = tokenizeHeex(read(TEMPLATE));
+    const li = tokens.find(t => t.name === 'li');
+    expect(li.attrs.map(a => [a.name, a.value])).toEqual([
+      [':for', 'item <- @items'],
+      ['data-meta', '%{tag: %{name: "x"}}']
+    ]);
+    const input = tokens.find(t => t.name === 'input');
+    expect(input.selfClosing).toBe(true);
+  });
+});
+
+describe('parseHeexFile', () => {
+  const records = parseHeexFile(TEMPLATE, read(TEMPLATE), ROOT);
+
+  it('assigns the template to its colocated LiveView', () => {
+    expect(records[0]).toMatchObject({ kind: 'template', module: 'DemoWeb.CounterLive', path: TEMPLATE, start_line: 1 });
+    expect(new Set(records.map(r => r.module))).toEqual(new Set(['DemoWeb.CounterLive']));
+  });
+
+  it('spans components from opening to closing tag', () => {
+    expect(ranges(records, 'heex_component')).toEqual([
+      ['.header', 2, 7],
+      ['.button', 5, 5],
+      ['.form', 15, 20]
+    ]);
+    expect(records.filter(r => r.kind === 'heex_component').map(r => r.components)).toEqual([['header/1'], ['button/1'], ['form/1']]);
+  });
+
+  it('spans slots and names the component they belong to', () => {
+    expect(ranges(records, 'heex_slot')).toEqual([[':actions', 4, 6]]);
+    expect(records.find(r => r.kind === 'heex_slot').doc).toBe(`Slot <:actions> of <.header> in ${TEMPLATE}`);
+  });
+
+  it('spans :if and :for blocks over their element', () => {
+    expect(ranges(records, 'heex_block')).toEqual([[':if', 9, 13], [':for', 10, 12]]);
+  });
+
+  it('records events on the line of their binding', () => {
+    expect(ranges(records, 'heex_event')).toEqual([['inc', 5, 5], ['save', 17, 17]]);
+    expect(records.find(r => r.kind === 'heex_event' && r.name === 'inc').doc).toMatch(/values: step$/);
+    const bindings = records.filter(r => r.kind === 'liveview_ref' && r.role === 'binding').map(r => [r.name, r.line]);
+    expect(bindings).toEqual([['inc', 5], ['save', 17]]);
+  });
+
+  it('records assign reads once per line', () => {
+    const reads = records.filter(r => r.kind === 'liveview_ref' && r.role === 'read').map(r => [r.name, r.line]);
+    expect(reads).toEqual([['count', 3], ['items', 9], ['items', 10], ['form', 16]]);
+  });
+});
+
+describe('parseHeexSigils', () => {
+  const records = parseHeexSigils(LIVEVIEW, read(LIVEVIEW));
+
+  it('offsets element lines by the sigil position in the file', () => {
+    expect(records[0]).toMatchObject({ kind: 'template', module: 'DemoWeb.CounterLive', signature: '~H in badge', start_line: 13, end_line: 17 });
+    expect(ranges(records, 'heex_event')).toEqual([['reset', 14, 14]]);
+    expect(records.filter(r => r.kind === 'liveview_ref').map(r => [r.name, r.line])).toEqual([['reset', 14], ['count', 15]]);
+  });
+});
+
+describe('template owner module', () => {
+  let root;
+
+  beforeAll(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'heex-owner-'));
+    const files = {
+      'lib/app_web/live/user_live/index.ex': 'defmodule AppWeb.UserLive.Index do\nend\n',
+      'lib/app_web/controllers/page_html.ex': 'defmodule AppWeb.PageHTML do\n  embed_templates "page_html/*"\nend\n',
+      'lib/app_web/components/layouts.ex': '# Layouts\ndefmodule AppWeb.Layouts do\nend\n',
+      'lib/app_web/views/page_view.ex': 'defmodule AppWeb.PageView do\nend\n',
+      'lib/app_web/live/empty_live.ex': '# nothing defined here\n'
+    };
+    for (const [file, source] of Object.entries(files)) {
+      fs.mkdirSync(path.join(root, path.dirname(file)), { recursive: true });
+      fs.writeFileSync(path.join(root, file), source);
+    }
+  });
+
+  afterAll(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  const owner = (file) => parseHeexFile(file, '<div></div>\n', root)[0].module;
+
+  it('uses the colocated LiveView or component module', () => {
+    expect(owner('lib/app_web/live/user_live/index.html.heex')).toBe('AppWeb.UserLive.Index');
+  });
+
+  it('uses the embed_templates module of the template directory', () => {
+    expect(owner('lib/app_web/controllers/page_html/home.html.heex')).toBe('AppWeb.PageHTML');
+    expect(owner('lib/app_web/components/layouts/app.html.heex')).toBe('AppWeb.Layouts');
+  });
+
+  it('uses the Phoenix.View module of legacy templates', () => {
+    expect(owner('lib/app_web/templates/page/index.html.heex')).toBe('AppWeb.PageView');
+  });
+
+  it('falls back to a name derived from the path', () => {
+    expect(owner('lib/app_web/live/empty_live.html.heex')).toBe('AppWeb.EmptyLive');
+    expect(owner('lib/app_web/live/orphan_live/show.html.heex')).toBe('AppWeb.OrphanLive.Show');
+  });
+});
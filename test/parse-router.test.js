@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { joinPath, parseRoutes } from '../scripts/parse-router.js';
+
+const FILE = 'lib/demo_web/router.ex';
+const routes = parseRoutes(FILE, fs.readFileSync(path.join(__dirname, 'fixtures/demo', FILE), 'utf8'));
+
+const find = (verb, route) => routes.find(r => r.verb === verb && r.route === route);
+const table = (rows) => rows.map(r => `${r.verb} ${r.route} ${r.handler} ${r.action}`);
+
+describe('joinPath', () => {
+  it('joins scope prefixes and paths without doubled slashes', () => {
+    expect(joinPath('/', '/')).toBe('/');
+    expect(joinPath('', '/users')).toBe('/users');
+    expect(joinPath('/api/', 'v1')).toBe('/api/v1');
+  });
+});
+
+describe('parseRoutes', () => {
+  it('emits route records in definition order', () => {
+    expect(Object.keys(routes[0]).sort()).toEqual([
+      'action', 'handler', 'kind', 'line', 'module', 'path', 'pipelines', 'route', 'seq', 'type', 'verb'
+    ]);
+    expect(routes[0]).toMatchObject({
+      kind: 'route', module: 'DemoWeb.Router', verb: 'GET', route: '/', handler: 'DemoWeb.PageController',
+      action: 'home', type: 'controller', pipelines: ['browser'], path: FILE, line: 16, seq: 0
+    });
+    expect(routes.map(r => r.seq)).toEqual(routes.map((_, n) => n));
+  });
+
+  it('ignores anything inside pipeline blocks', () => {
+    expect(routes.some(r => r.route === '/not-a-route')).toBe(false);
+  });
+
+  it('keeps the scope through live_session blocks', () => {
+    expect(find('GET', '/counter')).toMatchObject({ handler: 'DemoWeb.CounterLive', action: 'index', type: 'live', line: 19 });
+  });
+
+  it('expands resources with only:, except:, nesting and singleton:', () => {
+    const resourceRoutes = routes.filter(r => r.line >= 22 && r.line <= 26);
+    expect(table(resourceRoutes)).toEqual([
+      'GET /users DemoWeb.UserController index',
+      'GET /users/:id DemoWeb.UserController show',
+      'GET /users/:user_id/posts DemoWeb.PostController index',
+      'GET /users/:user_id/posts/:id DemoWeb.PostController show',
+      'POST /users/:user_id/posts DemoWeb.PostController create',
+      'PATCH /users/:user_id/posts/:id DemoWeb.PostController update',
+      'PUT /users/:user_id/posts/:id DemoWeb.PostController update',
+      'GET /profile DemoWeb.ProfileController show'
+    ]);
+  });
+
+  it('nests scope paths, aliases and pipelines', () => {
+    expect(find('GET', '/api/v1/orgs/:slug')).toMatchObject({ handler: 'DemoWeb.Api.OrgController', pipelines: ['browser', 'api'] });
+    expect(find('*', '/api/ping')).toMatchObject({ handler: 'DemoWeb.Api.HealthController', action: 'ping', type: 'controller' });
+  });
+
+  it('routes forward to every path below it', () => {
+    expect(find('*', '/jobs/*path')).toMatchObject({ handler: 'Demo.JobsPlug', action: null, type: 'forward', pipelines: [], line: 39 });
+  });
+
+  it('adds live_dashboard as a LiveView route', () => {
+    expect(find('GET', '/dev/dashboard')).toMatchObject({ handler: 'Phoenix.LiveDashboard.PageLive', type: 'live', pipelines: ['browser'] });
+  });
+
+  it('skips files that are not routers', () => {
+    expect(parseRoutes('lib/demo/math.ex', 'defmodule Demo.Math do\n  get "/x", A, :b\nend\n')).toEqual([]);
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { compileQuery, runMatch } from '../scripts/query-parser.js';
+import { BM25 } from '../scripts/fts.js';
+import { createIndex, insertRecords, fn } from './helpers/index-db.js';
+
+const CASES = [
+  ['Accounts.get_user/1', '"Accounts.get_user"'],
+  ['get_user!/1', '"get_user!"'],
+  ['Demo.Math.|||/2', '"Demo.Math.|||"'],
+  ['foo-bar', '"foo-bar"'],
+  ['get_us*', '"get_us"*'],
+  ['"update user" OR del', '"update user" OR "del"'],
+  ['"unbalanced', '"unbalanced"'],
+  ['"update user', '"update user"'],
+  ['*', null],
+  ['---', null],
+  ['', null],
+  ['AND', null],
+  ['user AND', '"user"'],
+  ['OR user', '"user"'],
+  ['user NOT', '"user"'],
+  ['NOT user', '"user"'],
+  ['user AND OR get', '"user" OR "get"'],
+  ['user NOT admin', '"user" NOT "admin"']
+];
+
+let search;
+
+beforeAll(() => {
+  const db = createIndex();
+  insertRecords(db, [
+    // lexical_text as parse-elixir writes it: qualified signature, doc, argument names
+    fn('Demo.Accounts', 'get_user', 1, 'lib/demo/accounts.ex', { doc: 'Gets a user by id.', lexical_text: 'Demo.Accounts.get_user(id) Gets a user by id. id' }),
+    fn('Demo.Accounts', 'update_user', 2, 'lib/demo/accounts.ex', { doc: 'Updates a user.', lexical_text: 'Demo.Accounts.update_user(user, attrs) Updates a user. user attrs' }),
+    fn('Demo.Foo', 'foo_bar', 0, 'lib/demo/foo.ex', { lexical_text: 'Demo.Foo.foo_bar()' })
+  ]);
+  const statement = db.prepare(`
+    SELECT f.module, f.name, ${BM25} AS score FROM functions_fts
+    JOIN functions f ON functions_fts.id = f.id
+    WHERE functions_fts MATCH ? ORDER BY score LIMIT ?
+  `);
+  search = (expr) => runMatch(statement, expr, 10).map(r => r.name);
+});
+
+describe('compileQuery', () => {
+  it.each(CASES)('compiles %j to %j', (input, expected) => {
+    const compiled = compileQuery(input);
+    expect(compiled).toBe(expected);
+    if (compiled !== null) expect(() => search(compiled)).not.toThrow();
+  });
+
+  it('finds Elixir-shaped input in the index', () => {
+    expect(search(compileQuery('Accounts.get_user/1'))[0]).toBe('get_user');
+    expect(search(compileQuery('foo-bar'))).toEqual(['foo_bar']);
+    expect(search(compileQuery('update_us*'))).toEqual(['update_user']);
+  });
+
+  it('passes raw input through untouched', () => {
+    expect(compileQuery('name:get* AND NOT doc:admin', { raw: true })).toBe('name:get* AND NOT doc:admin');
+  });
+});
+
+describe('runMatch', () => {
+  it('turns FTS5 syntax errors into a readable error', () => {
+    expect(() => search('"unbalanced')).toThrow(/^Invalid FTS5 query "\\"unbalanced": /);
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import Database from 'better-sqlite3';
+import { parseElixirSource } from '../scripts/parse-elixir.js';
+import { parseEctoSchemas } from '../scripts/parse-ecto.js';
+import { parseRoutes } from '../scripts/parse-router.js';
+import { createSchema, detectVersion } from '../scripts/schema.js';
+import { insertRecords } from './helpers/index-db.js';
+
+const REPAIR = path.join(__dirname, '../scripts/repair.js');
+const ROOT = '/srv/demo';
+const MATH = 'lib/demo/math.ex';
+const USER = 'lib/demo/accounts/user.ex';
+const ROUTER = 'lib/demo_web/router.ex';
+const read = (file) => fs.readFileSync(path.join(__dirname, 'fixtures/demo', file), 'utf8');
+
+let dir;
+let dbFile;
+
+const repair = (...flags) => spawnSync(process.execPath, [REPAIR, '--db', dbFile, '--root', ROOT, ...flags], { encoding: 'utf8', timeout: 60000 });
+
+// Paths stored in each table with one, as "table path" pairs
+function storedPaths() {
+  const db = new Database(dbFile, { readonly: true });
+  try {
+    const rows = [];
+    for (const table of ['functions', 'module_directives', 'liveview_refs', 'routes', 'ecto_schemas', 'ecto_fields', 'files']) {
+      for (const { path: p } of db.prepare(`SELECT DISTINCT path FROM ${table} ORDER BY path`).all()) rows.push(`${table} ${p}`);
+    }
+    return rows;
+  } finally {
+    db.close();
+  }
+}
+
+// An index whose full scan stored absolute paths for math.ex, user.ex and the router
+function buildIndex() {
+  const db = new Database(dbFile);
+  createSchema(db);
+  const abs = (file) => `${ROOT}/${file}`;
+  insertRecords(db, parseElixirSource(abs(MATH), read(MATH)));
+  db.prepare("INSERT INTO liveview_refs (module, ref, name, role, path, line) VALUES ('Demo.Math', 'assign', 'x', 'read', ?, 1)").run(abs(MATH));
+  for (const s of parseEctoSchemas(abs(USER), read(USER))) {
+    db.prepare('INSERT INTO ecto_schemas (module, source, embedded, path, start_line, end_line) VALUES (?, ?, ?, ?, ?, ?)')
+      .run(s.module, s.source, s.embedded ? 1 : 0, s.path, s.start_line, s.end_line);
+    for (const f of s.fields) {
+      db.prepare('INSERT INTO ecto_fields (module, name, category, path, line) VALUES (?, ?, ?, ?, ?)').run(s.module, f.name, f.category, s.path, f.line);
+    }
+  }
+  for (const r of parseRoutes(abs(ROUTER), read(ROUTER))) {
+    db.prepare('INSERT INTO routes (router, verb, route, handler, type, path, line, seq) VALUES (?, ?, ?, ?, ?, ?, ?, ?)')
+      .run(r.module, r.verb, r.route, r.handler, r.type, r.path, r.line, r.seq);
+  }
+  db.prepare("INSERT INTO files (path, size, mtime, hash) VALUES (?, 1, 1, 'h')").run(abs(MATH));
+  db.close();
+}
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ec-repair-'));
+  dbFile = path.join(dir, 'ec.sqlite');
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('repair.js', () => {
+  it('rewrites the paths of every table to project-relative ones', () => {
+    buildIndex();
+    const result = repair();
+    expect(result.status).toBe(0);
+    expect(JSON.parse(result.stdout)).toMatchObject({ rewritten: 3, duplicates_removed: 0, migrated: [] });
+    expect(storedPaths()).toEqual([
+      `functions ${MATH}`,
+      `module_directives ${MATH}`,
+      `liveview_refs ${MATH}`,
+      `routes ${ROUTER}`,
+      `ecto_schemas ${USER}`,
+      `ecto_fields ${USER}`,
+      `files ${MATH}`
+    ]);
+  });
+
+  it('drops the absolute copy of a file indexed under both forms and marks it for re-export', () => {
+    buildIndex();
+    const db = new Database(dbFile);
+    db.prepare("INSERT INTO routes (router, verb, route, handler, type, path, line, seq) VALUES ('DemoWeb.Router', 'GET', '/', 'X', 'live', ?, 1, 0)").run(ROUTER);
+    db.close();
+
+    const summary = JSON.parse(repair().stdout);
+    expect(summary).toMatchObject({ rewritten: 2, duplicates_removed: 1, marked_for_reexport: [ROUTER] });
+    expect(storedPaths().filter(p => p.startsWith('routes'))).toEqual([`routes ${ROUTER}`]);
+  });
+
+  it('changes nothing with --dry-run', () => {
+    buildIndex();
+    const before = storedPaths();
+    const result = repair('--dry-run');
+    expect(result.status).toBe(0);
+    expect(JSON.parse(result.stdout)).toMatchObject({ dry_run: true, rewritten: 3 });
+    expect(storedPaths()).toEqual(before);
+  });
+
+  it('does not commit schema migrations with --dry-run', () => {
+    const db = new Database(dbFile);
+    db.exec("CREATE TABLE functions (id TEXT PRIMARY KEY, module TEXT, name TEXT, arity INTEGER, kind TEXT DEFAULT 'function', path TEXT, start_line INTEGER, end_line INTEGER, signature TEXT, spec TEXT, doc TEXT, lexical_text TEXT, struct_text TEXT)");
+    db.exec('CREATE TABLE edges (src_id TEXT, dst_mfa TEXT, kind TEXT, UNIQUE(src_id, dst_mfa, kind))');
+    db.exec('CREATE VIRTUAL TABLE functions_fts USING fts5(id, module, lexical_text)');
+    db.close();
+
+    const summary = JSON.parse(repair('--dry-run').stdout);
+    expect(summary.migrated).toHaveLength(9);
+    const after = new Database(dbFile, { readonly: true });
+    expect(detectVersion(after)).toBe(1);
+    after.close();
+  });
+});
@@ -0,0 +1,175 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { parseElixirSource } from '../scripts/parse-elixir.js';
+import { parseHeexFile } from '../scripts/parse-heex.js';
+import { resolveEdges, qualifyMfa } from '../scripts/resolve-edges.js';
+import { createIndex, insertRecords, purgeFile, edgeStates } from './helpers/index-db.js';
+
+const MATH = 'lib/demo/math.ex';
+
+const SOURCES = {
+  'lib/demo/caller.ex': `defmodule Demo.Caller do
+  alias Demo.Accounts
+  alias Demo.Math, as: M
+  import Demo.Helpers
+
+  def run(x) do
+    Accounts.get_user!(x)
+    M.add(x, 1)
+    helper(x)
+    __MODULE__.local(x)
+    Demo.Store.fetch(x)
+  end
+
+  def local(x), do: x
+end
+`,
+  'lib/demo/accounts.ex': 'defmodule Demo.Accounts do\n  def get_user!(id), do: id\nend\n',
+  'lib/demo/helpers.ex': 'defmodule Demo.Helpers do\n  def helper(x), do: x\nend\n',
+  'lib/demo/store.ex': 'defmodule Demo.Store do\n  def fetch(x), do: x\nend\n'
+};
+
+const parse = (file) => parseElixirSource(file, SOURCES[file]);
+
+// raw MFA → [dst_mfa, resolved] for the edges of Demo.Caller.run/1
+function edges(db) {
+  const rows = db.prepare(`
+    SELECT e.raw_mfa, e.dst_mfa, e.dst_id, e.resolved FROM edges e
+    JOIN functions f ON f.id = e.src_id WHERE f.module = 'Demo.Caller' AND f.name = 'run'
+  `).all();
+  return Object.fromEntries(rows.map(e => [e.raw_mfa, [e.dst_mfa, e.resolved, !!e.dst_id]]));
+}
+
+// Incremental batch: purge the file, write its records, resolve what the batch affects
+function ingestIncremental(db, file, records) {
+  const modules = new Set(db.prepare('SELECT module FROM functions WHERE path = ?').all(file).map(r => r.module));
+  purgeFile(db, file);
+  insertRecords(db, records);
+  for (const r of records) modules.add(r.module);
+  return resolveEdges(db, { modules });
+}
+
+let db;
+
+beforeEach(() => {
+  db = createIndex();
+  insertRecords(db, parseElixirSource(MATH, fs.readFileSync(path.join(__dirname, 'fixtures/demo', MATH), 'utf8')));
+  for (const file of ['lib/demo/caller.ex', 'lib/demo/accounts.ex', 'lib/demo/helpers.ex']) insertRecords(db, parse(file));
+  resolveEdges(db);
+});
+
+describe('resolveEdges', () => {
+  it('qualifies calls through alias, alias as:, import and __MODULE__', () => {
+    expect(edges(db)).toMatchObject({
+      'Accounts.get_user!/1': ['Demo.Accounts.get_user!/1', 1, true],
+      'M.add/2': ['Demo.Math.add/2', 1, true],
+      'helper/1': ['Demo.Helpers.helper/1', 1, true],
+      '__MODULE__.local/1': ['Demo.Caller.local/1', 1, true]
+    });
+  });
+
+  it('marks calls without an indexed target as attempted', () => {
+    expect(edges(db)['Demo.Store.fetch/1']).toEqual(['Demo.Store.fetch/1', -1, false]);
+    expect(resolveEdges(db)).toEqual({ checked: 0, resolved: 0 });
+  });
+
+  it('links a caller once its callee file is ingested', () => {
+    expect(ingestIncremental(db, 'lib/demo/store.ex', parse('lib/demo/store.ex')).resolved).toBeGreaterThan(0);
+    expect(edges(db)['Demo.Store.fetch/1']).toEqual(['Demo.Store.fetch/1', 1, true]);
+  });
+
+  it('reopens an edge when its target file is purged', () => {
+    ingestIncremental(db, 'lib/demo/store.ex', parse('lib/demo/store.ex'));
+
+    purgeFile(db, 'lib/demo/store.ex');
+    expect(edges(db)['Demo.Store.fetch/1']).toEqual(['Demo.Store.fetch/1', 0, false]);
+
+    resolveEdges(db, { modules: ['Demo.Store'] });
+    expect(edges(db)['Demo.Store.fetch/1']).toEqual(['Demo.Store.fetch/1', -1, false]);
+
+    ingestIncremental(db, 'lib/demo/store.ex', parse('lib/demo/store.ex'));
+    expect(edges(db)['Demo.Store.fetch/1']).toEqual(['Demo.Store.fetch/1', 1, true]);
+  });
+
+  it('re-qualifies calls when the caller changes its aliases', () => {
+    const source = SOURCES['lib/demo/caller.ex'].replace('alias Demo.Math, as: M', 'alias Demo.Helpers, as: M');
+    ingestIncremental(db, 'lib/demo/caller.ex', parseElixirSource('lib/demo/caller.ex', source));
+    expect(edges(db)['M.add/2']).toEqual(['Demo.Helpers.add/2', -1, false]);
+  });
+});
+
+describe('qualifyMfa', () => {
+  const scope = { aliases: new Map([['Accounts', 'Demo.Accounts']]), imports: ['Demo.Helpers'] };
+  const defs = { has: (key) => key === 'Demo.Helpers.helper/1' };
+
+  it('prefers the own module, then imports, and keeps unknown local calls raw', () => {
+    expect(qualifyMfa('helper/1', 'Demo.Caller', scope, defs)).toBe('Demo.Helpers.helper/1');
+    expect(qualifyMfa('other/1', 'Demo.Caller', scope, defs)).toBe('other/1');
+    expect(qualifyMfa('helper/1', 'Demo.Caller', scope, { has: () => true })).toBe('Demo.Caller.helper/1');
+  });
+
+  it('expands only the first alias segment and leaves arity-less MFAs alone', () => {
+    expect(qualifyMfa('Accounts.User.get/1', 'Demo.Caller', scope, defs)).toBe('Demo.Accounts.User.get/1');
+    expect(qualifyMfa('Accounts.get', 'Demo.Caller', scope, defs)).toBe('Accounts.get');
+  });
+});
+
+describe('component edges', () => {
+  const FIXTURE = path.join(__dirname, 'fixtures/demo');
+  const TEMPLATE = 'lib/demo_web/live/counter_live.html.heex';
+  const LIVEVIEW = 'lib/demo_web/live/counter_live.ex';
+  const WEB = 'lib/demo_web.ex';
+  const web = (target) => `defmodule DemoWeb do
+  def live_view do
+    quote do
+      import ${target}
+      alias DemoWeb.Layouts
+    end
+  end
+end
+`;
+  const COMPONENTS = {
+    'lib/demo_web/components/core_components.ex': 'defmodule DemoWeb.CoreComponents do\n  def header(assigns), do: assigns\n  def button(assigns), do: assigns\nend\n',
+    'lib/demo_web/components/ui.ex': 'defmodule DemoWeb.UI do\n  def button(assigns), do: assigns\nend\n'
+  };
+
+  // raw component → [dst_mfa, resolved] for the template's edges
+  const components = () => Object.fromEntries(db.prepare(`
+    SELECT e.raw_mfa, e.dst_mfa, e.resolved FROM edges e
+    JOIN functions f ON f.id = e.src_id WHERE e.kind = 'component' AND f.path = ?
+  `).all(TEMPLATE).map(e => [e.raw_mfa, [e.dst_mfa, e.resolved]]));
+
+  beforeEach(() => {
+    const read = (file) => fs.readFileSync(path.join(FIXTURE, file), 'utf8');
+    insertRecords(db, parseElixirSource(LIVEVIEW, read(LIVEVIEW)));
+    insertRecords(db, parseHeexFile(TEMPLATE, read(TEMPLATE), FIXTURE));
+    insertRecords(db, parseElixirSource(WEB, web('DemoWeb.CoreComponents')));
+    for (const [file, source] of Object.entries(COMPONENTS)) insertRecords(db, parseElixirSource(file, source));
+    resolveEdges(db);
+  });
+
+  it('resolves through the imports of the modules a LiveView uses', () => {
+    expect(components()).toEqual({
+      'header/1': ['DemoWeb.CoreComponents.header/1', 1],
+      'button/1': ['DemoWeb.CoreComponents.button/1', 1],
+      'form/1': ['form/1', -1]
+    });
+  });
+
+  it('does not apply used modules to plain calls', () => {
+    insertRecords(db, parseElixirSource('lib/demo_web/live/other_live.ex',
+      'defmodule DemoWeb.OtherLive do\n  use DemoWeb, :live_view\n  def render(assigns), do: button(assigns)\nend\n'));
+    resolveEdges(db);
+    expect(edgeStates(db)).toContain('button/1 -> button/1 (-1)');
+  });
+
+  it('re-resolves when the used module changes its imports', () => {
+    ingestIncremental(db, WEB, parseElixirSource(WEB, web('DemoWeb.UI')));
+    expect(components()).toEqual({
+      'header/1': ['header/1', -1],
+      'button/1': ['DemoWeb.UI.button/1', 1],
+      'form/1': ['form/1', -1]
+    });
+  });
+});
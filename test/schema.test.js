@@ -0,0 +1,101 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { parseElixirSource } from '../scripts/parse-elixir.js';
+import { SCHEMA_VERSION, createSchema, ensureSchema, detectVersion, setMeta, readMeta } from '../scripts/schema.js';
+
+const MATH = 'lib/demo/math.ex';
+const records = parseElixirSource(MATH, fs.readFileSync(path.join(__dirname, 'fixtures/demo', MATH), 'utf8'));
+
+// Index as the first release wrote it: no meta, raw edges, a three-column FTS table
+function createV1(db) {
+  db.exec("CREATE TABLE functions (id TEXT PRIMARY KEY, module TEXT, name TEXT, arity INTEGER, kind TEXT DEFAULT 'function', path TEXT, start_line INTEGER, end_line INTEGER, signature TEXT, spec TEXT, doc TEXT, lexical_text TEXT, struct_text TEXT)");
+  db.exec('CREATE TABLE edges (src_id TEXT, dst_mfa TEXT, kind TEXT, UNIQUE(src_id, dst_mfa, kind))');
+  db.exec('CREATE VIRTUAL TABLE functions_fts USING fts5(id, module, lexical_text)');
+  db.exec('CREATE INDEX idx_functions_module_name_arity ON functions(module, name, arity)');
+  db.exec('CREATE INDEX idx_functions_path ON functions(path)');
+  db.exec('CREATE INDEX idx_functions_kind ON functions(kind)');
+  db.exec('CREATE INDEX idx_edges_dst ON edges(dst_mfa)');
+
+  const insertFunction = db.prepare('INSERT INTO functions (id, module, name, arity, kind, path, start_line, end_line, signature, doc, lexical_text) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)');
+  const insertFts = db.prepare('INSERT INTO functions_fts (id, module, lexical_text) VALUES (?, ?, ?)');
+  const insertEdge = db.prepare("INSERT OR IGNORE INTO edges (src_id, dst_mfa, kind) VALUES (?, ?, 'call')");
+  for (const r of records) {
+    insertFunction.run(r.id, r.module, r.name, r.arity, r.kind, r.path, r.start_line, r.end_line, r.signature, r.doc, r.lexical_text);
+    insertFts.run(r.id, r.module, r.lexical_text);
+    for (const call of r.calls) insertEdge.run(r.id, call);
+  }
+}
+
+// Tables and their columns, for comparing a migrated index with a fresh one
+function shape(db) {
+  const tables = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'functions_fts_%' ORDER BY name").all();
+  return Object.fromEntries(tables.map(({ name }) => [name, db.prepare(`PRAGMA table_info(${name})`).all().map(c => c.name).sort()]));
+}
+
+let db;
+
+beforeEach(() => {
+  db = new Database(':memory:');
+});
+
+describe('ensureSchema', () => {
+  it('upgrades a v1 index step by step to the current shape', () => {
+    createV1(db);
+    expect(detectVersion(db)).toBe(1);
+
+    const result = ensureSchema(db);
+    expect(result).toMatchObject({ version: SCHEMA_VERSION, from: 1 });
+    expect(result.migrated).toHaveLength(SCHEMA_VERSION - 1);
+    expect(result.migrated[0]).toMatch(/^v2: /);
+    expect(SCHEMA_VERSION).toBe(10);
+    expect(readMeta(db).schema_version).toBe('10');
+
+    const fresh = new Database(':memory:');
+    createSchema(fresh);
+    expect(shape(db)).toEqual(shape(fresh));
+  });
+
+  it('carries the data over', () => {
+    createV1(db);
+    ensureSchema(db);
+
+    const count = (sql) => db.prepare(sql).get().n;
+    expect(count('SELECT COUNT(*) AS n FROM functions_fts')).toBe(records.length);
+    expect(count('SELECT COUNT(*) AS n FROM embeddings')).toBe(records.length);
+    expect(count("SELECT COUNT(*) AS n FROM functions WHERE app IS NOT NULL")).toBe(0);
+    expect(db.prepare("SELECT name FROM functions_fts WHERE functions_fts MATCH 'name_parts:generated'").all()).toEqual([{ name: 'after_generated' }]);
+    expect(db.prepare("SELECT raw_mfa, dst_mfa, resolved FROM edges WHERE raw_mfa = 'double/1'").get()).toEqual({
+      raw_mfa: 'double/1', dst_mfa: 'Demo.Math.double/1', resolved: 1
+    });
+  });
+
+  it('recognises pre-meta indexes by their shape', () => {
+    createV1(db);
+    db.exec('ALTER TABLE edges ADD COLUMN dst_id TEXT');
+    expect(detectVersion(db)).toBe(2);
+    expect(detectVersion(new Database(':memory:'))).toBe(0);
+  });
+
+  it('leaves a current index alone', () => {
+    createSchema(db);
+    expect(ensureSchema(db)).toEqual({ version: SCHEMA_VERSION, from: SCHEMA_VERSION, migrated: [] });
+  });
+
+  it('refuses a missing index and one from a newer release', () => {
+    expect(() => ensureSchema(db)).toThrow(/^Index schema missing/);
+    createSchema(db);
+    setMeta(db, { schema_version: SCHEMA_VERSION + 1 });
+    expect(() => ensureSchema(db)).toThrow(`Index schema v${SCHEMA_VERSION + 1} is newer than this elixir-context supports (v${SCHEMA_VERSION})`);
+  });
+
+  it('rolls back every step when one fails', () => {
+    createV1(db);
+    // v4 creates the embeddings table; an existing one makes it fail
+    db.exec('CREATE TABLE embeddings (id TEXT)');
+    expect(() => ensureSchema(db)).toThrow();
+    expect(db.prepare('PRAGMA table_info(edges)').all().map(c => c.name)).toEqual(['src_id', 'dst_mfa', 'kind']);
+    expect(db.prepare("SELECT COUNT(*) AS n FROM sqlite_master WHERE name = 'meta'").get().n).toBe(0);
+  });
+});
@@ -0,0 +1,81 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { readSourceRecords } from '../scripts/source-records.js';
+import { createWatcher } from '../scripts/watcher.js';
+import { ingestProject } from './helpers/index-db.js';
+
+const FIXTURE = path.join(__dirname, 'fixtures/demo');
+const TEMPLATE = 'lib/demo_web/live/counter_live.html.heex';
+const LIVEVIEW = 'lib/demo_web/live/counter_live.ex';
+
+const kinds = (records) => records.reduce((counts, r) => ({ ...counts, [r.kind]: (counts[r.kind] || 0) + 1 }), {});
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('readSourceRecords', () => {
+  it('reads template records from .heex files', () => {
+    const records = readSourceRecords(FIXTURE, [TEMPLATE]);
+    expect(kinds(records)).toEqual({ template: 1, heex_component: 3, heex_slot: 1, heex_block: 2, heex_event: 2, liveview_ref: 6 });
+    expect(new Set(records.map(r => r.path))).toEqual(new Set([TEMPLATE]));
+  });
+
+  it('reads ~H sigils, routes and Ecto schemas from .ex files', () => {
+    expect(kinds(readSourceRecords(FIXTURE, [LIVEVIEW]))).toEqual({ template: 1, heex_event: 1, liveview_ref: 6 });
+    expect(kinds(readSourceRecords(FIXTURE, ['lib/demo_web/router.ex']))).toEqual({ route: 14 });
+    expect(kinds(readSourceRecords(FIXTURE, ['lib/demo/accounts/user.ex']))).toEqual({ ecto_schema: 3 });
+  });
+
+  it('skips scripts and files that cannot be read', () => {
+    expect(readSourceRecords(FIXTURE, ['mix.exs', 'lib/demo/missing.ex', 'lib/missing.html.heex'])).toEqual([]);
+  });
+});
+
+describe('watching .heex files', () => {
+  let root;
+  let dbFile;
+  let watcher;
+
+  beforeEach(() => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'heex-watch-'));
+    root = path.join(dir, 'demo');
+    fs.cpSync(FIXTURE, root, { recursive: true });
+    dbFile = path.join(dir, 'index.db');
+    ingestProject(root, dbFile);
+  });
+
+  afterEach(() => {
+    if (watcher) watcher.close();
+    watcher = null;
+    fs.rmSync(path.dirname(root), { recursive: true, force: true });
+  });
+
+  const events = (file) => {
+    const db = new Database(dbFile, { readonly: true });
+    try {
+      return db.prepare("SELECT name FROM functions WHERE kind = 'heex_event' AND path = ? ORDER BY name").all(file).map(r => r.name);
+    } finally {
+      db.close();
+    }
+  };
+
+  it('re-reads an edited template without running the exporter', async () => {
+    expect(events(TEMPLATE)).toEqual(['inc', 'save']);
+
+    const rebuilt = new Promise(resolve => {
+      watcher = createWatcher({ root, dbFile, exporter: '/nonexistent/export.exs', debounceMs: 200, onRebuild: resolve });
+    });
+    watcher.start();
+    await sleep(1000);
+
+    const file = path.join(root, TEMPLATE);
+    fs.writeFileSync(file, fs.readFileSync(file, 'utf8').replace('phx-click="inc"', 'phx-click="increment"'));
+
+    const event = await rebuilt;
+    expect(event).toMatchObject({ ok: true, kind: 'incremental', files: 1 });
+    expect(events(TEMPLATE)).toEqual(['increment', 'save']);
+    // Sigil records of the LiveView module are not touched
+    expect(events(LIVEVIEW)).toEqual(['reset']);
+  }, 20000);
+});
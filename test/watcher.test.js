@@ -0,0 +1,129 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { createWatcher } from '../scripts/watcher.js';
+import { ingestProject } from './helpers/index-db.js';
+
+const FIXTURE = path.join(__dirname, 'fixtures/demo');
+const MATH = 'lib/demo/math.ex';
+const USER = 'lib/demo/accounts/user.ex';
+const TEMPLATE = 'lib/demo_web/live/counter_live.html.heex';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+let root;
+let dbFile;
+let watcher;
+
+beforeEach(() => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'watcher-'));
+  root = path.join(dir, 'demo');
+  fs.cpSync(FIXTURE, root, { recursive: true });
+  dbFile = path.join(dir, 'index.db');
+  ingestProject(root, dbFile);
+});
+
+afterEach(() => {
+  if (watcher) watcher.close();
+  watcher = null;
+  fs.rmSync(path.dirname(root), { recursive: true, force: true });
+});
+
+const append = (file, text) => fs.appendFileSync(path.join(root, file), text);
+const rewrite = (file) => fs.writeFileSync(path.join(root, file), fs.readFileSync(path.join(root, file), 'utf8'));
+
+/**
+ * Watcher over the copy with a stub refresh: `requests` collects what it is
+ * asked to do, `next()` resolves with the next request, and each request stays
+ * in progress until `settle()` is called
+ */
+async function startWatcher() {
+  const requests = [];
+  const waiting = [];
+  let settle = () => {};
+  const runRefresh = (request) => {
+    requests.push(request);
+    while (waiting.length > 0) waiting.shift()(request);
+    return new Promise(resolve => { settle = () => resolve({ summary: { ok: true } }); });
+  };
+  watcher = createWatcher({ root, dbFile, debounceMs: 300, runRefresh });
+  watcher.start();
+  await sleep(1000);
+  return {
+    requests,
+    next: () => new Promise(resolve => waiting.push(resolve)),
+    settle: () => settle()
+  };
+}
+
+describe('createWatcher debounce', () => {
+  it('rebuilds a batch of changes once, without the files whose content did not change', async () => {
+    const { requests, next, settle } = await startWatcher();
+    append(MATH, '\n# edited\n');
+    append(TEMPLATE, '\n<p>edited</p>\n');
+    rewrite(USER);
+
+    const request = await next();
+    settle();
+    expect(request.mode).toBe('incremental');
+    expect([...request.paths].sort()).toEqual([MATH, TEMPLATE]);
+    await sleep(1500);
+    expect(requests).toHaveLength(1);
+  }, 20000);
+
+  it('does not rebuild when no saved file changed', async () => {
+    const { requests } = await startWatcher();
+    rewrite(MATH);
+    rewrite(USER);
+    await sleep(2500);
+    expect(requests).toEqual([]);
+    expect(watcher.state().pending_files).toEqual([]);
+  }, 20000);
+
+  it('queues changes made during a rebuild for the next batch', async () => {
+    const { requests, next, settle } = await startWatcher();
+    append(MATH, '\n# first\n');
+    expect((await next()).paths).toEqual([MATH]);
+
+    append(USER, '\n# second\n');
+    await sleep(1500);
+    expect(requests).toHaveLength(1);
+    expect(watcher.state()).toMatchObject({ rebuild_in_progress: true, pending_files: [USER] });
+
+    const second = next();
+    settle();
+    expect((await second).paths).toEqual([USER]);
+    settle();
+  }, 20000);
+});
+
+describe('createWatcher purge', () => {
+  it('removes the entries of a deleted file from the index', async () => {
+    const count = (sql, file) => {
+      const db = new Database(dbFile, { readonly: true });
+      try {
+        return db.prepare(sql).get(file).n;
+      } finally {
+        db.close();
+      }
+    };
+    expect(count('SELECT COUNT(*) AS n FROM functions WHERE path = ?', USER)).toBeGreaterThan(0);
+    expect(count('SELECT COUNT(*) AS n FROM ecto_schemas WHERE path = ?', USER)).toBe(3);
+
+    // No exporter runs for a batch of deleted files
+    const rebuilt = new Promise(resolve => {
+      watcher = createWatcher({ root, dbFile, exporter: '/nonexistent/export.exs', debounceMs: 300, onRebuild: resolve });
+    });
+    watcher.start();
+    await sleep(1000);
+    fs.unlinkSync(path.join(root, USER));
+
+    expect(await rebuilt).toMatchObject({ ok: true, kind: 'incremental', files: 1 });
+    expect(count('SELECT COUNT(*) AS n FROM functions WHERE path = ?', USER)).toBe(0);
+    expect(count('SELECT COUNT(*) AS n FROM ecto_schemas WHERE path = ?', USER)).toBe(0);
+    expect(count('SELECT COUNT(*) AS n FROM files WHERE path = ?', USER)).toBe(0);
+    expect(count('SELECT COUNT(*) AS n FROM functions WHERE path = ?', MATH)).toBeGreaterThan(0);
+  }, 20000);
+});